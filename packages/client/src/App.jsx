@@ -1,45 +1,75 @@
 import { useState, useEffect, useCallback } from 'react';
+import { AuthProvider, useAuth } from './context/AuthContext';
 import { SocketProvider, useSocket } from './context/SocketContext';
 import { useServerTime } from './hooks/useServerTime';
 import AuctionDashboard from './components/AuctionDashboard';
+import AdminConsole from './components/AdminConsole';
 import Header from './components/Header';
+import LoginForm from './components/LoginForm';
+
+// #admin opens the admin console - in the URL so it survives a reload
+const readView = () => (window.location.hash === '#admin' ? 'admin' : 'auctions');
 
 function AppContent() {
-    const { socket, isConnected } = useSocket();
-    const { timeOffset, syncTime } = useServerTime();
-    const [resetKey, setResetKey] = useState(0);
-    const [userId] = useState(() => {
-        // generate a random user id or grab from localStorage
-        const stored = localStorage.getItem('bidding_user_id');
-        if (stored) return stored;
-
-        const newId = 'user_' + Math.random().toString(36).substr(2, 9);
-        localStorage.setItem('bidding_user_id', newId);
-        return newId;
-    });
+    const { user } = useAuth();
+    const { isConnected } = useSocket();
+    const { timeOffset, rtt, syncQuality } = useServerTime();
+    const [view, setView] = useState(readView);
+    const userId = user.id;
 
     useEffect(() => {
-        if (socket && isConnected) {
-            syncTime();
-        }
-    }, [socket, isConnected, syncTime]);
+        const handleHashChange = () => setView(readView());
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
 
-    // Handle reset - increment key to force AuctionDashboard to remount
-    const handleReset = useCallback(() => {
-        setResetKey(prev => prev + 1);
+    const handleViewChange = useCallback((nextView) => {
+        if (nextView === 'admin') {
+            window.location.hash = 'admin';
+        } else {
+            // drop the hash but keep the filters in the query string
+            window.history.pushState(null, '', window.location.pathname + window.location.search);
+            setView('auctions');
+        }
     }, []);
 
+    // the server checks too - this just keeps the console out of everyone else's way
+    const showAdmin = view === 'admin' && user.isAdmin;
+
     return (
         <div className="app">
-            <Header isConnected={isConnected} userId={userId} onReset={handleReset} />
+            <Header
+                isConnected={isConnected}
+                clockSync={{ quality: syncQuality, offset: timeOffset, rtt }}
+                view={showAdmin ? 'admin' : 'auctions'}
+                onViewChange={handleViewChange}
+            />
             <main className="main-content">
-                <AuctionDashboard key={resetKey} userId={userId} timeOffset={timeOffset} />
+                {showAdmin
+                    ? <AdminConsole timeOffset={timeOffset} />
+                    : <AuctionDashboard userId={userId} timeOffset={timeOffset} />}
             </main>
         </div>
     );
 }
 
-function App() {
+// gate the app behind login - bidding needs a server-issued identity
+function AuthGate() {
+    const { user, checking } = useAuth();
+
+    if (checking) {
+        return (
+            <div className="loading-container">
+                <div className="loading-spinner"></div>
+                <p>Checking your session...</p>
+            </div>
+        );
+    }
+
+    if (!user) {
+        return <LoginForm />;
+    }
+
     return (
         <SocketProvider>
             <AppContent />
@@ -47,5 +77,13 @@ function App() {
     );
 }
 
+function App() {
+    return (
+        <AuthProvider>
+            <AuthGate />
+        </AuthProvider>
+    );
+}
+
 export default App;
 
@@ -0,0 +1,417 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useAdmin } from '../hooks/useAdmin';
+
+// quick picks for the extend menu, in seconds
+const EXTEND_OPTIONS = [
+    { label: '+1 min', seconds: 60 },
+    { label: '+5 min', seconds: 300 },
+    { label: '+30 min', seconds: 1800 }
+];
+
+const EMPTY_FORM = {
+    title: '',
+    description: '',
+    category: 'other',
+    startingPrice: '',
+    durationMinutes: '10',
+    reservePrice: '',
+    buyNowPrice: '',
+    format: 'english',
+    floorPrice: '',
+    priceDropAmount: '',
+    priceDropIntervalSec: '30',
+    sealedPricing: 'first-price'
+};
+
+const formatPrice = (amount) => (amount == null ? '-' : `$${amount.toLocaleString()}`);
+
+function formatTimeLeft(item, now) {
+    if (item.status === 'closed') return item.outcome === 'sold' ? 'Sold' : 'Unsold';
+
+    const target = item.status === 'scheduled' ? item.auctionStartTime : item.auctionEndTime;
+    const seconds = Math.max(0, Math.floor((target - now) / 1000));
+    const minutes = Math.floor(seconds / 60);
+    const clock = minutes >= 60
+        ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+        : `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+
+    return item.status === 'scheduled' ? `Starts in ${clock}` : clock;
+}
+
+function CreateAuctionForm({ categories, timeOffset, onCreate }) {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+    const isDutch = form.format === 'dutch';
+    const isSealed = form.format === 'sealed';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (submitting) return;
+
+        setSubmitting(true);
+        setError(null);
+
+        try {
+            // the end time is absolute - work it out on the server's clock
+            const serverNow = Date.now() + timeOffset;
+            // reserve and buy now don't apply to a Dutch auction, its schedule replaces them,
+            // and a sealed one keeps the reserve but can't be bought outright
+            const formatFields = isDutch ? {
+                floorPrice: Number(form.floorPrice),
+                priceDropAmount: Number(form.priceDropAmount),
+                priceDropIntervalSec: Number(form.priceDropIntervalSec)
+            } : isSealed ? {
+                sealedPricing: form.sealedPricing,
+                reservePrice: form.reservePrice ? Number(form.reservePrice) : undefined
+            } : {
+                reservePrice: form.reservePrice ? Number(form.reservePrice) : undefined,
+                buyNowPrice: form.buyNowPrice ? Number(form.buyNowPrice) : undefined
+            };
+            await onCreate({
+                title: form.title,
+                description: form.description || undefined,
+                category: form.category,
+                format: form.format,
+                startingPrice: Number(form.startingPrice),
+                auctionEndTime: serverNow + Number(form.durationMinutes) * 60 * 1000,
+                ...formatFields
+            });
+            setForm(EMPTY_FORM);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <form className="admin-panel admin-create" onSubmit={handleSubmit}>
+            <h2>New auction</h2>
+
+            <div className="admin-create-fields">
+                <input
+                    className="filter-input admin-create-title"
+                    placeholder="Title"
+                    value={form.title}
+                    onChange={setField('title')}
+                    required
+                />
+                <input
+                    className="filter-input admin-create-description"
+                    placeholder="Description (optional)"
+                    value={form.description}
+                    onChange={setField('description')}
+                />
+                <select className="filter-input" value={form.category} onChange={setField('category')}>
+                    {categories.map(category => (
+                        <option key={category} value={category}>{category}</option>
+                    ))}
+                </select>
+                <input
+                    className="filter-input"
+                    type="number"
+                    min="1"
+                    placeholder="Starting price"
+                    value={form.startingPrice}
+                    onChange={setField('startingPrice')}
+                    required
+                />
+                <input
+                    className="filter-input"
+                    type="number"
+                    min="1"
+                    placeholder="Minutes"
+                    title="How long the auction runs"
+                    value={form.durationMinutes}
+                    onChange={setField('durationMinutes')}
+                    required
+                />
+                <select className="filter-input" value={form.format} onChange={setField('format')}>
+                    <option value="english">English (bids go up)</option>
+                    <option value="dutch">Dutch (price drops)</option>
+                    <option value="sealed">Sealed bids</option>
+                </select>
+                {isDutch ? (
+                    <>
+                        <input
+                            className="filter-input"
+                            type="number"
+                            min="0.01"
+                            step="0.01"
+                            placeholder="Floor price"
+                            title="The lowest the price drops to"
+                            value={form.floorPrice}
+                            onChange={setField('floorPrice')}
+                            required
+                        />
+                        <input
+                            className="filter-input"
+                            type="number"
+                            min="0.01"
+                            step="0.01"
+                            placeholder="Drop by"
+                            value={form.priceDropAmount}
+                            onChange={setField('priceDropAmount')}
+                            required
+                        />
+                        <input
+                            className="filter-input"
+                            type="number"
+                            min="1"
+                            max="3600"
+                            placeholder="Every (seconds)"
+                            value={form.priceDropIntervalSec}
+                            onChange={setField('priceDropIntervalSec')}
+                            required
+                        />
+                    </>
+                ) : isSealed ? (
+                    <>
+                        <select
+                            className="filter-input"
+                            value={form.sealedPricing}
+                            onChange={setField('sealedPricing')}
+                            title="What the winner pays"
+                        >
+                            <option value="first-price">Winner pays their bid</option>
+                            <option value="vickrey">Winner pays 2nd-highest (Vickrey)</option>
+                        </select>
+                        <input
+                            className="filter-input"
+                            type="number"
+                            min="1"
+                            placeholder="Reserve (optional)"
+                            value={form.reservePrice}
+                            onChange={setField('reservePrice')}
+                        />
+                    </>
+                ) : (
+                    <>
+                        <input
+                            className="filter-input"
+                            type="number"
+                            min="1"
+                            placeholder="Reserve (optional)"
+                            value={form.reservePrice}
+                            onChange={setField('reservePrice')}
+                        />
+                        <input
+                            className="filter-input"
+                            type="number"
+                            min="1"
+                            placeholder="Buy now (optional)"
+                            value={form.buyNowPrice}
+                            onChange={setField('buyNowPrice')}
+                        />
+                    </>
+                )}
+            </div>
+
+            {error && <div className="error-toast">{error}</div>}
+
+            <button className="admin-button primary" type="submit" disabled={submitting}>
+                {submitting ? 'Creating...' : 'Create auction'}
+            </button>
+        </form>
+    );
+}
+
+function AdminConsole({ timeOffset }) {
+    const {
+        items,
+        categories,
+        stats,
+        loading,
+        error,
+        createItem,
+        extendItem,
+        closeItem,
+        resetItem,
+        cancelItem,
+        resetAll
+    } = useAdmin();
+    const [now, setNow] = useState(() => Date.now() + timeOffset);
+    // itemId (or 'all') of the action in flight, so its buttons disable
+    const [busy, setBusy] = useState(null);
+    const [actionError, setActionError] = useState(null);
+
+    // countdowns tick between polls
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now() + timeOffset), 1000);
+        return () => clearInterval(interval);
+    }, [timeOffset]);
+
+    const run = async (key, action, confirmMessage) => {
+        if (busy) return;
+        if (confirmMessage && !window.confirm(confirmMessage)) return;
+
+        setBusy(key);
+        setActionError(null);
+        try {
+            await action();
+        } catch (err) {
+            setActionError(err.message);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-container">
+                <div className="loading-spinner"></div>
+                <p>Loading admin console...</p>
+            </div>
+        );
+    }
+
+    return (
+        <motion.div className="admin-console" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+            <div className="admin-header">
+                <h1>Admin console</h1>
+                <button
+                    className={`reset-button ${busy === 'all' ? 'loading' : ''}`}
+                    onClick={() => run('all', resetAll, 'Reset every auction to the sample items? All bids are lost.')}
+                    disabled={Boolean(busy)}
+                >
+                    {busy === 'all' ? '🔄 Resetting...' : '🔄 Reset all auctions'}
+                </button>
+            </div>
+
+            {(error || actionError) && <div className="error-toast">{actionError || error}</div>}
+
+            {stats && (
+                <div className="admin-stats">
+                    <div className="admin-stat">
+                        <span className="admin-stat-value">{stats.connectedSockets}</span>
+                        <span className="admin-stat-label">
+                            sockets{stats.partialConnections ? ' (this instance)' : ''}
+                        </span>
+                    </div>
+                    <div className="admin-stat">
+                        <span className="admin-stat-value">{stats.connectedUsers}</span>
+                        <span className="admin-stat-label">bidders online</span>
+                    </div>
+                    <div className="admin-stat">
+                        <span className="admin-stat-value">{stats.auctions.live}</span>
+                        <span className="admin-stat-label">live</span>
+                    </div>
+                    <div className="admin-stat">
+                        <span className="admin-stat-value">{stats.auctions.scheduled}</span>
+                        <span className="admin-stat-label">scheduled</span>
+                    </div>
+                    <div className="admin-stat">
+                        <span className="admin-stat-value">{stats.auctions.closed}</span>
+                        <span className="admin-stat-label">closed</span>
+                    </div>
+                    <div className="admin-stat">
+                        <span className="admin-stat-value">{stats.totalBids}</span>
+                        <span className="admin-stat-label">bids</span>
+                    </div>
+                </div>
+            )}
+
+            <CreateAuctionForm categories={categories} timeOffset={timeOffset} onCreate={createItem} />
+
+            <div className="admin-panel">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Auction</th>
+                            <th>Status</th>
+                            <th>Current bid</th>
+                            <th title="Bids / distinct bidders">Bids</th>
+                            <th>Watchers</th>
+                            <th title="Sockets subscribed to this item">Viewers</th>
+                            <th>Time left</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {items.map(item => {
+                            const isClosed = item.status === 'closed';
+                            const disabled = Boolean(busy);
+
+                            return (
+                                <tr key={item.id} className={busy === item.id ? 'busy' : ''}>
+                                    <td>
+                                        <div className="admin-item-title">{item.title}</div>
+                                        <code className="admin-item-id">{item.id}</code>
+                                    </td>
+                                    <td><span className={`admin-status ${item.status}`}>{item.status}</span></td>
+                                    <td>
+                                        {formatPrice(item.currentBid)}
+                                        {item.reservePrice && (
+                                            <div className="admin-item-note">
+                                                reserve {formatPrice(item.reservePrice)}{item.reserveMet ? ' ✓' : ''}
+                                            </div>
+                                        )}
+                                        {item.format === 'dutch' && (
+                                            <div className="admin-item-note">
+                                                dutch, floor {formatPrice(item.floorPrice)}
+                                            </div>
+                                        )}
+                                        {item.format === 'sealed' && (
+                                            <div className="admin-item-note">sealed, {item.sealedPricing}</div>
+                                        )}
+                                    </td>
+                                    <td>{item.bidCount} / {item.bidderCount}</td>
+                                    <td>{item.watcherCount}</td>
+                                    <td>{item.viewerCount}</td>
+                                    <td>{formatTimeLeft(item, now)}</td>
+                                    <td className="admin-actions">
+                                        {!isClosed && (
+                                            <select
+                                                className="filter-input"
+                                                value=""
+                                                disabled={disabled}
+                                                onChange={(e) => {
+                                                    const seconds = Number(e.target.value);
+                                                    run(item.id, () => extendItem(item.id, seconds));
+                                                }}
+                                            >
+                                                <option value="" disabled>Extend</option>
+                                                {EXTEND_OPTIONS.map(option => (
+                                                    <option key={option.seconds} value={option.seconds}>{option.label}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                        {!isClosed && (
+                                            <button
+                                                className="admin-button"
+                                                disabled={disabled}
+                                                onClick={() => run(item.id, () => closeItem(item.id), `Close "${item.title}" now? The current leader wins if the reserve is met.`)}
+                                            >
+                                                Close now
+                                            </button>
+                                        )}
+                                        <button
+                                            className="admin-button"
+                                            disabled={disabled}
+                                            onClick={() => run(item.id, () => resetItem(item.id), `Start "${item.title}" over? Its bids are wiped.`)}
+                                        >
+                                            Reset
+                                        </button>
+                                        <button
+                                            className="admin-button danger"
+                                            disabled={disabled}
+                                            onClick={() => run(item.id, () => cancelItem(item.id), `Cancel "${item.title}"? It's removed for everyone.`)}
+                                        >
+                                            Cancel
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </motion.div>
+    );
+}
+
+export default AdminConsole;
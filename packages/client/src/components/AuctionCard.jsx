@@ -1,19 +1,164 @@
 import { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { useSocket } from '../context/SocketContext';
+import { useAuth } from '../context/AuthContext';
 import CountdownTimer from './CountdownTimer';
+import BidFeed from './BidFeed';
 
-function AuctionCard({ item, userId, timeOffset, onPlaceBid }) {
+// pick an icon from the title - seller-created items get a generic tag
+const ITEM_EMOJIS = [
+    ['Keyboard', '⌨️'],
+    ['Sneaker', '👟'],
+    ['Guitar', '🎸'],
+    ['Pokemon', '🎴'],
+    ['Watch', '⌚'],
+    ['Gaming', '🎮'],
+    ['Jacket', '🧥'],
+    ['Camera', '📷']
+];
+
+export function getItemEmoji(title) {
+    const match = ITEM_EMOJIS.find(([keyword]) => title.includes(keyword));
+    return match ? match[1] : '🏷️';
+}
+
+// same banding the server uses (utils/bidIncrements.js) - the item carries its table
+function getIncrement(price, table) {
+    const band = table.find(b => b.upTo === null || price < b.upTo);
+    return band ? band.increment : 1;
+}
+
+// how many increments above the minimum each quick-pick button jumps
+const QUICK_PICK_STEPS = [0, 2, 5];
+
+function AuctionCard({ item, userId, timeOffset, watched, onPlaceBid, onSetMaxBid, onBuyNow, onToggleWatch }) {
     const { socket } = useSocket();
+    const { authHeaders } = useAuth();
     const [currentBid, setCurrentBid] = useState(item.currentBid);
     const [highestBidderId, setHighestBidderId] = useState(item.highestBidderId);
     const [bidding, setBidding] = useState(false);
     const [priceFlash, setPriceFlash] = useState(null); // 'up' or 'outbid'
     const [error, setError] = useState(null);
-    const [auctionEnded, setAuctionEnded] = useState(false);
+    const [timerExpired, setTimerExpired] = useState(false); // local countdown hit zero
+    const [showHistory, setShowHistory] = useState(false);
+    const [customAmount, setCustomAmount] = useState(''); // empty = bid the minimum
+    const [justExtended, setJustExtended] = useState(false);
+    const [maxBid, setMaxBid] = useState(null); // our own secret ceiling, if any
+    const [maxBidInput, setMaxBidInput] = useState('');
+    const [settingMax, setSettingMax] = useState(false);
+    const [buyingNow, setBuyingNow] = useState(false);
+    const [cooldownUntil, setCooldownUntil] = useState(null); // set when the server rate limits us
+    const [cooldownLeft, setCooldownLeft] = useState(0);
+    const [togglingWatch, setTogglingWatch] = useState(false);
+    const [sealedBid, setSealedBid] = useState(null); // our own bid on a sealed item, until the reveal
+
+    // item edits (e.g. a new starting price) arrive as fresh props
+    useEffect(() => {
+        setCurrentBid(item.currentBid);
+        setHighestBidderId(item.highestBidderId);
+    }, [item.currentBid, item.highestBidderId]);
+
+    // soft-close extension (or a seller edit) moved the end time into the future again
+    useEffect(() => {
+        if (item.auctionEndTime > Date.now() + timeOffset) {
+            setTimerExpired(false);
+        }
+    }, [item.auctionEndTime, timeOffset]);
+
+    // the server decides when an auction is over - our own timer only
+    // stops bidding until AUCTION_ENDED arrives with the result
+    const isScheduled = item.status === 'scheduled';
+    const isClosed = item.status === 'closed';
+    const auctionEnded = isClosed || timerExpired;
+
+    // sealed bids hide the price and the leader until the close - all we know is our own bid
+    const isSealed = item.format === 'sealed';
+    const sealedOpen = isSealed && !isClosed;
 
     const isWinning = highestBidderId === userId;
+
+    // lowest acceptable bid, plus a few quick picks stepping up the increment table
+    const incrementTable = item.incrementTable || [];
+    const minimumBid = sealedOpen ? item.startingPrice : currentBid + getIncrement(currentBid, incrementTable);
+    const quickPicks = QUICK_PICK_STEPS.map(steps => {
+        let amount = minimumBid;
+        for (let i = 0; i < steps; i++) {
+            amount += getIncrement(amount, incrementTable);
+        }
+        return amount;
+    });
+    const bidAmount = customAmount === '' ? minimumBid : Number(customAmount);
+    const bidTooLow = !Number.isFinite(bidAmount) || bidAmount < minimumBid;
+    const bidUnchanged = sealedOpen && sealedBid === bidAmount;
+    // the leader goes higher through their max bid, not by outbidding themselves
+    const leadingAlready = isWinning && !sealedOpen;
+    const maxBidExceeded = maxBid !== null && !isWinning && maxBid <= currentBid;
     const wasWinning = item.highestBidderId === userId && !isWinning;
+    const canBuyNow = item.buyNowAvailable && !auctionEnded && !isScheduled;
+    const coolingDown = cooldownUntil !== null;
+    const reserveNotMet = isClosed && item.outcome === 'unsold' && (item.bidCount || 0) > 0;
+
+    // count the rate-limit cooldown down to zero, then unlock the buttons
+    useEffect(() => {
+        if (cooldownUntil === null) return;
+
+        const tick = () => {
+            const remaining = cooldownUntil - Date.now();
+            if (remaining <= 0) {
+                setCooldownUntil(null);
+            } else {
+                setCooldownLeft(Math.ceil(remaining / 1000));
+            }
+        };
+
+        tick();
+        const timer = setInterval(tick, 250);
+        return () => clearInterval(timer);
+    }, [cooldownUntil]);
+
+    // show a failed action's message - and back off if we were rate limited
+    const showActionError = useCallback((err) => {
+        if (err.code === 'RATE_LIMITED') {
+            setCooldownUntil(Date.now() + (err.retryAfterMs || 1000));
+        }
+        setError(err.message);
+        setTimeout(() => setError(null), 3000);
+    }, []);
+
+    // a sealed bid we placed earlier (another tab, before a reload) - the server only hands back our own
+    useEffect(() => {
+        if (!sealedOpen || !userId) return;
+
+        let cancelled = false;
+        const API_URL = import.meta.env.VITE_API_URL || '';
+
+        fetch(`${API_URL}/api/items/${item.id}/bids?limit=1`, { headers: authHeaders() })
+            .then(response => response.json())
+            .then(data => {
+                if (!cancelled && data.success && data.bids.length > 0) {
+                    setSealedBid(data.bids[0].amount);
+                }
+            })
+            .catch(err => console.error('Sealed bid fetch error:', err));
+
+        return () => { cancelled = true; };
+    }, [item.id, sealedOpen, userId, authHeaders]);
+
+    // subscribe to this item's room while the card is mounted - the server
+    // forgets rooms on disconnect, so join again after every reconnect
+    useEffect(() => {
+        if (!socket) return;
+
+        const join = () => socket.emit('JOIN_ITEM', { itemId: item.id });
+
+        if (socket.connected) join();
+        socket.on('connect', join);
+
+        return () => {
+            socket.off('connect', join);
+            socket.emit('LEAVE_ITEM', { itemId: item.id });
+        };
+    }, [socket, item.id]);
 
     // listen for live updates on this item
     useEffect(() => {
@@ -40,6 +185,12 @@ function AuctionCard({ item, userId, timeOffset, onPlaceBid }) {
             setTimeout(() => setPriceFlash(null), 600);
         };
 
+        const handleExtended = (data) => {
+            if (data.itemId !== item.id) return;
+            setJustExtended(true);
+            setTimeout(() => setJustExtended(false), 3000);
+        };
+
         const handleOutbid = (data) => {
             if (data.itemId === item.id && data.outbidUserId === userId) {
                 setPriceFlash('outbid');
@@ -49,42 +200,106 @@ function AuctionCard({ item, userId, timeOffset, onPlaceBid }) {
 
         socket.on('UPDATE_BID', handleUpdate);
         socket.on('OUTBID', handleOutbid);
+        socket.on('AUCTION_EXTENDED', handleExtended);
 
         return () => {
             socket.off('UPDATE_BID', handleUpdate);
             socket.off('OUTBID', handleOutbid);
+            socket.off('AUCTION_EXTENDED', handleExtended);
         };
     }, [socket, item.id, userId, highestBidderId]);
 
     const handleBidClick = useCallback(async () => {
-        if (bidding || auctionEnded) return;
+        if (bidding || auctionEnded || isScheduled || bidTooLow || bidUnchanged || coolingDown) return;
 
         setBidding(true);
         setError(null);
 
         try {
-            await onPlaceBid(item.id, currentBid);
-            // success handled by socket update
+            const response = await onPlaceBid(item.id, bidAmount);
+            setCustomAmount('');
+            // a sealed bid only ever comes back to us - anything else arrives as a socket update
+            if (response.sealedBid) setSealedBid(response.sealedBid.amount);
         } catch (err) {
-            setError(err.message);
-            setTimeout(() => setError(null), 3000);
+            showActionError(err);
         } finally {
             setBidding(false);
         }
-    }, [item.id, currentBid, bidding, auctionEnded, onPlaceBid]);
+    }, [item.id, bidAmount, bidTooLow, bidUnchanged, bidding, auctionEnded, isScheduled, coolingDown, onPlaceBid, showActionError]);
+
+    const handleMaxBidSubmit = useCallback(async (e) => {
+        e.preventDefault();
+        if (settingMax || auctionEnded || coolingDown) return;
+
+        const amount = Number(maxBidInput);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            setError('Enter a valid maximum bid');
+            setTimeout(() => setError(null), 3000);
+            return;
+        }
+
+        setSettingMax(true);
+        setError(null);
+
+        try {
+            const response = await onSetMaxBid(item.id, amount);
+            setMaxBid(response.maxBid);
+            setMaxBidInput('');
+        } catch (err) {
+            showActionError(err);
+        } finally {
+            setSettingMax(false);
+        }
+    }, [item.id, maxBidInput, settingMax, auctionEnded, coolingDown, onSetMaxBid, showActionError]);
+
+    const handleBuyNowClick = useCallback(async () => {
+        if (buyingNow || !canBuyNow || coolingDown) return;
+        if (!window.confirm(`Buy "${item.title}" now for $${item.buyNowPrice.toLocaleString()}? This ends the auction.`)) return;
+
+        setBuyingNow(true);
+        setError(null);
+
+        try {
+            await onBuyNow(item.id);
+            // AUCTION_ENDED takes care of the rest
+        } catch (err) {
+            showActionError(err);
+        } finally {
+            setBuyingNow(false);
+        }
+    }, [item.id, item.title, item.buyNowPrice, buyingNow, canBuyNow, coolingDown, onBuyNow, showActionError]);
+
+    const handleWatchClick = useCallback(async () => {
+        if (togglingWatch) return;
+
+        setTogglingWatch(true);
+        try {
+            await onToggleWatch(item.id, !watched);
+        } catch (err) {
+            showActionError(err);
+        } finally {
+            setTogglingWatch(false);
+        }
+    }, [item.id, watched, togglingWatch, onToggleWatch, showActionError]);
 
     const handleAuctionEnd = useCallback(() => {
-        setAuctionEnded(true);
+        setTimerExpired(true);
     }, []);
 
     // determine card state
     let statusBadge = null;
-    if (auctionEnded) {
-        statusBadge = isWinning ? (
+    if (isClosed) {
+        statusBadge = item.winnerId === userId ? (
             <span className="badge badge-won">🏆 You Won!</span>
+        ) : reserveNotMet ? (
+            <span className="badge badge-ended">Reserve Not Met</span>
         ) : (
             <span className="badge badge-ended">Auction Ended</span>
         );
+    } else if (timerExpired) {
+        statusBadge = <span className="badge badge-ended">Closing...</span>;
+    } else if (isScheduled) {
+        statusBadge = <span className="badge badge-upcoming">Upcoming</span>;
     } else if (isWinning) {
         statusBadge = <span className="badge badge-winning">✓ Winning</span>;
     }
@@ -97,43 +312,103 @@ function AuctionCard({ item, userId, timeOffset, onPlaceBid }) {
             <div className="card-image">
                 <div className="image-placeholder">
                     {/* would use real images in prod */}
-                    <span className="emoji-icon">
-                        {item.title.includes('Keyboard') && '⌨️'}
-                        {item.title.includes('Sneaker') && '👟'}
-                        {item.title.includes('Guitar') && '🎸'}
-                        {item.title.includes('Pokemon') && '🎴'}
-                        {item.title.includes('Watch') && '⌚'}
-                        {item.title.includes('Gaming') && '🎮'}
-                    </span>
+                    <span className="emoji-icon">{getItemEmoji(item.title)}</span>
                 </div>
                 {statusBadge}
+                {/* closed auctions can't be watched, only dropped from the list */}
+                {(!isClosed || watched) && (
+                    <button
+                        className={`watch-button ${watched ? 'watching' : ''}`}
+                        onClick={handleWatchClick}
+                        disabled={togglingWatch}
+                        title={watched ? 'Stop watching' : 'Watch - get alerts for new bids and the final minute'}
+                    >
+                        {watched ? '★' : '☆'}
+                    </button>
+                )}
             </div>
 
             <div className="card-content">
+                {isSealed && (
+                    <span
+                        className="format-tag"
+                        title={item.sealedPricing === 'vickrey'
+                            ? 'Bids stay hidden until the close - the winner pays the second-highest bid'
+                            : 'Bids stay hidden until the close - the winner pays what they bid'}
+                    >
+                        🔒 Sealed bids{item.sealedPricing === 'vickrey' ? ' · Vickrey' : ''}
+                    </span>
+                )}
                 <h3 className="item-title">{item.title}</h3>
                 <p className="item-description">{item.description}</p>
 
                 <div className="bid-info">
-                    <div className="price-section">
-                        <span className="price-label">Current Bid</span>
-                        <motion.span
-                            className={`price-value ${priceFlash === 'up' ? 'flash-green' : ''} ${priceFlash === 'outbid' ? 'flash-red' : ''}`}
-                            key={currentBid}
-                            initial={{ scale: 1 }}
-                            animate={priceFlash ? { scale: [1, 1.1, 1] } : { scale: 1 }}
-                            transition={{ duration: 0.3 }}
-                        >
-                            ${currentBid.toLocaleString()}
-                        </motion.span>
-                    </div>
+                    {sealedOpen ? (
+                        <div className="price-section">
+                            <span className="price-label">Sealed</span>
+                            <span className="price-value sealed-count">
+                                {item.bidCount || 0} {item.bidCount === 1 ? 'bid' : 'bids'} received
+                            </span>
+                        </div>
+                    ) : (
+                        <div className="price-section">
+                            <span className="price-label">{isSealed && item.bidCount > 0 ? 'Top Bid' : 'Current Bid'}</span>
+                            <motion.span
+                                className={`price-value ${priceFlash === 'up' ? 'flash-green' : ''} ${priceFlash === 'outbid' ? 'flash-red' : ''}`}
+                                key={currentBid}
+                                initial={{ scale: 1 }}
+                                animate={priceFlash ? { scale: [1, 1.1, 1] } : { scale: 1 }}
+                                transition={{ duration: 0.3 }}
+                            >
+                                {/* a sealed item's bid arrives with its reveal, a render ahead of our copy */}
+                                ${(currentBid ?? item.currentBid).toLocaleString()}
+                            </motion.span>
+                        </div>
+                    )}
 
-                    <CountdownTimer
-                        endTime={item.auctionEndTime}
-                        timeOffset={timeOffset}
-                        onEnd={handleAuctionEnd}
-                    />
+                    {isScheduled ? (
+                        <CountdownTimer
+                            endTime={item.auctionStartTime}
+                            timeOffset={timeOffset}
+                            label="Starts In"
+                        />
+                    ) : (
+                        <CountdownTimer
+                            endTime={item.auctionEndTime}
+                            timeOffset={timeOffset}
+                            onEnd={handleAuctionEnd}
+                        />
+                    )}
                 </div>
 
+                {sealedOpen && sealedBid !== null && (
+                    <p className="sealed-own-bid">Your sealed bid: ${sealedBid.toLocaleString()}</p>
+                )}
+
+                {isSealed && isClosed && item.sealedPricing === 'vickrey' && item.outcome === 'sold' && (
+                    <p className="sealed-own-bid">Winner pays the second-highest bid</p>
+                )}
+
+                {item.hasReserve && sealedOpen && (
+                    <p className="reserve-status">Reserve price applies</p>
+                )}
+
+                {item.hasReserve && !isClosed && !sealedOpen && (
+                    <p className={`reserve-status ${item.reserveMet ? 'met' : ''}`}>
+                        {item.reserveMet ? '✓ Reserve met' : 'Reserve not met'}
+                    </p>
+                )}
+
+                {justExtended && (
+                    <motion.div
+                        className="extended-notice"
+                        initial={{ opacity: 0, y: -10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                    >
+                        ⏱ Late bid - auction extended!
+                    </motion.div>
+                )}
+
                 {error && (
                     <motion.div
                         className="error-toast"
@@ -144,19 +419,109 @@ function AuctionCard({ item, userId, timeOffset, onPlaceBid }) {
                     </motion.div>
                 )}
 
+                {!auctionEnded && !isScheduled && (
+                    <div className="bid-amount">
+                        <input
+                            type="number"
+                            className="bid-amount-input"
+                            placeholder={`$${minimumBid.toLocaleString()} or more`}
+                            value={customAmount}
+                            onChange={(e) => setCustomAmount(e.target.value)}
+                            min={minimumBid}
+                            disabled={bidding}
+                        />
+                        <div className="quick-picks">
+                            {quickPicks.map(amount => (
+                                <button
+                                    key={amount}
+                                    type="button"
+                                    className={`quick-pick ${bidAmount === amount ? 'active' : ''}`}
+                                    onClick={() => setCustomAmount(amount === minimumBid ? '' : String(amount))}
+                                    disabled={bidding}
+                                >
+                                    ${amount.toLocaleString()}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 <button
-                    className={`bid-button ${bidding ? 'loading' : ''} ${auctionEnded ? 'disabled' : ''}`}
+                    className={`bid-button ${bidding ? 'loading' : ''} ${auctionEnded ? 'disabled' : ''} ${coolingDown ? 'cooldown' : ''}`}
                     onClick={handleBidClick}
-                    disabled={bidding || auctionEnded}
+                    disabled={bidding || auctionEnded || isScheduled || leadingAlready || bidTooLow || bidUnchanged || coolingDown}
                 >
                     {bidding ? (
                         <span className="button-loading">Placing bid...</span>
+                    ) : isClosed ? (
+                        item.finalPrice !== null
+                            ? `Sold for $${item.finalPrice.toLocaleString()}`
+                            : reserveNotMet ? 'Unsold - Reserve Not Met' : 'Auction Ended'
                     ) : auctionEnded ? (
-                        'Auction Ended'
+                        'Closing...'
+                    ) : isScheduled ? (
+                        'Not Started Yet'
+                    ) : coolingDown ? (
+                        `Slow down - try again in ${cooldownLeft}s`
+                    ) : leadingAlready ? (
+                        'You\'re the highest bidder'
+                    ) : bidTooLow ? (
+                        `Minimum bid is $${minimumBid.toLocaleString()}`
+                    ) : bidUnchanged ? (
+                        'That\'s your current bid'
+                    ) : sealedOpen ? (
+                        `${sealedBid !== null ? 'Change' : 'Place'} Sealed Bid → $${bidAmount.toLocaleString()}`
                     ) : (
-                        `Bid +$10 → $${(currentBid + 10).toLocaleString()}`
+                        `Place Bid → $${bidAmount.toLocaleString()}`
                     )}
                 </button>
+
+                {canBuyNow && (
+                    <button
+                        className="buy-now-button"
+                        onClick={handleBuyNowClick}
+                        disabled={buyingNow || coolingDown}
+                    >
+                        {buyingNow ? 'Buying...' : `Buy It Now → $${item.buyNowPrice.toLocaleString()}`}
+                    </button>
+                )}
+
+                {!auctionEnded && !isScheduled && !isSealed && (
+                    <form className="max-bid-form" onSubmit={handleMaxBidSubmit}>
+                        <input
+                            type="number"
+                            className="max-bid-input"
+                            placeholder={maxBid ? `Your max: $${maxBid.toLocaleString()}` : 'Set a max bid'}
+                            value={maxBidInput}
+                            onChange={(e) => setMaxBidInput(e.target.value)}
+                            min={currentBid + 1}
+                            disabled={settingMax}
+                        />
+                        <button type="submit" className="max-bid-button" disabled={settingMax || !maxBidInput || coolingDown}>
+                            {settingMax ? '...' : 'Auto-bid'}
+                        </button>
+                    </form>
+                )}
+
+                {maxBid !== null && !auctionEnded && (
+                    <p className={`max-bid-status ${maxBidExceeded ? 'exceeded' : ''}`}>
+                        {maxBidExceeded
+                            ? `Your max of $${maxBid.toLocaleString()} was exceeded`
+                            : `Auto-bidding up to $${maxBid.toLocaleString()}`}
+                    </p>
+                )}
+
+                {/* sealed bids are revealed, history and all, when the auction closes */}
+                {!sealedOpen && (
+                    <button
+                        className="history-toggle"
+                        onClick={() => setShowHistory(prev => !prev)}
+                    >
+                        {showHistory ? 'Hide bid history' : `Bid history (${item.bidCount || 0})`}
+                    </button>
+                )}
+
+                {showHistory && !sealedOpen && <BidFeed itemId={item.id} userId={userId} />}
             </div>
         </motion.div>
     );
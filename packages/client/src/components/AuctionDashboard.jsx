@@ -1,25 +1,186 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useSocket } from '../context/SocketContext';
+import { useAuth } from '../context/AuthContext';
+import { useUrlFilters, toQueryParams, hasActiveFilters, CLEARED_FILTERS } from '../hooks/useUrlFilters';
 import AuctionCard from './AuctionCard';
+import DutchAuctionCard from './DutchAuctionCard';
+import FilterBar from './FilterBar';
+
+// how long to wait for a bid ack before resending, and how many tries in total
+const BID_ACK_TIMEOUT_MS = 5000;
+const BID_MAX_ATTEMPTS = 3;
+
+// randomUUID needs a secure context - plain http on a LAN address falls back
+function newRequestId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// item events stamped with the item's seq (see RESYNC)
+const SEQUENCED_EVENTS = ['UPDATE_BID', 'PRICE_TICK', 'SEALED_BID_RECEIVED', 'AUCTION_EXTENDED', 'AUCTION_STARTED', 'AUCTION_ENDED', 'ITEM_UPDATED'];
+const RESYNC_TIMEOUT_MS = 10000;
+
+// items per page, and how far below the fold the next page starts loading
+const PAGE_SIZE = 12;
+const LOAD_MORE_MARGIN = '400px';
+
+// watchlist alerts - how long each toast stays up, and how many at once
+const ALERT_DURATION_MS = 6000;
+const MAX_ALERTS = 4;
+
+/*
+ * How each sequenced event changes an item. Everything is an absolute
+ * value, so applying an event twice (live and again in a replay) is harmless
+ */
+function applyItemEvent(item, event, data) {
+    switch (event) {
+        case 'UPDATE_BID':
+            return {
+                ...item,
+                currentBid: data.currentBid,
+                minimumNextBid: data.minimumNextBid,
+                highestBidderId: data.highestBidderId,
+                reserveMet: data.reserveMet,
+                buyNowAvailable: data.buyNowAvailable,
+                bidCount: data.bidCount,
+                seq: data.seq
+            };
+
+        // a Dutch auction's price stepped down
+        case 'PRICE_TICK':
+            return { ...item, currentBid: data.currentPrice, nextPriceDropAt: data.nextPriceDropAt, seq: data.seq };
+
+        // someone new put in a sealed bid - the count is all anyone gets to see
+        case 'SEALED_BID_RECEIVED':
+            return { ...item, bidCount: data.bidCount, seq: data.seq };
+
+        // soft close pushed the end time out
+        case 'AUCTION_EXTENDED':
+            return { ...item, auctionEndTime: data.auctionEndTime, extensionCount: data.extensionCount, seq: data.seq };
+
+        // server-driven lifecycle transitions
+        case 'AUCTION_STARTED':
+            return { ...item, status: data.status, nextPriceDropAt: data.nextPriceDropAt, seq: data.seq };
+
+        case 'AUCTION_ENDED':
+            return {
+                ...item,
+                status: data.status,
+                outcome: data.outcome,
+                winnerId: data.winnerId,
+                finalPrice: data.finalPrice,
+                // sealed bids are revealed here
+                currentBid: data.currentBid,
+                highestBidderId: data.highestBidderId,
+                bidCount: data.bidCount,
+                buyNowAvailable: false,
+                seq: data.seq
+            };
+
+        // seller edits
+        case 'ITEM_UPDATED':
+            return { ...item, ...data.item };
+
+        default:
+            return item;
+    }
+}
+
+// keep the server's error code (and retry hint when rate limited) on the Error
+function toCallbackError(response, fallbackMessage) {
+    const err = new Error(response.message || fallbackMessage);
+    err.code = response.error;
+    err.retryAfterMs = response.retryAfterMs;
+    return err;
+}
+
+// a one-shot action - no request ID makes a resend safe, so no retries,
+// but a lost ack still has to end or the button spins forever
+async function emitAction(socket, event, data, fallbackMessage) {
+    let response;
+    try {
+        response = await socket.timeout(BID_ACK_TIMEOUT_MS).emitWithAck(event, data);
+    } catch {
+        throw new Error('No answer from the server - check the auction before trying again');
+    }
+
+    if (response.success) return response;
+    throw toCallbackError(response, fallbackMessage);
+}
 
 function AuctionDashboard({ userId, timeOffset }) {
     const { socket, isConnected } = useSocket();
+    const { authHeaders } = useAuth();
     const [items, setItems] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [filters, setFilters] = useUrlFilters();
+    const [filterError, setFilterError] = useState(null);
+    const [categories, setCategories] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [watchedIds, setWatchedIds] = useState(() => new Set());
+    const [alerts, setAlerts] = useState([]);
+
+    // bids sent without an answer yet - `${itemId}:${amount}` -> requestId
+    const pendingBidIds = useRef(new Map());
+
+    // last seq applied per item - kept outside React state so events arriving
+    // back to back are checked against each other, not against the last render
+    const seqsRef = useRef(new Map());
+    const loadedRef = useRef(false);
+    const resyncState = useRef({ inFlight: false, queued: false });
+
+    // the list being shown: its query params, where the next page starts, and a
+    // counter bumped on every filter change so late answers for old filters are dropped
+    const queryRef = useRef({});
+    const nextCursorRef = useRef(null);
+    const queryGenRef = useRef(0);
+    const loadingMoreRef = useRef(false);
+    const sentinelRef = useRef(null);
 
     // API base URL - use env var in production, relative path in dev
     const API_URL = import.meta.env.VITE_API_URL || '';
 
-    // fetch initial items
+    const fetchPage = useCallback(async (params, cursor) => {
+        const search = new URLSearchParams({ ...params, limit: PAGE_SIZE });
+        if (cursor) search.set('cursor', cursor);
+
+        // signed in so ?watched=1 knows whose watchlist
+        const response = await fetch(`${API_URL}/api/items?${search}`, { headers: authHeaders() });
+        return response.json();
+    }, [API_URL, authHeaders]);
+
+    const showPage = (data) => {
+        nextCursorRef.current = data.pagination.nextCursor;
+        setNextCursor(data.pagination.nextCursor);
+    };
+
+    // first page for the current filters - starts the list over
     const fetchItems = useCallback(async () => {
+        const params = toQueryParams(filters);
+        const generation = ++queryGenRef.current;
+        queryRef.current = params;
+
         try {
-            const response = await fetch(`${API_URL}/api/items`);
-            const data = await response.json();
+            const data = await fetchPage(params, null);
+            if (generation !== queryGenRef.current) return;
 
             if (data.success) {
+                seqsRef.current = new Map(data.items.map(item => [item.id, item.seq]));
+                loadedRef.current = true;
                 setItems(data.items);
+                setCategories(data.categories);
+                setFilterError(null);
+                setError(null);
+                showPage(data);
+            } else if (data.details) {
+                // the server didn't like a filter (e.g. min price above max)
+                seqsRef.current = new Map();
+                setItems([]);
+                setFilterError(Object.values(data.details)[0]);
+                showPage({ pagination: { nextCursor: null } });
             } else {
                 setError('Failed to load auctions');
             }
@@ -27,60 +188,319 @@ function AuctionDashboard({ userId, timeOffset }) {
             console.error('Fetch error:', err);
             setError('Could not connect to server');
         } finally {
-            setLoading(false);
+            if (generation === queryGenRef.current) setLoading(false);
+        }
+    }, [fetchPage, filters]);
+
+    // next page, appended - anything we already have (e.g. from a resync) is skipped
+    const loadMore = useCallback(async () => {
+        const cursor = nextCursorRef.current;
+        if (!cursor || loadingMoreRef.current) return;
+
+        const generation = queryGenRef.current;
+        loadingMoreRef.current = true;
+        setLoadingMore(true);
+
+        try {
+            const data = await fetchPage(queryRef.current, cursor);
+            if (generation !== queryGenRef.current) return;
+
+            if (!data.success) {
+                console.error('Load more failed:', data.error);
+                showPage({ pagination: { nextCursor: null } });
+                return;
+            }
+
+            const seqs = seqsRef.current;
+            const fresh = data.items.filter(item => !seqs.has(item.id));
+            fresh.forEach(item => seqs.set(item.id, item.seq));
+
+            setItems(prev => [...prev, ...fresh]);
+            showPage(data);
+        } catch (err) {
+            console.error('Load more failed:', err);
+        } finally {
+            loadingMoreRef.current = false;
+            setLoadingMore(false);
         }
-    }, [API_URL]);
+    }, [fetchPage]);
 
+    // (re)load whenever the filters change
     useEffect(() => {
         fetchItems();
     }, [fetchItems]);
 
-    // listen for bid updates
+    // which items we watch - for the stars, whatever the filters
+    useEffect(() => {
+        let cancelled = false;
+
+        fetch(`${API_URL}/api/watchlist`, { headers: authHeaders() })
+            .then(response => response.json())
+            .then(data => {
+                if (!cancelled && data.success) setWatchedIds(new Set(data.itemIds));
+            })
+            .catch(err => console.error('Watchlist fetch failed:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [API_URL, authHeaders]);
+
+    const handleToggleWatch = useCallback(async (itemId, watch) => {
+        const response = await fetch(
+            watch ? `${API_URL}/api/watchlist` : `${API_URL}/api/watchlist/${encodeURIComponent(itemId)}`,
+            {
+                method: watch ? 'POST' : 'DELETE',
+                headers: { 'Content-Type': 'application/json', ...authHeaders() },
+                body: watch ? JSON.stringify({ itemId }) : undefined
+            }
+        );
+        const data = await response.json();
+
+        if (!data.success) {
+            throw toCallbackError({ error: data.code, message: data.error }, 'Could not update watchlist');
+        }
+
+        setWatchedIds(prev => {
+            const next = new Set(prev);
+            if (watch) {
+                next.add(itemId);
+            } else {
+                next.delete(itemId);
+            }
+            return next;
+        });
+
+        // unwatched from the watched-only view - it doesn't belong here any more
+        if (!watch && filters.watched) {
+            seqsRef.current.delete(itemId);
+            setItems(prev => prev.filter(item => item.id !== itemId));
+        }
+    }, [API_URL, authHeaders, filters.watched]);
+
+    // alerts for watched items - pushed to us even when the card isn't on screen
     useEffect(() => {
         if (!socket) return;
 
-        const handleBidUpdate = (data) => {
-            setItems(prev => prev.map(item => {
-                if (item.id === data.itemId) {
-                    return {
-                        ...item,
-                        currentBid: data.currentBid,
-                        highestBidderId: data.highestBidderId
-                    };
-                }
-                return item;
-            }));
+        const pushAlert = (message) => {
+            const alert = { id: `${Date.now()}-${Math.random()}`, message };
+            setAlerts(prev => [...prev, alert].slice(-MAX_ALERTS));
+            setTimeout(() => {
+                setAlerts(prev => prev.filter(existing => existing.id !== alert.id));
+            }, ALERT_DURATION_MS);
         };
 
-        socket.on('UPDATE_BID', handleBidUpdate);
+        const handleWatchedBid = (data) => {
+            pushAlert(data.buyNow
+                ? `🛒 "${data.title}" was bought with Buy It Now for $${data.currentBid.toLocaleString()}`
+                : data.accepted
+                    ? `🛒 "${data.title}" sold at $${data.currentBid.toLocaleString()}`
+                    : `👀 New bid on "${data.title}" - now $${data.currentBid.toLocaleString()}`);
+        };
+
+        const handleWatchedEnding = (data) => {
+            const secondsLeft = Math.max(0, Math.ceil((data.auctionEndTime - data.serverTime) / 1000));
+            pushAlert(data.currentBid === null
+                ? `⏰ "${data.title}" ends in ${secondsLeft}s - sealed bids close then`
+                : `⏰ "${data.title}" ends in ${secondsLeft}s - currently $${data.currentBid.toLocaleString()}`);
+        };
+
+        socket.on('WATCHED_ITEM_BID', handleWatchedBid);
+        socket.on('WATCHED_ITEM_ENDING', handleWatchedEnding);
 
         return () => {
-            socket.off('UPDATE_BID', handleBidUpdate);
+            socket.off('WATCHED_ITEM_BID', handleWatchedBid);
+            socket.off('WATCHED_ITEM_ENDING', handleWatchedEnding);
         };
     }, [socket]);
 
-    // place a bid
-    const handlePlaceBid = useCallback((itemId, currentBid) => {
-        if (!socket || !isConnected) {
-            return Promise.reject(new Error('Not connected'));
-        }
+    // infinite scroll - load the next page as the bottom of the grid comes into view.
+    // A new cursor means a new observer, which fires straight away if we're still at the bottom
+    useEffect(() => {
+        if (!nextCursor || !sentinelRef.current) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) loadMore();
+        }, { rootMargin: LOAD_MORE_MARGIN });
 
-        const bidAmount = currentBid + 10; // always +$10
+        observer.observe(sentinelRef.current);
+        return () => observer.disconnect();
+    }, [nextCursor, loadMore, loading]);
 
-        return new Promise((resolve, reject) => {
-            socket.emit('BID_PLACED', {
-                itemId,
-                bidAmount,
-                bidderId: userId
-            }, (response) => {
-                if (response.success) {
-                    resolve(response);
+    // live item events, checked against each item's seq. A gap - or a
+    // reconnect - sends RESYNC, which returns the missed events per item
+    // or a snapshot when the server can't replay them
+    useEffect(() => {
+        if (!socket) return;
+
+        const applyEvent = (event, data) => {
+            const seqs = seqsRef.current;
+            const lastSeq = seqs.get(data.itemId);
+
+            // not an item we've loaded yet - a resync will bring it
+            if (lastSeq === undefined) return;
+
+            if (typeof data.seq === 'number') {
+                if (data.seq < lastSeq) return; // we already have newer state
+                if (data.seq > lastSeq + 1) {
+                    // skipped a revision - don't apply this on top of a hole
+                    resync();
+                    return;
+                }
+                seqs.set(data.itemId, data.seq);
+            }
+
+            setItems(prev => prev.map(item =>
+                item.id === data.itemId ? applyItemEvent(item, event, data) : item
+            ));
+        };
+
+        const applyResync = ({ updates, added, removed }) => {
+            const seqs = seqsRef.current;
+
+            updates.forEach(update => {
+                if (update.snapshot) {
+                    if (!seqs.has(update.itemId)) return;
+                    seqs.set(update.itemId, update.snapshot.seq);
+                    setItems(prev => prev.map(item =>
+                        item.id === update.itemId ? { ...item, ...update.snapshot } : item
+                    ));
                 } else {
-                    reject(new Error(response.message || 'Bid failed'));
+                    update.events.forEach(({ event, payload }) => applyEvent(event, payload));
+                }
+            });
+
+            removed.forEach(itemId => seqs.delete(itemId));
+            added.forEach(item => seqs.set(item.id, item.seq));
+
+            if (removed.length > 0 || added.length > 0) {
+                setItems(prev => {
+                    const kept = prev.filter(item => !removed.includes(item.id));
+                    const fresh = added.filter(item => !kept.some(existing => existing.id === item.id));
+                    return [...kept, ...fresh];
+                });
+            }
+        };
+
+        // one RESYNC in flight at a time - a gap spotted meanwhile queues another
+        const resync = () => {
+            if (!loadedRef.current) return;
+
+            if (resyncState.current.inFlight) {
+                resyncState.current.queued = true;
+                return;
+            }
+            resyncState.current.inFlight = true;
+            const generation = queryGenRef.current;
+
+            // query + until so the server only adds new items that belong on the pages we have
+            socket.timeout(RESYNC_TIMEOUT_MS).emit('RESYNC', {
+                since: Object.fromEntries(seqsRef.current),
+                query: queryRef.current,
+                until: nextCursorRef.current
+            }, (err, response) => {
+                resyncState.current.inFlight = false;
+
+                if (!err && response?.success && generation === queryGenRef.current) {
+                    applyResync(response);
+                }
+
+                if (resyncState.current.queued) {
+                    resyncState.current.queued = false;
+                    resync();
                 }
             });
+        };
+
+        const handlers = {};
+        SEQUENCED_EVENTS.forEach(event => {
+            handlers[event] = (data) => applyEvent(event, data);
         });
-    }, [socket, isConnected, userId]);
+
+        // sellers adding or cancelling auctions - whether a new one belongs in
+        // this (maybe filtered, maybe paged) list is the server's call
+        handlers.ITEM_CREATED = resync;
+
+        handlers.ITEM_REMOVED = (data) => {
+            seqsRef.current.delete(data.itemId);
+            setItems(prev => prev.filter(item => item.id !== data.itemId));
+        };
+
+        // reconnected - whatever happened while we were away
+        handlers.connect = resync;
+
+        Object.entries(handlers).forEach(([event, handler]) => socket.on(event, handler));
+
+        return () => {
+            Object.entries(handlers).forEach(([event, handler]) => socket.off(event, handler));
+        };
+    }, [socket]);
+
+    // place a bid - retried with the same request ID if the ack never comes,
+    // so the server answers a resend with the first result instead of bidding twice
+    const handlePlaceBid = useCallback(async (itemId, bidAmount) => {
+        if (!socket || !isConnected) {
+            throw new Error('Not connected');
+        }
+
+        // clicking again for the same amount after a lost answer reuses the ID too
+        const pendingKey = `${itemId}:${bidAmount}`;
+        let requestId = pendingBidIds.current.get(pendingKey);
+        if (!requestId) {
+            requestId = newRequestId();
+            pendingBidIds.current.set(pendingKey, requestId);
+        }
+
+        for (let attempt = 1; attempt <= BID_MAX_ATTEMPTS; attempt++) {
+            let response;
+            try {
+                // no bidderId - the server knows who we are from the socket's token
+                response = await socket.timeout(BID_ACK_TIMEOUT_MS).emitWithAck('BID_PLACED', {
+                    itemId,
+                    bidAmount,
+                    requestId
+                });
+            } catch {
+                // no ack - socket.io buffers the resend until we're reconnected
+                continue;
+            }
+
+            // a real answer, so this ID has done its job
+            pendingBidIds.current.delete(pendingKey);
+
+            if (response.success) return response;
+            throw toCallbackError(response, 'Bid failed');
+        }
+
+        throw new Error('No answer from the server - check your connection and try again');
+    }, [socket, isConnected]);
+
+    // register a secret maximum - the server bids for us up to it
+    const handleSetMaxBid = useCallback(async (itemId, maxAmount) => {
+        if (!socket || !isConnected) {
+            throw new Error('Not connected');
+        }
+
+        return emitAction(socket, 'SET_MAX_BID', { itemId, maxAmount }, 'Could not set maximum bid');
+    }, [socket, isConnected]);
+
+    // buy at the fixed price - ends the auction immediately
+    const handleBuyNow = useCallback(async (itemId) => {
+        if (!socket || !isConnected) {
+            throw new Error('Not connected');
+        }
+
+        return emitAction(socket, 'BUY_NOW', { itemId }, 'Could not complete purchase');
+    }, [socket, isConnected]);
+
+    // Dutch auctions - take the current price, which ends the auction
+    const handleAcceptPrice = useCallback(async (itemId) => {
+        if (!socket || !isConnected) {
+            throw new Error('Not connected');
+        }
+
+        return emitAction(socket, 'ACCEPT_PRICE', { itemId }, 'Could not accept the price');
+    }, [socket, isConnected]);
 
     if (loading) {
         return (
@@ -109,6 +529,23 @@ function AuctionDashboard({ userId, timeOffset }) {
                 <p className="subtitle">Bid fast - time is running out!</p>
             </div>
 
+            <FilterBar filters={filters} categories={categories} onChange={setFilters} />
+
+            {items.length === 0 && (
+                <div className="empty-results">
+                    {hasActiveFilters(filters) ? (
+                        <>
+                            <p>{filterError || 'No auctions match these filters'}</p>
+                            <button className="filter-clear" onClick={() => setFilters(CLEARED_FILTERS)}>
+                                Clear filters
+                            </button>
+                        </>
+                    ) : (
+                        <p>{filterError || 'No auctions right now'}</p>
+                    )}
+                </div>
+            )}
+
             <div className="auction-grid">
                 <AnimatePresence>
                     {items.map((item, index) => (
@@ -116,18 +553,55 @@ function AuctionDashboard({ userId, timeOffset }) {
                             key={item.id}
                             initial={{ opacity: 0, y: 20 }}
                             animate={{ opacity: 1, y: 0 }}
-                            transition={{ delay: index * 0.1 }}
+                            transition={{ delay: (index % PAGE_SIZE) * 0.1 }}
+                        >
+                            {item.format === 'dutch' ? (
+                                <DutchAuctionCard
+                                    item={item}
+                                    userId={userId}
+                                    timeOffset={timeOffset}
+                                    watched={watchedIds.has(item.id)}
+                                    onAcceptPrice={handleAcceptPrice}
+                                    onToggleWatch={handleToggleWatch}
+                                />
+                            ) : (
+                                <AuctionCard
+                                    item={item}
+                                    userId={userId}
+                                    timeOffset={timeOffset}
+                                    watched={watchedIds.has(item.id)}
+                                    onPlaceBid={handlePlaceBid}
+                                    onSetMaxBid={handleSetMaxBid}
+                                    onBuyNow={handleBuyNow}
+                                    onToggleWatch={handleToggleWatch}
+                                />
+                            )}
+                        </motion.div>
+                    ))}
+                </AnimatePresence>
+            </div>
+
+            <div className="alert-stack">
+                <AnimatePresence>
+                    {alerts.map(alert => (
+                        <motion.div
+                            key={alert.id}
+                            className="watch-alert"
+                            initial={{ opacity: 0, x: 40 }}
+                            animate={{ opacity: 1, x: 0 }}
+                            exit={{ opacity: 0, x: 40 }}
                         >
-                            <AuctionCard
-                                item={item}
-                                userId={userId}
-                                timeOffset={timeOffset}
-                                onPlaceBid={handlePlaceBid}
-                            />
+                            {alert.message}
                         </motion.div>
                     ))}
                 </AnimatePresence>
             </div>
+
+            {nextCursor && (
+                <div ref={sentinelRef} className="load-more">
+                    {loadingMore && <div className="loading-spinner"></div>}
+                </div>
+            )}
         </div>
     );
 }
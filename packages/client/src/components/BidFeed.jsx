@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useSocket } from '../context/SocketContext';
+import { useAuth } from '../context/AuthContext';
+
+const PAGE_SIZE = 20;
+
+// same masking the server applies to live feed entries, so we can spot our own bids
+function maskBidderId(bidderId) {
+    if (bidderId.length <= 4) return '***';
+    return `${bidderId.slice(0, 1)}***${bidderId.slice(-3)}`;
+}
+
+function formatBidTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+}
+
+/*
+ * Scrolling list of bids on one item
+ * Loads history from the REST API, then prepends live NEW_BID events
+ */
+function BidFeed({ itemId, userId }) {
+    const { socket } = useSocket();
+    const { authHeaders } = useAuth();
+    const [bids, setBids] = useState([]);
+    const [page, setPage] = useState(0);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const API_URL = import.meta.env.VITE_API_URL || '';
+
+    // merge without duplicates - live bids can overlap with a later page
+    const mergeBids = useCallback((existing, incoming) => {
+        const seen = new Set(existing.map(bid => bid.id));
+        const fresh = incoming.filter(bid => !seen.has(bid.id));
+        return [...existing, ...fresh].sort((a, b) => b.timestamp - a.timestamp);
+    }, []);
+
+    const loadPage = useCallback(async (pageToLoad) => {
+        setLoading(true);
+        try {
+            const params = new URLSearchParams({
+                page: pageToLoad,
+                limit: PAGE_SIZE
+            });
+            // logged in, so the server unmasks our own bids
+            const response = await fetch(`${API_URL}/api/items/${itemId}/bids?${params}`, {
+                headers: authHeaders()
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setBids(prev => mergeBids(prev, data.bids));
+                setPage(pageToLoad);
+                setHasMore(data.pagination.hasMore);
+            }
+        } catch (err) {
+            console.error('Bid history fetch error:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [API_URL, itemId, authHeaders, mergeBids]);
+
+    useEffect(() => {
+        loadPage(1);
+    }, [loadPage]);
+
+    // live feed
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleNewBid = (data) => {
+            if (data.itemId !== itemId) return;
+            setBids(prev => mergeBids(prev, [data.bid]));
+        };
+
+        socket.on('NEW_BID', handleNewBid);
+
+        return () => {
+            socket.off('NEW_BID', handleNewBid);
+        };
+    }, [socket, itemId, mergeBids]);
+
+    const ownMaskedId = maskBidderId(userId);
+
+    return (
+        <div className="bid-feed">
+            {bids.length === 0 && !loading && (
+                <p className="bid-feed-empty">No bids yet - be the first!</p>
+            )}
+
+            <ul className="bid-feed-list">
+                <AnimatePresence initial={false}>
+                    {bids.map((bid) => {
+                        const isYou = bid.isYou || bid.bidderId === ownMaskedId;
+                        return (
+                            <motion.li
+                                key={bid.id}
+                                className={`bid-feed-entry ${isYou ? 'own' : ''}`}
+                                initial={{ opacity: 0, x: -10 }}
+                                animate={{ opacity: 1, x: 0 }}
+                            >
+                                <span className="bid-feed-bidder">
+                                    {isYou ? 'You' : bid.bidderId}
+                                    {bid.auto && <span className="bid-feed-auto" title="Placed automatically by a max bid">auto</span>}
+                                </span>
+                                <span className="bid-feed-amount">${bid.amount.toLocaleString()}</span>
+                                <span className="bid-feed-time">{formatBidTime(bid.timestamp)}</span>
+                            </motion.li>
+                        );
+                    })}
+                </AnimatePresence>
+            </ul>
+
+            {hasMore && (
+                <button
+                    className="bid-feed-more"
+                    onClick={() => loadPage(page + 1)}
+                    disabled={loading}
+                >
+                    {loading ? 'Loading...' : 'Load older bids'}
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default BidFeed;
@@ -3,8 +3,10 @@ import { useState, useEffect, useRef } from 'react';
 /*
  * Server-synced countdown timer
  * Uses timeOffset to calculate accurate remaining time
+ * If endTime moves into the future again (soft-close extension) the
+ * timer picks it up and onEnd can fire again at the new end
  */
-function CountdownTimer({ endTime, timeOffset = 0, onEnd }) {
+function CountdownTimer({ endTime, timeOffset = 0, onEnd, label = 'Time Left' }) {
     const [timeLeft, setTimeLeft] = useState(null);
     const hasEndedRef = useRef(false);
 
@@ -22,6 +24,8 @@ function CountdownTimer({ endTime, timeOffset = 0, onEnd }) {
                 return 0;
             }
 
+            // un-latch if the end time was pushed back after we hit zero
+            hasEndedRef.current = false;
             return remaining;
         };
 
@@ -56,7 +60,7 @@ function CountdownTimer({ endTime, timeOffset = 0, onEnd }) {
 
     return (
         <div className={`countdown ${isUrgent ? 'urgent' : ''} ${isCritical ? 'critical' : ''}`}>
-            <span className="countdown-label">Time Left</span>
+            <span className="countdown-label">{label}</span>
             <span className="countdown-value">
                 {String(minutes).padStart(2, '0')}:{String(seconds).padStart(2, '0')}
                 <span className="countdown-tenths">.{tenths}</span>
@@ -0,0 +1,254 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { useSocket } from '../context/SocketContext';
+import CountdownTimer from './CountdownTimer';
+import { getItemEmoji } from './AuctionCard';
+
+/*
+ * Card for a Dutch (descending-price) auction
+ *
+ * The price only ever falls - PRICE_TICK events step it down towards the
+ * floor - and there's no bidding, just one button to take the current
+ * price. The server charges whatever the price is when the accept gets
+ * there, so a drop in between only ever makes it cheaper
+ */
+function DutchAuctionCard({ item, userId, timeOffset, watched, onAcceptPrice, onToggleWatch }) {
+    const { socket } = useSocket();
+    const [now, setNow] = useState(() => Date.now() + timeOffset);
+    const [timerExpired, setTimerExpired] = useState(false);
+    const [accepting, setAccepting] = useState(false);
+    const [priceDropped, setPriceDropped] = useState(false);
+    const [error, setError] = useState(null);
+    const [cooldownUntil, setCooldownUntil] = useState(null);
+    const [togglingWatch, setTogglingWatch] = useState(false);
+    const lastPriceRef = useRef(item.currentBid);
+
+    const isScheduled = item.status === 'scheduled';
+    const isClosed = item.status === 'closed';
+    const auctionEnded = isClosed || timerExpired;
+    const coolingDown = cooldownUntil !== null && cooldownUntil > now;
+    const atFloor = item.currentBid <= item.floorPrice;
+
+    // the drop countdown needs a clock of its own between ticks
+    useEffect(() => {
+        if (isClosed) return;
+        const interval = setInterval(() => setNow(Date.now() + timeOffset), 250);
+        return () => clearInterval(interval);
+    }, [timeOffset, isClosed]);
+
+    // an admin extension moved the end time out again
+    useEffect(() => {
+        if (item.auctionEndTime > Date.now() + timeOffset) {
+            setTimerExpired(false);
+        }
+    }, [item.auctionEndTime, timeOffset]);
+
+    // flash the price on each drop
+    useEffect(() => {
+        if (item.currentBid < lastPriceRef.current) {
+            setPriceDropped(true);
+            const timer = setTimeout(() => setPriceDropped(false), 600);
+            lastPriceRef.current = item.currentBid;
+            return () => clearTimeout(timer);
+        }
+        lastPriceRef.current = item.currentBid;
+    }, [item.currentBid]);
+
+    // same room subscription as a regular card - PRICE_TICK goes to the item's room
+    useEffect(() => {
+        if (!socket) return;
+
+        const join = () => socket.emit('JOIN_ITEM', { itemId: item.id });
+
+        if (socket.connected) join();
+        socket.on('connect', join);
+
+        return () => {
+            socket.off('connect', join);
+            socket.emit('LEAVE_ITEM', { itemId: item.id });
+        };
+    }, [socket, item.id]);
+
+    const showActionError = useCallback((err) => {
+        if (err.code === 'RATE_LIMITED') {
+            setCooldownUntil(Date.now() + timeOffset + (err.retryAfterMs || 1000));
+        }
+        setError(err.message);
+        setTimeout(() => setError(null), 3000);
+    }, [timeOffset]);
+
+    const handleAcceptClick = useCallback(async () => {
+        if (accepting || auctionEnded || isScheduled || coolingDown) return;
+        if (!window.confirm(`Buy "${item.title}" at $${item.currentBid.toLocaleString()}? First to accept wins - this ends the auction.`)) return;
+
+        setAccepting(true);
+        setError(null);
+
+        try {
+            await onAcceptPrice(item.id);
+            // AUCTION_ENDED takes care of the rest
+        } catch (err) {
+            showActionError(err);
+        } finally {
+            setAccepting(false);
+        }
+    }, [item.id, item.title, item.currentBid, accepting, auctionEnded, isScheduled, coolingDown, onAcceptPrice, showActionError]);
+
+    const handleWatchClick = useCallback(async () => {
+        if (togglingWatch) return;
+
+        setTogglingWatch(true);
+        try {
+            await onToggleWatch(item.id, !watched);
+        } catch (err) {
+            showActionError(err);
+        } finally {
+            setTogglingWatch(false);
+        }
+    }, [item.id, watched, togglingWatch, onToggleWatch, showActionError]);
+
+    const handleAuctionEnd = useCallback(() => {
+        setTimerExpired(true);
+    }, []);
+
+    // where the price sits between its start and its floor, and how far into the current step we are
+    const priceRange = item.startingPrice - item.floorPrice;
+    const pricePercent = priceRange > 0 ? ((item.currentBid - item.floorPrice) / priceRange) * 100 : 0;
+    const intervalMs = item.priceDropIntervalSec * 1000;
+    const msToDrop = item.nextPriceDropAt ? Math.max(0, item.nextPriceDropAt - now) : null;
+    const nextPrice = Math.max(item.floorPrice, item.currentBid - item.priceDropAmount);
+
+    let statusBadge = null;
+    if (isClosed) {
+        statusBadge = item.winnerId === userId ? (
+            <span className="badge badge-won">🏆 You Won!</span>
+        ) : (
+            <span className="badge badge-ended">{item.outcome === 'sold' ? 'Sold' : 'No Buyer'}</span>
+        );
+    } else if (timerExpired) {
+        statusBadge = <span className="badge badge-ended">Closing...</span>;
+    } else if (isScheduled) {
+        statusBadge = <span className="badge badge-upcoming">Upcoming</span>;
+    }
+
+    return (
+        <motion.div
+            className={`auction-card dutch ${auctionEnded ? 'ended' : ''}`}
+            whileHover={!auctionEnded ? { scale: 1.02 } : {}}
+        >
+            <div className="card-image">
+                <div className="image-placeholder">
+                    <span className="emoji-icon">{getItemEmoji(item.title)}</span>
+                </div>
+                {statusBadge}
+                {(!isClosed || watched) && (
+                    <button
+                        className={`watch-button ${watched ? 'watching' : ''}`}
+                        onClick={handleWatchClick}
+                        disabled={togglingWatch}
+                        title={watched ? 'Stop watching' : 'Watch - get alerts for the final minute'}
+                    >
+                        {watched ? '★' : '☆'}
+                    </button>
+                )}
+            </div>
+
+            <div className="card-content">
+                <span className="format-tag" title="The price falls until someone takes it">⬇ Dutch auction</span>
+                <h3 className="item-title">{item.title}</h3>
+                <p className="item-description">{item.description}</p>
+
+                <div className="bid-info">
+                    <div className="price-section">
+                        <span className="price-label">{isClosed ? 'Final Price' : 'Price Now'}</span>
+                        <motion.span
+                            className={`price-value dutch-price ${priceDropped ? 'flash-drop' : ''}`}
+                            key={item.currentBid}
+                            initial={{ y: priceDropped ? -8 : 0, opacity: priceDropped ? 0.4 : 1 }}
+                            animate={{ y: 0, opacity: 1 }}
+                            transition={{ duration: 0.3 }}
+                        >
+                            ${(isClosed && item.finalPrice !== null ? item.finalPrice : item.currentBid).toLocaleString()}
+                        </motion.span>
+                    </div>
+
+                    {isScheduled ? (
+                        <CountdownTimer
+                            endTime={item.auctionStartTime}
+                            timeOffset={timeOffset}
+                            label="Starts In"
+                        />
+                    ) : (
+                        <CountdownTimer
+                            endTime={item.auctionEndTime}
+                            timeOffset={timeOffset}
+                            onEnd={handleAuctionEnd}
+                        />
+                    )}
+                </div>
+
+                {!isClosed && (
+                    <div className="dutch-schedule">
+                        <div className="dutch-range" title={`From $${item.startingPrice.toLocaleString()} down to $${item.floorPrice.toLocaleString()}`}>
+                            <div className="dutch-range-fill" style={{ width: `${pricePercent}%` }} />
+                        </div>
+                        <div className="dutch-range-labels">
+                            <span>Floor ${item.floorPrice.toLocaleString()}</span>
+                            <span>Start ${item.startingPrice.toLocaleString()}</span>
+                        </div>
+
+                        <p className="dutch-next-drop">
+                            {isScheduled
+                                ? `Drops $${item.priceDropAmount.toLocaleString()} every ${item.priceDropIntervalSec}s once it starts`
+                                : atFloor || msToDrop === null
+                                    ? 'At its lowest price'
+                                    : `$${nextPrice.toLocaleString()} in ${Math.ceil(msToDrop / 1000)}s`}
+                        </p>
+                        {!isScheduled && msToDrop !== null && (
+                            <div className="dutch-drop-progress">
+                                <div
+                                    className="dutch-drop-progress-fill"
+                                    style={{ width: `${Math.min(100, (1 - msToDrop / intervalMs) * 100)}%` }}
+                                />
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {error && (
+                    <motion.div
+                        className="error-toast"
+                        initial={{ opacity: 0, y: -10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                    >
+                        {error}
+                    </motion.div>
+                )}
+
+                <button
+                    className={`bid-button accept-button ${accepting ? 'loading' : ''} ${auctionEnded ? 'disabled' : ''} ${coolingDown ? 'cooldown' : ''}`}
+                    onClick={handleAcceptClick}
+                    disabled={accepting || auctionEnded || isScheduled || coolingDown}
+                >
+                    {accepting ? (
+                        <span className="button-loading">Buying...</span>
+                    ) : isClosed ? (
+                        item.outcome === 'sold'
+                            ? `Sold for $${item.finalPrice.toLocaleString()}`
+                            : 'Ended - No Buyer'
+                    ) : auctionEnded ? (
+                        'Closing...'
+                    ) : isScheduled ? (
+                        'Not Started Yet'
+                    ) : coolingDown ? (
+                        'Slow down - try again in a moment'
+                    ) : (
+                        `Accept $${item.currentBid.toLocaleString()}`
+                    )}
+                </button>
+            </div>
+        </motion.div>
+    );
+}
+
+export default DutchAuctionCard;
@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { hasActiveFilters, CLEARED_FILTERS } from '../hooks/useUrlFilters';
+
+// wait for a pause in typing before refetching
+const TYPING_DEBOUNCE_MS = 300;
+
+const STATUS_OPTIONS = [
+    ['', 'Any status'],
+    ['live', 'Live'],
+    ['ending', 'Ending soon'],
+    ['scheduled', 'Upcoming'],
+    ['ended', 'Ended']
+];
+
+// sort + order pairs, as "sort:order"
+const SORT_OPTIONS = [
+    ['', 'Ending soonest'],
+    ['endTime:desc', 'Ending latest'],
+    ['price:desc', 'Highest price'],
+    ['price:asc', 'Lowest price'],
+    ['bids:desc', 'Most bids']
+];
+
+// the server's default order per sort (utils/itemQuery.js), for URLs that leave it out
+const DEFAULT_ORDERS = { endTime: 'asc', price: 'desc', bids: 'desc' };
+
+const TYPED_FIELDS = ['q', 'minPrice', 'maxPrice'];
+
+function pickTyped(filters) {
+    return { q: filters.q, minPrice: filters.minPrice, maxPrice: filters.maxPrice };
+}
+
+function toSortValue({ sort, order }) {
+    if (!sort) return '';
+    const value = `${sort}:${order || DEFAULT_ORDERS[sort]}`;
+    return value === 'endTime:asc' ? '' : value;
+}
+
+function FilterBar({ filters, categories, onChange }) {
+    // typed fields are edited locally and pushed up once typing pauses
+    const [draft, setDraft] = useState(() => pickTyped(filters));
+
+    // URL changed underneath us (back button, "clear") - show that instead
+    useEffect(() => {
+        setDraft(pickTyped(filters));
+    }, [filters.q, filters.minPrice, filters.maxPrice]);
+
+    useEffect(() => {
+        const changed = TYPED_FIELDS.some(key => draft[key] !== filters[key]);
+        if (!changed) return;
+
+        const timer = setTimeout(() => onChange(draft), TYPING_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [draft]);
+
+    const sortValue = toSortValue(filters);
+
+    const handleSort = (value) => {
+        const [sort = '', order = ''] = value.split(':');
+        onChange({ sort, order });
+    };
+
+    return (
+        <div className="filter-bar">
+            <input
+                type="search"
+                className="filter-input filter-search"
+                placeholder="Search auctions..."
+                value={draft.q}
+                onChange={(e) => setDraft(prev => ({ ...prev, q: e.target.value }))}
+            />
+
+            <select
+                className="filter-input"
+                value={filters.category}
+                onChange={(e) => onChange({ category: e.target.value })}
+            >
+                <option value="">All categories</option>
+                {categories.map(category => (
+                    <option key={category} value={category}>
+                        {category.charAt(0).toUpperCase() + category.slice(1)}
+                    </option>
+                ))}
+            </select>
+
+            <select
+                className="filter-input"
+                value={filters.status}
+                onChange={(e) => onChange({ status: e.target.value })}
+            >
+                {STATUS_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                ))}
+            </select>
+
+            <div className="filter-price">
+                <input
+                    type="number"
+                    min="0"
+                    className="filter-input"
+                    placeholder="Min $"
+                    value={draft.minPrice}
+                    onChange={(e) => setDraft(prev => ({ ...prev, minPrice: e.target.value }))}
+                />
+                <span className="filter-price-dash">-</span>
+                <input
+                    type="number"
+                    min="0"
+                    className="filter-input"
+                    placeholder="Max $"
+                    value={draft.maxPrice}
+                    onChange={(e) => setDraft(prev => ({ ...prev, maxPrice: e.target.value }))}
+                />
+            </div>
+
+            <select
+                className="filter-input"
+                value={sortValue}
+                onChange={(e) => handleSort(e.target.value)}
+            >
+                {SORT_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                ))}
+            </select>
+
+            <label className={`filter-toggle ${filters.watched ? 'active' : ''}`}>
+                <input
+                    type="checkbox"
+                    checked={Boolean(filters.watched)}
+                    onChange={(e) => onChange({ watched: e.target.checked ? '1' : '' })}
+                />
+                ★ Watched only
+            </label>
+
+            {hasActiveFilters(filters) && (
+                <button className="filter-clear" onClick={() => onChange(CLEARED_FILTERS)}>
+                    Clear filters
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default FilterBar;
@@ -1,29 +1,8 @@
-import { useState } from 'react';
-
-function Header({ isConnected, userId, onReset }) {
-    const [resetting, setResetting] = useState(false);
-
-    const handleReset = async () => {
-        if (resetting) return;
-
-        setResetting(true);
-        try {
-            const API_URL = import.meta.env.VITE_API_URL || '';
-            const response = await fetch(`${API_URL}/api/reset`, {
-                method: 'POST'
-            });
-            const data = await response.json();
-
-            if (data.success) {
-                // Trigger parent to refetch items
-                onReset?.();
-            }
-        } catch (err) {
-            console.error('Reset failed:', err);
-        } finally {
-            setResetting(false);
-        }
-    };
+import { useAuth } from '../context/AuthContext';
+import NotificationCenter from './NotificationCenter';
+
+function Header({ isConnected, clockSync, view, onViewChange }) {
+    const { user, logout } = useAuth();
 
     return (
         <header className="header">
@@ -34,13 +13,25 @@ function Header({ isConnected, userId, onReset }) {
                 </div>
 
                 <div className="header-info">
-                    <button
-                        className={`reset-button ${resetting ? 'loading' : ''}`}
-                        onClick={handleReset}
-                        disabled={resetting}
-                    >
-                        {resetting ? '🔄 Resetting...' : '🔄 Reset Auctions'}
-                    </button>
+                    {user.isAdmin && (
+                        <button
+                            className="admin-toggle"
+                            onClick={() => onViewChange(view === 'admin' ? 'auctions' : 'admin')}
+                        >
+                            {view === 'admin' ? '← Back to auctions' : '🛠️ Admin'}
+                        </button>
+                    )}
+
+                    {isConnected && clockSync?.quality === 'poor' && (
+                        <div
+                            className="clock-warning"
+                            title={`Clock offset ${clockSync.offset}ms, round trip ${clockSync.rtt ?? '?'}ms - countdowns may be off by up to ${clockSync.rtt ? Math.round(clockSync.rtt / 2) : '?'}ms`}
+                        >
+                            ⚠️ Timer may be inaccurate
+                        </div>
+                    )}
+
+                    <NotificationCenter />
 
                     <div className={`connection-status ${isConnected ? 'connected' : 'disconnected'}`}>
                         <span className="status-dot"></span>
@@ -48,8 +39,11 @@ function Header({ isConnected, userId, onReset }) {
                     </div>
 
                     <div className="user-info">
-                        <span className="user-label">Your ID:</span>
-                        <code className="user-id">{userId.slice(-6)}</code>
+                        <span className="user-label">Bidding as</span>
+                        <code className="user-id">{user.username}</code>
+                        <button className="logout-button" onClick={logout}>
+                            Log out
+                        </button>
                     </div>
                 </div>
             </div>
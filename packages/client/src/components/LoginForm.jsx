@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+
+function LoginForm() {
+    const { login, register } = useAuth();
+    const [mode, setMode] = useState('login'); // 'login' or 'register'
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const isRegister = mode === 'register';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (submitting) return;
+
+        setSubmitting(true);
+        setError(null);
+
+        try {
+            if (isRegister) {
+                await register(username, password);
+            } else {
+                await login(username, password);
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="auth-container">
+            <motion.form
+                className="auth-form"
+                onSubmit={handleSubmit}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+            >
+                <h1>{isRegister ? 'Create an account' : 'Welcome back'}</h1>
+                <p className="subtitle">
+                    {isRegister ? 'Sign up to start bidding' : 'Log in to join the live auctions'}
+                </p>
+
+                <input
+                    className="auth-input"
+                    type="text"
+                    placeholder="Username"
+                    autoComplete="username"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    required
+                />
+                <input
+                    className="auth-input"
+                    type="password"
+                    placeholder="Password"
+                    autoComplete={isRegister ? 'new-password' : 'current-password'}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                />
+
+                {error && <div className="error-toast">{error}</div>}
+
+                <button className="bid-button" type="submit" disabled={submitting}>
+                    {submitting ? 'Please wait...' : isRegister ? 'Sign Up' : 'Log In'}
+                </button>
+
+                <button
+                    type="button"
+                    className="auth-switch"
+                    onClick={() => {
+                        setMode(isRegister ? 'login' : 'register');
+                        setError(null);
+                    }}
+                >
+                    {isRegister ? 'Already have an account? Log in' : 'New here? Create an account'}
+                </button>
+            </motion.form>
+        </div>
+    );
+}
+
+export default LoginForm;
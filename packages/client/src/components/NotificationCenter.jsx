@@ -0,0 +1,124 @@
+import { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useNotifications } from '../hooks/useNotifications';
+
+const TYPE_ICONS = {
+    outbid: '⚠️',
+    won: '🏆',
+    ending_soon: '⏰'
+};
+
+function timeAgo(timestamp) {
+    const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+function NotificationCenter() {
+    const {
+        notifications,
+        unreadCount,
+        markAllRead,
+        clearAll,
+        browserAlerts,
+        browserAlertsSupported,
+        browserAlertsBlocked,
+        toggleBrowserAlerts
+    } = useNotifications();
+    const [open, setOpen] = useState(false);
+    // what was unread when the panel opened - stays highlighted while it's open
+    const [freshIds, setFreshIds] = useState(() => new Set());
+    const panelRef = useRef(null);
+
+    const handleToggle = () => {
+        if (!open) {
+            setFreshIds(new Set(notifications.filter(n => !n.read).map(n => n.id)));
+        }
+        setOpen(prev => !prev);
+    };
+
+    // an open panel counts as read - including anything that arrives while it's open
+    useEffect(() => {
+        if (open && unreadCount > 0) markAllRead();
+    }, [open, unreadCount, markAllRead]);
+
+    // click outside to close
+    useEffect(() => {
+        if (!open) return;
+
+        const handleClick = (e) => {
+            if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+        };
+
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    return (
+        <div className="notification-center" ref={panelRef}>
+            <button className="bell-button" onClick={handleToggle} title="Notifications">
+                🔔
+                {unreadCount > 0 && (
+                    <span className="unread-count">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                )}
+            </button>
+
+            <AnimatePresence>
+                {open && (
+                    <motion.div
+                        className="notification-panel"
+                        initial={{ opacity: 0, y: -8 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -8 }}
+                    >
+                        <div className="notification-panel-header">
+                            <span>Notifications</span>
+                            {notifications.length > 0 && (
+                                <button className="notification-action" onClick={clearAll}>
+                                    Clear all
+                                </button>
+                            )}
+                        </div>
+
+                        {notifications.length === 0 ? (
+                            <p className="notification-empty">Nothing yet - outbids, wins and closing auctions show up here</p>
+                        ) : (
+                            <ul className="notification-list">
+                                {notifications.map(notification => (
+                                    <li
+                                        key={notification.id}
+                                        className={`notification-entry ${freshIds.has(notification.id) ? 'unread' : ''}`}
+                                    >
+                                        <span className="notification-icon">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                                        <div className="notification-body">
+                                            <span>{notification.message}</span>
+                                            <span className="notification-time">{timeAgo(notification.createdAt)}</span>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        {browserAlertsSupported && (
+                            <button
+                                className="notification-action browser-alerts-toggle"
+                                onClick={toggleBrowserAlerts}
+                                disabled={browserAlertsBlocked}
+                            >
+                                {browserAlertsBlocked
+                                    ? 'Browser notifications are blocked for this site'
+                                    : browserAlerts
+                                        ? '🔕 Turn off browser notifications'
+                                        : '🔔 Notify me when this tab is in the background'}
+                            </button>
+                        )}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
+
+export default NotificationCenter;
@@ -0,0 +1,95 @@
+import { createContext, useContext, useEffect, useState, useCallback } from 'react';
+
+const AuthContext = createContext(null);
+
+const API_URL = import.meta.env.VITE_API_URL || '';
+const TOKEN_KEY = 'bidding_auth_token';
+
+export function AuthProvider({ children }) {
+    const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+    const [user, setUser] = useState(null);
+    const [checking, setChecking] = useState(Boolean(token));
+
+    const saveSession = useCallback((newToken, newUser) => {
+        if (newToken) {
+            localStorage.setItem(TOKEN_KEY, newToken);
+        } else {
+            localStorage.removeItem(TOKEN_KEY);
+        }
+        setToken(newToken);
+        setUser(newUser);
+    }, []);
+
+    // make sure a stored token is still good before we use it
+    useEffect(() => {
+        if (!token || user) {
+            setChecking(false);
+            return;
+        }
+
+        let cancelled = false;
+
+        fetch(`${API_URL}/api/auth/me`, {
+            headers: { Authorization: `Bearer ${token}` }
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (cancelled) return;
+                if (data.success) {
+                    setUser(data.user);
+                } else {
+                    saveSession(null, null);
+                }
+            })
+            .catch(err => {
+                console.error('Session check failed:', err);
+            })
+            .finally(() => {
+                if (!cancelled) setChecking(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [token, user, saveSession]);
+
+    // shared by login and register - both hand back { token, user }
+    const authenticate = useCallback(async (path, username, password) => {
+        const response = await fetch(`${API_URL}/api/auth/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Authentication failed');
+        }
+
+        saveSession(data.token, data.user);
+        return data.user;
+    }, [saveSession]);
+
+    const login = useCallback((username, password) => authenticate('login', username, password), [authenticate]);
+    const register = useCallback((username, password) => authenticate('register', username, password), [authenticate]);
+    const logout = useCallback(() => saveSession(null, null), [saveSession]);
+
+    // headers for REST calls that should know who we are
+    const authHeaders = useCallback(() => (
+        token ? { Authorization: `Bearer ${token}` } : {}
+    ), [token]);
+
+    return (
+        <AuthContext.Provider value={{ user, token, checking, login, register, logout, authHeaders }}>
+            {children}
+        </AuthContext.Provider>
+    );
+}
+
+export function useAuth() {
+    const context = useContext(AuthContext);
+    if (!context) {
+        throw new Error('useAuth must be used within AuthProvider');
+    }
+    return context;
+}
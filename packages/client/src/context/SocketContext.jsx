@@ -1,18 +1,23 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
+import { useAuth } from './AuthContext';
 
 const SocketContext = createContext(null);
 
-// server URL - use env var in prod
-const SERVER_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+// server URL - use env var in prod. Otherwise connect to our own origin and let
+// the vite dev proxy / nginx pass it on (nginx balances across server replicas)
+const SERVER_URL = import.meta.env.VITE_API_URL || window.location.origin;
 
 export function SocketProvider({ children }) {
+    const { token, logout } = useAuth();
     const [socket, setSocket] = useState(null);
     const [isConnected, setIsConnected] = useState(false);
 
+    // reconnect whenever the token changes (login / logout)
     useEffect(() => {
-        // create socket connection
+        // create socket connection - the server identifies us by this token
         const newSocket = io(SERVER_URL, {
+            auth: { token },
             transports: ['websocket', 'polling'],
             reconnection: true,
             reconnectionAttempts: 10,
@@ -31,6 +36,11 @@ export function SocketProvider({ children }) {
 
         newSocket.on('connect_error', (error) => {
             console.error('Connection error:', error.message);
+
+            // token was rejected on the handshake - make the user log in again
+            if (error.message === 'INVALID_TOKEN') {
+                logout();
+            }
         });
 
         setSocket(newSocket);
@@ -39,7 +49,7 @@ export function SocketProvider({ children }) {
         return () => {
             newSocket.close();
         };
-    }, []);
+    }, [token, logout]);
 
     return (
         <SocketContext.Provider value={{ socket, isConnected }}>
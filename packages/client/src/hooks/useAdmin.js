@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+/*
+ * Data and actions for the admin console
+ *
+ * Polls /api/admin every few seconds while mounted - the counts it shows
+ * (viewers, connected sockets) don't have socket events of their own.
+ * Every action refreshes straight away so the table reflects it
+ */
+
+const API_URL = import.meta.env.VITE_API_URL || '';
+const POLL_INTERVAL_MS = 5000;
+
+export function useAdmin() {
+    const { authHeaders } = useAuth();
+    const [items, setItems] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // throws with the server's message so callers can show it
+    const request = useCallback(async (path, options = {}) => {
+        const response = await fetch(`${API_URL}/api${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...authHeaders() }
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            const details = data.details ? Object.values(data.details).join(', ') : null;
+            throw new Error(details || data.error || 'Request failed');
+        }
+        return data;
+    }, [authHeaders]);
+
+    const refresh = useCallback(async () => {
+        try {
+            const [itemsData, statsData] = await Promise.all([
+                request('/admin/items'),
+                request('/admin/stats')
+            ]);
+            setItems(itemsData.items);
+            setCategories(itemsData.categories);
+            setStats(statsData);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [request]);
+
+    useEffect(() => {
+        refresh();
+        const interval = setInterval(refresh, POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [refresh]);
+
+    // run an action, then reload - errors are left to the caller
+    const act = useCallback(async (path, options) => {
+        const data = await request(path, options);
+        await refresh();
+        return data;
+    }, [request, refresh]);
+
+    const createItem = useCallback((fields) => (
+        act('/admin/items', { method: 'POST', body: JSON.stringify(fields) })
+    ), [act]);
+
+    const extendItem = useCallback((itemId, seconds) => (
+        act(`/admin/items/${itemId}/extend`, { method: 'POST', body: JSON.stringify({ seconds }) })
+    ), [act]);
+
+    const closeItem = useCallback((itemId) => (
+        act(`/admin/items/${itemId}/close`, { method: 'POST' })
+    ), [act]);
+
+    const resetItem = useCallback((itemId) => (
+        act(`/admin/items/${itemId}/reset`, { method: 'POST' })
+    ), [act]);
+
+    const cancelItem = useCallback((itemId) => (
+        act(`/admin/items/${itemId}`, { method: 'DELETE' })
+    ), [act]);
+
+    const resetAll = useCallback(() => (
+        act('/reset', { method: 'POST' })
+    ), [act]);
+
+    return {
+        items,
+        categories,
+        stats,
+        loading,
+        error,
+        refresh,
+        createItem,
+        extendItem,
+        closeItem,
+        resetItem,
+        cancelItem,
+        resetAll
+    };
+}
@@ -0,0 +1,128 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSocket } from '../context/SocketContext';
+import { useAuth } from '../context/AuthContext';
+
+/*
+ * The user's notification inbox (outbid / won / ending soon)
+ *
+ * The server keeps it, so it survives reloads and fills up while we're
+ * offline - we load it on every connect and add NOTIFICATION pushes as
+ * they come in. Browser notifications are opt-in and only fire while
+ * the tab is hidden
+ */
+
+const API_URL = import.meta.env.VITE_API_URL || '';
+const BROWSER_ALERTS_KEY = 'bidding_browser_notifications';
+
+const browserNotificationsSupported = typeof window !== 'undefined' && 'Notification' in window;
+
+export function useNotifications() {
+    const { socket } = useSocket();
+    const { authHeaders } = useAuth();
+    const [notifications, setNotifications] = useState([]);
+    const [browserAlerts, setBrowserAlerts] = useState(() => (
+        browserNotificationsSupported
+            && Notification.permission === 'granted'
+            && localStorage.getItem(BROWSER_ALERTS_KEY) === 'on'
+    ));
+
+    const request = useCallback(async (path, options = {}) => {
+        const response = await fetch(`${API_URL}/api/notifications${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...authHeaders() }
+        });
+        return response.json();
+    }, [authHeaders]);
+
+    const loadInbox = useCallback(async () => {
+        try {
+            const data = await request('');
+            if (data.success) {
+                setNotifications(data.notifications);
+            }
+        } catch (err) {
+            console.error('Notification fetch failed:', err);
+        }
+    }, [request]);
+
+    // whatever arrived while we were away - on first load and every reconnect
+    useEffect(() => {
+        if (!socket) return;
+
+        if (socket.connected) loadInbox();
+        socket.on('connect', loadInbox);
+        return () => socket.off('connect', loadInbox);
+    }, [socket, loadInbox]);
+
+    // live pushes
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleNotification = (notification) => {
+            setNotifications(prev => (
+                prev.some(existing => existing.id === notification.id) ? prev : [notification, ...prev]
+            ));
+
+            if (browserAlerts && document.hidden) {
+                new Notification('LiveBid', {
+                    body: notification.message,
+                    tag: notification.id
+                });
+            }
+        };
+
+        socket.on('NOTIFICATION', handleNotification);
+        return () => socket.off('NOTIFICATION', handleNotification);
+    }, [socket, browserAlerts]);
+
+    const markAllRead = useCallback(async () => {
+        setNotifications(prev => prev.map(notification => ({ ...notification, read: true })));
+
+        try {
+            await request('/read', { method: 'POST', body: JSON.stringify({}) });
+        } catch (err) {
+            console.error('Mark read failed:', err);
+        }
+    }, [request]);
+
+    const clearAll = useCallback(async () => {
+        setNotifications([]);
+
+        try {
+            await request('', { method: 'DELETE' });
+        } catch (err) {
+            console.error('Clear notifications failed:', err);
+        }
+    }, [request]);
+
+    // has to come from a click - browsers ignore permission prompts otherwise
+    const toggleBrowserAlerts = useCallback(async () => {
+        if (!browserNotificationsSupported) return;
+
+        if (browserAlerts) {
+            localStorage.setItem(BROWSER_ALERTS_KEY, 'off');
+            setBrowserAlerts(false);
+            return;
+        }
+
+        const permission = Notification.permission === 'granted'
+            ? 'granted'
+            : await Notification.requestPermission();
+
+        if (permission === 'granted') {
+            localStorage.setItem(BROWSER_ALERTS_KEY, 'on');
+            setBrowserAlerts(true);
+        }
+    }, [browserAlerts]);
+
+    return {
+        notifications,
+        unreadCount: notifications.filter(notification => !notification.read).length,
+        markAllRead,
+        clearAll,
+        browserAlerts,
+        browserAlertsSupported: browserNotificationsSupported,
+        browserAlertsBlocked: browserNotificationsSupported && Notification.permission === 'denied',
+        toggleBrowserAlerts
+    };
+}
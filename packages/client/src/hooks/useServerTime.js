@@ -1,36 +1,191 @@
-import { useState, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useSocket } from '../context/SocketContext';
 
 /*
  * Hook to sync local time with server
  * Returns the offset so components can calculate accurate countdowns
+ *
+ * NTP-style: each sync round takes a handful of round-trip samples, throws
+ * away the slow ones (a slow trip means we can't tell which leg the delay
+ * was on) and uses the median offset of the rest. Rounds run on connect,
+ * every minute, when the tab becomes visible again and whenever a pushed
+ * SERVER_TIME proves our offset wrong. Small corrections are slewed in
+ * gradually so countdowns don't jump; big ones are applied at once
  */
+
+const SYNC_SAMPLES = 6;
+const SAMPLE_GAP_MS = 100;
+const SAMPLE_TIMEOUT_MS = 2000;
+const RESYNC_INTERVAL_MS = 60 * 1000;
+
+// keep samples whose RTT is within this of the fastest one
+const RTT_SLACK_FACTOR = 1.5;
+const RTT_SLACK_MS = 10;
+
+// half the best RTT bounds our error - past this, warn the user
+const POOR_ACCURACY_MS = 200;
+
+// corrections bigger than this are applied at once, smaller ones slewed in
+const STEP_THRESHOLD_MS = 1000;
+const SLEW_TICK_MS = 100;
+const SLEW_STEP_MS = 10;
+// the slew runs in a ref - timeOffset (and everything rendering off it)
+// only catches up this often, and when the slew is done
+const SLEW_PUBLISH_MS = 1000;
+
+// a pushed SERVER_TIME this far ahead of our estimate means we've drifted
+const PUSH_DRIFT_TOLERANCE_MS = 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// one round trip - null if the server didn't answer in time
+async function takeSample(socket) {
+    const sentAt = performance.now();
+    try {
+        const response = await socket.timeout(SAMPLE_TIMEOUT_MS).emitWithAck('GET_SERVER_TIME');
+        if (!response?.serverTime) return null;
+
+        // performance.now() for the RTT so a wall clock change mid-trip can't skew it
+        const rtt = performance.now() - sentAt;
+        // estimate: server stamped it halfway through the round trip
+        const offset = response.serverTime + (rtt / 2) - Date.now();
+        return { rtt, offset };
+    } catch {
+        return null;
+    }
+}
+
 export function useServerTime() {
-    const { socket } = useSocket();
+    const { socket, isConnected } = useSocket();
     const [timeOffset, setTimeOffset] = useState(0);
+    const [sync, setSync] = useState({ rtt: null, lastSyncAt: null, quality: 'unsynced' });
+
+    const offsetRef = useRef(0);
+    const targetRef = useRef(null);
+    const syncingRef = useRef(false);
+
+    const applyOffset = useCallback((offset) => {
+        offsetRef.current = offset;
+        setTimeOffset(offset);
+    }, []);
+
+    const syncTime = useCallback(async () => {
+        if (!socket || !socket.connected || syncingRef.current) return;
+        syncingRef.current = true;
+
+        try {
+            const samples = [];
+            for (let i = 0; i < SYNC_SAMPLES; i++) {
+                if (i > 0) await sleep(SAMPLE_GAP_MS);
+                const sample = await takeSample(socket);
+                if (sample) samples.push(sample);
+            }
 
-    const syncTime = useCallback(() => {
+            if (samples.length === 0) {
+                console.warn('Time sync failed: no response from server');
+                setSync(prev => ({ ...prev, quality: 'poor' }));
+                return;
+            }
+
+            const bestRtt = Math.min(...samples.map(sample => sample.rtt));
+            const kept = samples.filter(sample => sample.rtt <= bestRtt * RTT_SLACK_FACTOR + RTT_SLACK_MS);
+            const offset = Math.round(median(kept.map(sample => sample.offset)));
+
+            // first sync or a big jump (clock changed, laptop woke up) - no point easing in
+            if (targetRef.current === null || Math.abs(offset - offsetRef.current) > STEP_THRESHOLD_MS) {
+                applyOffset(offset);
+            }
+            targetRef.current = offset;
+
+            const rtt = Math.round(bestRtt);
+            setSync({
+                rtt,
+                lastSyncAt: Date.now(),
+                quality: rtt / 2 > POOR_ACCURACY_MS ? 'poor' : 'good'
+            });
+            console.log(`Time sync: offset is ${offset}ms (rtt ${rtt}ms, kept ${kept.length}/${samples.length} samples)`);
+        } finally {
+            syncingRef.current = false;
+        }
+    }, [socket, applyOffset]);
+
+    // sync on connect and every so often after that
+    useEffect(() => {
+        if (!socket || !isConnected) return;
+
+        syncTime();
+        const interval = setInterval(syncTime, RESYNC_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [socket, isConnected, syncTime]);
+
+    // background tabs get their timers throttled and laptops sleep - check again on return
+    useEffect(() => {
+        const handleVisibility = () => {
+            if (document.visibilityState === 'visible') syncTime();
+        };
+
+        document.addEventListener('visibilitychange', handleVisibility);
+        return () => document.removeEventListener('visibilitychange', handleVisibility);
+    }, [syncTime]);
+
+    // the server pushes its time now and then. One-way, so it only tells us
+    // the offset is *at least* this much - if we're below that, we've drifted
+    useEffect(() => {
         if (!socket) return;
 
-        const clientTime = Date.now();
+        const handleServerTime = ({ serverTime } = {}) => {
+            if (!serverTime || targetRef.current === null) return;
+
+            const minimumOffset = serverTime - Date.now();
+            if (minimumOffset > targetRef.current + PUSH_DRIFT_TOLERANCE_MS) {
+                console.log(`Time sync: server push is ${Math.round(minimumOffset - targetRef.current)}ms ahead of our estimate - resyncing`);
+                syncTime();
+            }
+        };
+
+        socket.on('SERVER_TIME', handleServerTime);
+        return () => socket.off('SERVER_TIME', handleServerTime);
+    }, [socket, syncTime]);
+
+    // slew towards the latest estimate a few ms at a time
+    useEffect(() => {
+        let publishedAt = 0;
 
-        socket.emit('GET_SERVER_TIME', (response) => {
-            if (response && response.serverTime) {
-                const roundTripTime = Date.now() - clientTime;
-                // estimate: server time when we sent + half the round trip
-                const estimatedServerTime = response.serverTime + (roundTripTime / 2);
-                const offset = estimatedServerTime - Date.now();
+        const interval = setInterval(() => {
+            const target = targetRef.current;
+            if (target === null || target === offsetRef.current) return;
 
-                setTimeOffset(offset);
-                console.log(`Time sync: offset is ${offset}ms`);
+            const diff = target - offsetRef.current;
+            offsetRef.current += Math.sign(diff) * Math.min(Math.abs(diff), SLEW_STEP_MS);
+
+            const now = Date.now();
+            if (offsetRef.current === target || now - publishedAt >= SLEW_PUBLISH_MS) {
+                publishedAt = now;
+                setTimeOffset(offsetRef.current);
             }
-        });
-    }, [socket]);
+        }, SLEW_TICK_MS);
+
+        return () => clearInterval(interval);
+    }, []);
 
-    // get current server time (local time adjusted by offset)
+    // get current server time (local time adjusted by offset) - reads the
+    // ref, so it's up to date mid-slew and never changes identity
     const getServerTime = useCallback(() => {
-        return Date.now() + timeOffset;
-    }, [timeOffset]);
+        return Date.now() + offsetRef.current;
+    }, []);
 
-    return { timeOffset, syncTime, getServerTime };
+    return {
+        timeOffset,
+        rtt: sync.rtt,
+        syncQuality: sync.quality,
+        lastSyncAt: sync.lastSyncAt,
+        syncTime,
+        getServerTime
+    };
 }
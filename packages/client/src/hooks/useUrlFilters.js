@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/*
+ * Dashboard filters kept in the URL query string
+ * so a filtered view can be bookmarked, shared and survives a reload
+ */
+
+export const FILTER_KEYS = ['q', 'category', 'status', 'minPrice', 'maxPrice', 'watched', 'sort', 'order'];
+
+function readFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = {};
+    FILTER_KEYS.forEach(key => {
+        filters[key] = params.get(key) || '';
+    });
+    return filters;
+}
+
+// only the filters that are set, as GET /api/items params
+export function toQueryParams(filters) {
+    const params = {};
+    FILTER_KEYS.forEach(key => {
+        if (filters[key]) params[key] = filters[key];
+    });
+    return params;
+}
+
+// everything but the sort order
+export const CLEARED_FILTERS = { q: '', category: '', status: '', minPrice: '', maxPrice: '', watched: '' };
+
+export function hasActiveFilters(filters) {
+    return Object.keys(CLEARED_FILTERS).some(key => filters[key]);
+}
+
+export function useUrlFilters() {
+    const [filters, setFiltersState] = useState(readFilters);
+
+    // back / forward
+    useEffect(() => {
+        const handlePopState = () => setFiltersState(readFilters());
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // merge changes in and mirror them to the URL - replaceState so typing
+    // in the search box doesn't leave a history entry per keystroke
+    const setFilters = useCallback((changes) => {
+        setFiltersState(prev => {
+            const next = { ...prev, ...changes };
+
+            const params = new URLSearchParams(toQueryParams(next)).toString();
+            const url = `${window.location.pathname}${params ? `?${params}` : ''}${window.location.hash}`;
+            window.history.replaceState(null, '', url);
+
+            return next;
+        });
+    }, []);
+
+    return [filters, setFilters];
+}
@@ -0,0 +1,85 @@
+/*
+ * Simulated bidders from the command line
+ *
+ *   npm run bots -- --bots 50 --duration 120
+ *   npm run bots -- --url https://bids.example.com --items item-001,item-002 --strategies sniper,proxy
+ *
+ * Same runs as POST /api/admin/bots, but from anywhere that can reach the
+ * server. Prints the report and exits 1 if any invariant check failed
+ * (2 if the run itself couldn't get going), so it can gate a load test.
+ * --json prints the raw report instead
+ */
+
+import { parseArgs } from 'util';
+import { createBotRun } from '../src/bots/botRun.js';
+import { validateBotRunInput } from '../src/utils/botValidation.js';
+import { hasErrors } from '../src/utils/itemValidation.js';
+
+const { values: args } = parseArgs({
+    options: {
+        url: { type: 'string', default: process.env.BOT_TARGET_URL || 'http://localhost:3001' },
+        bots: { type: 'string' },
+        items: { type: 'string' },
+        strategies: { type: 'string' },
+        duration: { type: 'string' },
+        think: { type: 'string' },
+        json: { type: 'boolean', default: false }
+    }
+});
+
+const list = (value) => (value ? value.split(',').map(part => part.trim()).filter(Boolean) : undefined);
+const number = (value) => (value === undefined ? undefined : Number(value));
+const [thinkMin, thinkMax] = (args.think || '').split('-');
+
+const { values: config, errors } = validateBotRunInput({
+    bots: number(args.bots),
+    itemIds: list(args.items),
+    strategies: list(args.strategies),
+    durationSec: number(args.duration),
+    thinkMinMs: number(thinkMin || undefined),
+    thinkMaxMs: number(thinkMax || thinkMin || undefined)
+});
+
+if (hasErrors(errors)) {
+    Object.values(errors).forEach(message => console.error(message));
+    process.exit(2);
+}
+
+const log = args.json ? () => {} : console.log;
+const run = createBotRun(config, { serverUrl: args.url.replace(/\/$/, ''), log });
+
+// ctrl-c stops the bots but still checks what they did
+process.once('SIGINT', () => {
+    log('\nStopping - checking results...');
+    run.stop();
+});
+
+const summary = await run.done;
+
+if (args.json) {
+    console.log(JSON.stringify(summary, null, 2));
+} else if (summary.status !== 'failed') {
+    const { report } = summary;
+    const { p50, p95, p99, max } = report.ackLatencyMs;
+
+    console.log(`\n${summary.botsConnected} bots, ${summary.itemIds.length} items, ${Math.round((summary.endedAt - summary.startedAt) / 1000)}s (${report.stopReason})`);
+    console.log(`Attempts: ${report.attempts}, accepted: ${report.accepted}`);
+    Object.entries(report.rejected).forEach(([code, count]) => console.log(`  rejected ${code}: ${count}`));
+    Object.entries(report.byStrategy).forEach(([name, counts]) => (
+        console.log(`  ${name.padEnd(12)} ${counts.accepted}/${counts.attempts} accepted`)
+    ));
+    console.log(`Ack latency ms: p50 ${p50} p95 ${p95} p99 ${p99} max ${max}`);
+
+    console.log('\nInvariants:');
+    report.invariants.items.forEach(item => {
+        console.log(`  ${item.ok ? '✓' : '✗'} ${item.itemId} ${item.title || ''} - ${item.status}, ${item.bidCount ?? 0} bids`);
+        item.checks.filter(c => !c.ok).forEach(c => console.log(`      ✗ ${c.name}: ${c.detail}`));
+    });
+}
+
+if (summary.status === 'failed') {
+    console.error(`Bot run failed: ${summary.error}`);
+    process.exit(2);
+}
+
+process.exit(summary.report.invariants.ok ? 0 : 1);
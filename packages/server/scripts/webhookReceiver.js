@@ -0,0 +1,63 @@
+/*
+ * Local webhook receiver for trying out deliveries
+ *
+ *   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+ *
+ * Listens on RECEIVER_PORT (default 4000), checks each signature against
+ * WEBHOOK_SECRET and prints the event. RECEIVER_FAIL_FIRST=n answers 500 to
+ * the first n attempts of every delivery, to watch the retries happen
+ */
+
+import { createServer } from 'http';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const PORT = Number(process.env.RECEIVER_PORT || 4000);
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_FIRST = Number(process.env.RECEIVER_FAIL_FIRST || 0);
+
+// signatures older than this are treated as replays
+const MAX_AGE_SEC = 5 * 60;
+
+const attemptsByDelivery = new Map();
+
+function checkSignature(header, body) {
+    if (!SECRET) return 'unchecked (no WEBHOOK_SECRET)';
+
+    const parts = Object.fromEntries((header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!parts.v1 || !Number.isFinite(timestamp)) return 'missing';
+    if (Math.abs(Date.now() / 1000 - timestamp) > MAX_AGE_SEC) return 'too old';
+
+    const expected = createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest();
+    const actual = Buffer.from(parts.v1, 'hex');
+    return actual.length === expected.length && timingSafeEqual(actual, expected) ? 'valid' : 'INVALID';
+}
+
+const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const deliveryId = req.headers['x-livebid-delivery'];
+        const attempt = (attemptsByDelivery.get(deliveryId) || 0) + 1;
+        attemptsByDelivery.set(deliveryId, attempt);
+
+        const signature = checkSignature(req.headers['x-livebid-signature'], body);
+        const event = JSON.parse(body || '{}');
+
+        console.log(`${new Date().toISOString()} ${req.headers['x-livebid-event']} delivery=${deliveryId} attempt=${attempt} signature=${signature}`);
+        console.log(JSON.stringify(event.data, null, 2));
+
+        if (signature === 'INVALID' || signature === 'missing' || signature === 'too old') {
+            res.writeHead(401).end();
+        } else if (attempt <= FAIL_FIRST) {
+            console.log(`  -> failing on purpose (${attempt}/${FAIL_FIRST})`);
+            res.writeHead(500).end();
+        } else {
+            res.writeHead(204).end();
+        }
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});
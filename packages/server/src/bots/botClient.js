@@ -0,0 +1,100 @@
+/*
+ * One simulated bidder's connection - a real account and a real socket,
+ * talking to the server exactly the way the web client does
+ */
+
+import { randomBytes } from 'crypto';
+import { io } from 'socket.io-client';
+
+// no shared default - without BOT_PASSWORD each process makes one up
+const BOT_PASSWORD = process.env.BOT_PASSWORD || randomBytes(24).toString('base64url');
+
+// ...and can't log into bot accounts an earlier process registered, so
+// its bots get names of their own (bot-3fa2-001 rather than bot-001)
+export const BOT_NAME_TAG = process.env.BOT_PASSWORD ? '' : `-${randomBytes(2).toString('hex')}`;
+const ACK_TIMEOUT_MS = 5000;
+const CONNECT_TIMEOUT_MS = 10000;
+const MAX_AUTH_ATTEMPTS = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function requestJson(serverUrl, path, { method = 'GET', body, token } = {}) {
+    const response = await fetch(`${serverUrl}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(ACK_TIMEOUT_MS)
+    });
+    return { status: response.status, data: await response.json().catch(() => ({})) };
+}
+
+/*
+ * Register the bot, or log in if an earlier run already did.
+ * Every bot comes from the same IP, so a crowd of them registering at once
+ * runs into the API rate limit - wait it out and try again
+ */
+export async function authenticateBot(serverUrl, username) {
+    for (let attempt = 1; attempt <= MAX_AUTH_ATTEMPTS; attempt++) {
+        let res = await requestJson(serverUrl, '/api/auth/register', {
+            method: 'POST',
+            body: { username, password: BOT_PASSWORD }
+        });
+
+        if (res.status === 409) {
+            res = await requestJson(serverUrl, '/api/auth/login', {
+                method: 'POST',
+                body: { username, password: BOT_PASSWORD }
+            });
+        }
+
+        if (res.status === 429) {
+            await sleep(res.data.retryAfterMs || 1000);
+            continue;
+        }
+
+        if (!res.data.success) {
+            throw new Error(`${username} couldn't log in: ${res.data.error || `HTTP ${res.status}`}`);
+        }
+
+        return { token: res.data.token, user: res.data.user };
+    }
+
+    throw new Error(`${username} couldn't log in: still rate limited after ${MAX_AUTH_ATTEMPTS} attempts`);
+}
+
+// a socket of its own (forceNew) - otherwise every bot would share one connection
+export function connectBot(serverUrl, token) {
+    return new Promise((resolve, reject) => {
+        const socket = io(serverUrl, {
+            auth: { token },
+            transports: ['websocket'],
+            forceNew: true,
+            reconnection: false,
+            timeout: CONNECT_TIMEOUT_MS
+        });
+
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', (err) => {
+            socket.close();
+            reject(err);
+        });
+    });
+}
+
+// emit and wait for the ack - a lost ack counts as a failed attempt, not an exception
+export async function emitWithAck(socket, event, data) {
+    const startedAt = performance.now();
+
+    try {
+        const response = await socket.timeout(ACK_TIMEOUT_MS).emitWithAck(event, data);
+        return { response, latencyMs: performance.now() - startedAt };
+    } catch {
+        return {
+            response: { success: false, error: 'ACK_TIMEOUT', message: `No reply within ${ACK_TIMEOUT_MS}ms` },
+            latencyMs: performance.now() - startedAt
+        };
+    }
+}
@@ -0,0 +1,434 @@
+/*
+ * Simulated bidder runs - for demos and for hammering the bid path
+ *
+ * A run logs N bot accounts in, connects each over its own socket, joins
+ * the target items and lets every bot bid on its own timer following its
+ * strategy (bots/strategies.js) until the duration is up, every target has
+ * closed or someone stops it. Then it checks the results (bots/invariants.js)
+ * and keeps the report.
+ *
+ * Bots only ever go through the public API and socket protocol, so the
+ * same code runs inside the server (admin endpoint) or from the CLI
+ * (scripts/bots.js) against any deployment. One run at a time per process;
+ * the last few finished runs are kept in memory for their reports
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { STRATEGIES } from './strategies.js';
+import { authenticateBot, connectBot, emitWithAck, requestJson, BOT_NAME_TAG } from './botClient.js';
+import { checkInvariants } from './invariants.js';
+
+const USERNAME_PREFIX = process.env.BOT_USERNAME_PREFIX || 'bot';
+const MAX_KEPT_RUNS = 10;
+
+// latency percentiles come from a bounded sample, however long the run
+const MAX_LATENCY_SAMPLES = 10000;
+
+// budgets are a random multiple of the starting price, per bot and item
+const BUDGET_MIN_MULTIPLE = 1.5;
+const BUDGET_MAX_MULTIPLE = 4;
+
+const runs = new Map();
+
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return Math.round(sorted[Math.max(0, index)] * 10) / 10;
+}
+
+function createStats(strategies) {
+    return {
+        attempts: 0,
+        accepted: 0,
+        rejected: {},
+        byStrategy: Object.fromEntries(strategies.map(name => [name, { attempts: 0, accepted: 0 }])),
+        latencySamples: [],
+        latencyCount: 0
+    };
+}
+
+// reservoir sampling keeps the sample uniform without keeping every ack
+function recordLatency(stats, latencyMs) {
+    stats.latencyCount += 1;
+    if (stats.latencySamples.length < MAX_LATENCY_SAMPLES) {
+        stats.latencySamples.push(latencyMs);
+        return;
+    }
+    const slot = Math.floor(Math.random() * stats.latencyCount);
+    if (slot < MAX_LATENCY_SAMPLES) stats.latencySamples[slot] = latencyMs;
+}
+
+function summarizeStats(stats) {
+    const sorted = [...stats.latencySamples].sort((a, b) => a - b);
+
+    return {
+        attempts: stats.attempts,
+        accepted: stats.accepted,
+        rejected: stats.rejected,
+        byStrategy: stats.byStrategy,
+        ackLatencyMs: {
+            p50: percentile(sorted, 50),
+            p95: percentile(sorted, 95),
+            p99: percentile(sorted, 99),
+            max: sorted.length > 0 ? Math.round(sorted[sorted.length - 1] * 10) / 10 : null
+        }
+    };
+}
+
+// what a bot knows about one item - kept current from socket events
+function toView(item) {
+    return {
+        status: item.status,
+        format: item.format,
+        startingPrice: item.startingPrice,
+        currentBid: item.currentBid,
+        minimumNextBid: item.minimumNextBid,
+        highestBidderId: item.highestBidderId,
+        auctionEndTime: item.auctionEndTime,
+        maxBidSet: false
+    };
+}
+
+async function loadTargetItems(serverUrl, itemIds) {
+    if (itemIds.length === 0) {
+        const res = await requestJson(serverUrl, '/api/items?status=live&limit=100');
+        if (!res.data.success) throw new Error(`Couldn't list items: ${res.data.error || `HTTP ${res.status}`}`);
+        return res.data.items;
+    }
+
+    const items = [];
+    for (const itemId of itemIds) {
+        const res = await requestJson(serverUrl, `/api/items/${itemId}`);
+        if (!res.data.success) throw new Error(`Item ${itemId}: ${res.data.error || `HTTP ${res.status}`}`);
+        items.push(res.data.item);
+    }
+    return items;
+}
+
+/*
+ * config (see utils/botValidation.js):
+ *   bots, itemIds ([] = every live item), strategies, durationSec, thinkMs { min, max }
+ * Returns the run handle straight away; `done` resolves with the final summary
+ */
+export function createBotRun(config, { serverUrl, log = console.log }) {
+    const run = {
+        id: uuidv4(),
+        status: 'starting',
+        config,
+        serverUrl,
+        startedAt: Date.now(),
+        endedAt: null,
+        botsConnected: 0,
+        itemIds: [],
+        error: null,
+        report: null
+    };
+
+    const stats = createStats(config.strategies);
+    const acceptedByItem = new Map();
+    const bots = [];
+    const timers = new Set();
+    let stopReason = null;
+    let wake = () => {};
+    let pending = 0;
+    let clockOffset = 0;
+
+    const now = () => Date.now() + clockOffset;
+
+    const stop = (reason) => {
+        if (stopReason) return;
+        stopReason = reason;
+        wake();
+    };
+
+    // bots only know how to bid against a visible price - Dutch and sealed items are left alone
+    const isOpen = (view) => view.format === 'english' && view.status === 'live' && view.auctionEndTime > now();
+
+    function allTargetsClosed() {
+        return run.itemIds.every(itemId => bots.every(bot => {
+            const view = bot.views.get(itemId);
+            return !view || view.status === 'closed' || view.status === 'removed';
+        }));
+    }
+
+    function listen(bot) {
+        const update = (itemId, changes) => {
+            const view = bot.views.get(itemId);
+            if (view) Object.assign(view, changes);
+        };
+
+        bot.socket.on('UPDATE_BID', (data) => update(data.itemId, {
+            currentBid: data.currentBid,
+            minimumNextBid: data.minimumNextBid,
+            highestBidderId: data.highestBidderId
+        }));
+        bot.socket.on('AUCTION_EXTENDED', (data) => update(data.itemId, { auctionEndTime: data.auctionEndTime }));
+        bot.socket.on('AUCTION_STARTED', (data) => update(data.itemId, {
+            status: data.status,
+            auctionEndTime: data.auctionEndTime
+        }));
+        bot.socket.on('AUCTION_ENDED', (data) => {
+            update(data.itemId, { status: 'closed' });
+            if (allTargetsClosed()) stop('all_closed');
+        });
+        // an admin reset or edit - start over from the new state
+        bot.socket.on('ITEM_UPDATED', (data) => {
+            if (!bot.views.has(data.itemId)) return;
+            bot.views.set(data.itemId, toView(data.item));
+            // a reset wipes the history, so earlier acks can't be checked against it
+            if (data.item.bidCount === 0) acceptedByItem.delete(data.itemId);
+        });
+        bot.socket.on('ITEM_REMOVED', (data) => {
+            update(data.itemId, { status: 'removed' });
+            if (allTargetsClosed()) stop('all_closed');
+        });
+        bot.socket.on('disconnect', (reason) => {
+            if (!stopReason) log(`🤖 ${bot.username} disconnected: ${reason}`);
+            bot.connected = false;
+        });
+    }
+
+    function budgetFor(bot, itemId, view) {
+        if (!bot.budgets.has(itemId)) {
+            const base = Math.max(view.startingPrice, view.currentBid);
+            bot.budgets.set(itemId, Math.round(base * randomBetween(BUDGET_MIN_MULTIPLE, BUDGET_MAX_MULTIPLE)));
+        }
+        return bot.budgets.get(itemId);
+    }
+
+    async function takeTurn(bot) {
+        const open = [...bot.views.entries()].filter(([, view]) => isOpen(view));
+        if (open.length === 0) return;
+
+        const [itemId, view] = open[Math.floor(Math.random() * open.length)];
+        const decide = STRATEGIES[bot.strategy];
+        const action = decide(
+            { ...view, leading: view.highestBidderId === bot.userId },
+            { budget: budgetFor(bot, itemId, view), now: now() }
+        );
+        if (!action) return;
+
+        const payload = action.event === 'SET_MAX_BID'
+            ? { itemId, maxAmount: action.amount }
+            : { itemId, bidAmount: action.amount, requestId: uuidv4() };
+
+        pending += 1;
+        const { response, latencyMs } = await emitWithAck(bot.socket, action.event, payload);
+        pending -= 1;
+
+        stats.attempts += 1;
+        stats.byStrategy[bot.strategy].attempts += 1;
+        recordLatency(stats, latencyMs);
+
+        if (response.success) {
+            stats.accepted += 1;
+            stats.byStrategy[bot.strategy].accepted += 1;
+
+            if (action.event === 'SET_MAX_BID') view.maxBidSet = true;
+            if (action.event === 'BID_PLACED' && !response.duplicate) {
+                if (!acceptedByItem.has(itemId)) acceptedByItem.set(itemId, []);
+                acceptedByItem.get(itemId).push(action.amount);
+            }
+            // the ack can beat the broadcast here
+            if (response.item) {
+                Object.assign(view, {
+                    currentBid: response.item.currentBid,
+                    minimumNextBid: response.item.minimumNextBid,
+                    highestBidderId: response.item.highestBidderId
+                });
+            }
+            return;
+        }
+
+        const code = response.error || 'UNKNOWN';
+        stats.rejected[code] = (stats.rejected[code] || 0) + 1;
+
+        if (response.currentBid != null && response.minimumBid != null && response.currentBid >= view.currentBid) {
+            Object.assign(view, { currentBid: response.currentBid, minimumNextBid: response.minimumBid });
+        }
+        if (code === 'AUCTION_ENDED') view.status = 'closed';
+        // the broadcast putting us in front hasn't arrived yet
+        if (code === 'ALREADY_HIGHEST_BIDDER') view.highestBidderId = bot.userId;
+
+        // back off for as long as the limiter asks, or the socket gets cut off
+        if (code === 'RATE_LIMITED') bot.pauseMs = response.retryAfterMs || 1000;
+    }
+
+    function scheduleTurn(bot) {
+        if (stopReason || !bot.connected) return;
+
+        const delay = randomBetween(config.thinkMs.min, config.thinkMs.max) + bot.pauseMs;
+        bot.pauseMs = 0;
+
+        const timer = setTimeout(async () => {
+            timers.delete(timer);
+            try {
+                await takeTurn(bot);
+            } catch (err) {
+                log(`🤖 ${bot.username} turn failed: ${err.message}`);
+            }
+            scheduleTurn(bot);
+        }, delay);
+        timers.add(timer);
+    }
+
+    async function setUp() {
+        const time = await requestJson(serverUrl, '/api/time');
+        clockOffset = time.data.serverTime - Date.now();
+
+        const items = await loadTargetItems(serverUrl, config.itemIds);
+        if (items.length === 0) throw new Error('No live items to bid on');
+        run.itemIds = items.map(item => item.id);
+
+        // one at a time - password hashing makes registration the slow part
+        for (let i = 0; i < config.bots; i++) {
+            if (stopReason) return;
+
+            const username = `${USERNAME_PREFIX}${BOT_NAME_TAG}-${String(i + 1).padStart(3, '0')}`;
+            const { token, user } = await authenticateBot(serverUrl, username);
+            bots.push({
+                username,
+                userId: user.id,
+                token,
+                strategy: config.strategies[i % config.strategies.length],
+                socket: null,
+                connected: false,
+                views: new Map(items.map(item => [item.id, toView(item)])),
+                budgets: new Map(),
+                pauseMs: 0
+            });
+        }
+
+        await Promise.all(bots.map(async (bot) => {
+            bot.socket = await connectBot(serverUrl, bot.token);
+            bot.connected = true;
+            listen(bot);
+            await Promise.all(run.itemIds.map(itemId => emitWithAck(bot.socket, 'JOIN_ITEM', { itemId })));
+        }));
+        run.botsConnected = bots.length;
+
+        if (allTargetsClosed()) stop('all_closed');
+    }
+
+    async function execute() {
+        try {
+            await setUp();
+
+            if (!stopReason) {
+                run.status = 'running';
+                log(`🤖 Bot run ${run.id}: ${bots.length} bots on ${run.itemIds.length} items for ${config.durationSec}s`);
+
+                const finished = new Promise(resolve => { wake = resolve; });
+                const deadline = setTimeout(() => stop('duration'), config.durationSec * 1000);
+                bots.forEach(scheduleTurn);
+                if (stopReason) wake();
+
+                await finished;
+                clearTimeout(deadline);
+            }
+
+            timers.forEach(timer => clearTimeout(timer));
+            timers.clear();
+
+            // let bids already on the wire get their acks before checking anything
+            while (pending > 0) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+
+            run.status = 'checking';
+            const invariants = run.itemIds.length > 0 && bots.length > 0
+                ? await checkInvariants(serverUrl, run.itemIds, acceptedByItem, bots[0].token)
+                : { ok: true, items: [] };
+
+            run.report = { stopReason, ...summarizeStats(stats), invariants };
+            run.status = stopReason === 'stopped' ? 'stopped' : 'finished';
+            log(`🤖 Bot run ${run.id} ${run.status}: ${stats.accepted}/${stats.attempts} accepted, invariants ${invariants.ok ? 'ok' : 'FAILED'}`);
+        } catch (err) {
+            run.status = 'failed';
+            run.error = err.message;
+            log(`🤖 Bot run ${run.id} failed: ${err.message}`);
+        } finally {
+            timers.forEach(timer => clearTimeout(timer));
+            bots.forEach(bot => bot.socket?.close());
+            run.endedAt = Date.now();
+        }
+
+        return summarizeRun(run, stats);
+    }
+
+    const done = execute();
+
+    return {
+        id: run.id,
+        done,
+        stop: () => stop('stopped'),
+        isActive: () => !run.endedAt,
+        summary: () => summarizeRun(run, stats)
+    };
+}
+
+function summarizeRun(run, stats) {
+    return {
+        id: run.id,
+        status: run.status,
+        config: run.config,
+        serverUrl: run.serverUrl,
+        startedAt: run.startedAt,
+        endedAt: run.endedAt,
+        botsConnected: run.botsConnected,
+        itemIds: run.itemIds,
+        error: run.error,
+        // live numbers while it runs, the full report once it's checked
+        report: run.report || summarizeStats(stats)
+    };
+}
+
+// --- registry for the admin endpoint ---
+
+export function startBotRun(config, options) {
+    const active = [...runs.values()].find(handle => handle.isActive());
+    if (active) {
+        return {
+            success: false,
+            error: 'BOT_RUN_ACTIVE',
+            message: `Bot run ${active.id} is still going - stop it first`
+        };
+    }
+
+    const handle = createBotRun(config, options);
+    runs.set(handle.id, handle);
+
+    // drop the oldest finished runs
+    const finished = [...runs.values()].filter(h => !h.isActive());
+    finished.slice(0, Math.max(0, finished.length - MAX_KEPT_RUNS)).forEach(h => runs.delete(h.id));
+
+    return { success: true, run: handle.summary() };
+}
+
+export function getBotRun(runId) {
+    return runs.get(runId)?.summary() || null;
+}
+
+export function listBotRuns() {
+    return [...runs.values()].map(handle => handle.summary()).reverse();
+}
+
+export function stopBotRun(runId) {
+    const handle = runs.get(runId);
+    if (!handle) {
+        return { success: false, error: 'RUN_NOT_FOUND', message: 'No such bot run' };
+    }
+    if (!handle.isActive()) {
+        return { success: false, error: 'RUN_FINISHED', message: 'That bot run has already finished' };
+    }
+
+    handle.stop();
+    return { success: true, run: handle.summary() };
+}
+
+// shutdown - stop whatever's running without waiting for its report
+export function stopAllBotRuns() {
+    runs.forEach(handle => handle.stop());
+}
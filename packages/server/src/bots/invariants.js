@@ -0,0 +1,140 @@
+/*
+ * End-of-run consistency checks for a bot run
+ *
+ * Reads each item and its full bid history back over the public API and
+ * checks it against itself and against what the bots were told. Every
+ * accepted bid (proxy bids included) has to beat the one before it, so a
+ * healthy history is strictly increasing - a repeated or lower amount
+ * means two bids got past the lock at once
+ */
+
+import { requestJson } from './botClient.js';
+
+const PAGE_LIMIT = 100;
+const MAX_RETRIES = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// GET with the API rate limit waited out - all the reads share one bucket
+// null for a 404 (an admin cancelled the item mid-run)
+async function fetchJson(serverUrl, path, token) {
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        const res = await requestJson(serverUrl, path, { token });
+        if (res.status === 429) {
+            await sleep(res.data.retryAfterMs || 1000);
+            continue;
+        }
+        if (res.status === 404) return null;
+        if (!res.data.success) {
+            throw new Error(`GET ${path} failed: ${res.data.error || `HTTP ${res.status}`}`);
+        }
+        return res.data;
+    }
+    throw new Error(`GET ${path} failed: still rate limited after ${MAX_RETRIES} attempts`);
+}
+
+// the whole history, oldest first
+async function fetchBidHistory(serverUrl, itemId, token) {
+    const bids = [];
+
+    for (let page = 1; ; page++) {
+        const data = await fetchJson(serverUrl, `/api/items/${itemId}/bids?page=${page}&limit=${PAGE_LIMIT}`, token);
+        if (!data) break;
+        bids.push(...data.bids);
+        if (!data.pagination.hasMore) break;
+    }
+
+    return bids.reverse();
+}
+
+const check = (name, ok, detail = null) => ({ name, ok, detail });
+
+function checkItem(item, history, acceptedAmounts) {
+    const amounts = history.map(bid => bid.amount);
+    const checks = [];
+
+    const highest = amounts.length > 0 ? Math.max(...amounts) : null;
+    checks.push(check(
+        'current_bid_is_highest',
+        highest === null || item.currentBid === highest,
+        highest === null ? 'no bids' : `currentBid $${item.currentBid}, highest accepted $${highest}`
+    ));
+
+    const outOfOrder = [];
+    for (let i = 1; i < amounts.length; i++) {
+        if (amounts[i] <= amounts[i - 1]) outOfOrder.push(`#${i} $${amounts[i]} after $${amounts[i - 1]}`);
+    }
+    checks.push(check('amounts_increase', outOfOrder.length === 0, outOfOrder.slice(0, 5).join(', ') || null));
+
+    const duplicates = [...new Set(amounts.filter((amount, i) => amounts.indexOf(amount) !== i))];
+    checks.push(check(
+        'no_duplicate_amounts',
+        duplicates.length === 0,
+        duplicates.length > 0 ? `repeated: ${duplicates.slice(0, 5).map(amount => `$${amount}`).join(', ')}` : null
+    ));
+
+    checks.push(check(
+        'bid_count_matches',
+        item.bidCount === history.length,
+        `bidCount ${item.bidCount}, history ${history.length}`
+    ));
+
+    // every bid a bot got a success ack for has to be in the history
+    const recorded = new Set(amounts);
+    const missing = acceptedAmounts.filter(amount => !recorded.has(amount));
+    checks.push(check(
+        'accepted_bids_recorded',
+        missing.length === 0,
+        missing.length > 0 ? `missing: ${missing.slice(0, 5).map(amount => `$${amount}`).join(', ')}` : `${acceptedAmounts.length} acked`
+    ));
+
+    const late = history.filter(bid => bid.timestamp >= item.auctionEndTime);
+    checks.push(check('no_bids_after_end', late.length === 0, late.length > 0 ? `${late.length} bids at or after the end time` : null));
+
+    if (item.status === 'closed' && item.outcome === 'sold') {
+        checks.push(check(
+            'final_price_matches',
+            item.finalPrice === item.currentBid,
+            `finalPrice $${item.finalPrice}, currentBid $${item.currentBid}`
+        ));
+    }
+
+    return {
+        itemId: item.id,
+        title: item.title,
+        status: item.status,
+        currentBid: item.currentBid,
+        bidCount: history.length,
+        ok: checks.every(c => c.ok),
+        checks
+    };
+}
+
+/*
+ * acceptedByItem: itemId -> amounts of the bots' acked BID_PLACED events
+ * Resolves with { ok, items: [{ itemId, ok, checks: [{ name, ok, detail }] }] }
+ */
+export async function checkInvariants(serverUrl, itemIds, acceptedByItem, token) {
+    const items = [];
+
+    for (const itemId of itemIds) {
+        const data = await fetchJson(serverUrl, `/api/items/${itemId}`, token);
+        if (!data) {
+            items.push({ itemId, status: 'removed', ok: true, checks: [] });
+            continue;
+        }
+
+        const { item } = data;
+
+        // revealed sealed bids come out in the order they were placed, not rising - nothing here applies
+        if (item.format === 'sealed') {
+            items.push({ itemId, title: item.title, status: item.status, bidCount: item.bidCount, ok: true, checks: [] });
+            continue;
+        }
+
+        const history = await fetchBidHistory(serverUrl, itemId, token);
+        items.push(checkItem(item, history, acceptedByItem.get(itemId) || []));
+    }
+
+    return { ok: items.every(item => item.ok), items };
+}
@@ -0,0 +1,57 @@
+/*
+ * Bidding strategies for the simulated bidders (see bots/botRun.js)
+ *
+ * A strategy looks at one bot's view of one item and returns what to send
+ * this turn - { event: 'BID_PLACED', amount } or { event: 'SET_MAX_BID', amount } -
+ * or null to sit the turn out. Views come from socket events, so they can
+ * be a little behind; a stale bid just comes back BID_TOO_LOW (or
+ * ALREADY_HIGHEST_BIDDER if a proxy put the bot in front in the meantime)
+ */
+
+export const STRATEGY_NAMES = ['random', 'sniper', 'incremental', 'proxy'];
+
+// snipers hold fire until the auction is this close to ending
+const SNIPE_WINDOW_MS = 10 * 1000;
+
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+
+// current increment - bots only bid on English auctions, where minimumNextBid
+// is always currentBid plus the increment (the opening bid included, since
+// currentBid starts at the starting price)
+function stepOf(view) {
+    return Math.max(1, view.minimumNextBid - view.currentBid);
+}
+
+// the minimum plus a few extra increments, as long as it fits the budget
+function bidWithin(view, budget, maxExtraSteps) {
+    if (view.minimumNextBid > budget) return null;
+
+    const amount = view.minimumNextBid + stepOf(view) * randomInt(0, maxExtraSteps);
+    return { event: 'BID_PLACED', amount: Math.min(amount, budget) };
+}
+
+export const STRATEGIES = {
+    // jumps in now and then, sometimes overbidding by a few increments
+    random(view, { budget }) {
+        if (view.leading || Math.random() < 0.5) return null;
+        return bidWithin(view, budget, 3);
+    },
+
+    // quiet until the last few seconds, then bids whenever outbid
+    sniper(view, { budget, now }) {
+        if (view.leading || view.auctionEndTime - now > SNIPE_WINDOW_MS) return null;
+        return bidWithin(view, budget, 1);
+    },
+
+    // always the minimum, straight back in whenever outbid
+    incremental(view, { budget }) {
+        if (view.leading) return null;
+        return bidWithin(view, budget, 0);
+    },
+
+    // registers a maximum once and lets the server bid for it
+    proxy(view, { budget }) {
+        if (view.maxBidSet || view.minimumNextBid > budget) return null;
+        return { event: 'SET_MAX_BID', amount: budget };
+    }
+};
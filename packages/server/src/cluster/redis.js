@@ -0,0 +1,73 @@
+/*
+ * Shared Redis connection for multi-instance mode
+ *
+ * Set REDIS_URL to run several server processes side by side: Redis holds
+ * the item state, the per-item bid locks and the socket.io adapter's pub/sub.
+ * Without it everything stays in this process, like before.
+ *
+ * REDIS_URL=mock swaps in ioredis-mock, an in-process stand-in for trying
+ * the cluster code paths on one machine without a Redis server
+ */
+
+import os from 'os';
+import Redis from 'ioredis';
+
+const REDIS_URL = process.env.REDIS_URL || '';
+const KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'livebid:';
+
+// shows up in logs and /health so you can tell replicas apart
+export const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+let client = null;
+const duplicates = [];
+
+export function isClustered() {
+    return Boolean(REDIS_URL);
+}
+
+// every key we write goes under one prefix so a shared Redis stays tidy
+export function redisKey(...parts) {
+    return KEY_PREFIX + parts.join(':');
+}
+
+async function connect() {
+    if (REDIS_URL === 'mock') {
+        const { default: RedisMock } = await import('ioredis-mock');
+        return new RedisMock();
+    }
+    return new Redis(REDIS_URL);
+}
+
+export async function initRedis() {
+    if (!isClustered() || client) return client;
+
+    client = await connect();
+    client.on('error', (err) => console.error('Redis error:', err.message));
+    await client.ping();
+
+    console.log(`Redis connected (${REDIS_URL === 'mock' ? 'in-process mock' : REDIS_URL})`);
+    return client;
+}
+
+export function getRedis() {
+    if (!client) {
+        throw new Error('Redis not initialised - set REDIS_URL and call initRedis() first');
+    }
+    return client;
+}
+
+// pub/sub needs connections of its own - a subscribed client can't run commands
+export function duplicateRedis() {
+    const duplicate = getRedis().duplicate();
+    duplicate.on('error', (err) => console.error('Redis error:', err.message));
+    duplicates.push(duplicate);
+    return duplicate;
+}
+
+export async function closeRedis() {
+    if (!client) return;
+
+    await Promise.all([...duplicates, client].map(connection => connection.quit().catch(() => {})));
+    duplicates.length = 0;
+    client = null;
+}
@@ -6,11 +6,29 @@
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import cors from 'cors';
 
 import itemsRouter from './routes/items.js';
+import authRouter from './routes/auth.js';
+import watchlistRouter from './routes/watchlist.js';
+import notificationsRouter from './routes/notifications.js';
+import webhooksRouter from './routes/webhooks.js';
+import auditRouter from './routes/audit.js';
+import adminRouter from './routes/admin.js';
+import botsRouter from './routes/bots.js';
+import { authenticateRequest, authenticateSocket } from './middleware/auth.js';
+import { rateLimitRequests } from './middleware/rateLimit.js';
 import { setupBidHandlers } from './socket/bidHandler.js';
+import { attachIo } from './socket/broadcaster.js';
 import { getServerTime } from './utils/timeSync.js';
+import { initStorage, getStorage } from './store/storage.js';
+import { initStore, getAllItems } from './store/auctionStore.js';
+import { scheduleAll, startResync, stopScheduler } from './scheduler/auctionScheduler.js';
+import { stopWebhooks } from './webhooks/dispatcher.js';
+import { stopAllBotRuns } from './bots/botRun.js';
+import { registerGauges, metricsHandler } from './metrics/registry.js';
+import { isClustered, initRedis, duplicateRedis, closeRedis, INSTANCE_ID } from './cluster/redis.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -46,11 +64,18 @@ const corsOptions = {
       callback(null, true); // allow anyway for now (you can change to false for strict)
     }
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
   credentials: true,
   allowedHeaders: ['Content-Type', 'Authorization']
 };
 
+// behind nginx / a load balancer - trust that many proxy hops so req.ip
+// is the real client and rate limits aren't shared by everyone
+const trustedProxyHops = Number(process.env.TRUST_PROXY ?? 0);
+if (trustedProxyHops > 0) {
+  app.set('trust proxy', trustedProxyHops);
+}
+
 app.use(cors(corsOptions));
 app.use(express.json());
 
@@ -65,29 +90,55 @@ const io = new Server(httpServer, {
   pingInterval: 25000
 });
 
+// every /api request gets req.user if it carries a valid Bearer token
+app.use('/api', authenticateRequest);
+
+// then throttle it - per user when logged in, per IP otherwise
+app.use('/api', rateLimitRequests);
+
 // mount routes
+app.use('/api', authRouter);
 app.use('/api', itemsRouter);
+app.use('/api', watchlistRouter);
+app.use('/api', notificationsRouter);
+app.use('/api', webhooksRouter);
+app.use('/api', auditRouter);
+app.use('/api', adminRouter);
+app.use('/api', botsRouter);
 
 // health check - always handy
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     serverTime: getServerTime(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    instance: INSTANCE_ID
   });
 });
 
+// prometheus scrape target - per instance, not proxied by the client's nginx
+app.get('/metrics', metricsHandler);
+
+registerGauges({
+  connectedSockets: () => io.of('/').sockets.size,
+  liveAuctions: async () => (await getAllItems()).filter(item => item.status === 'live').length
+});
+
 // time sync endpoint for clients
 app.get('/api/time', (req, res) => {
   res.json({ serverTime: getServerTime() });
 });
 
+// check the token on the handshake - bidders are identified by it, not by the payload
+io.use(authenticateSocket);
+
 // wire up socket handlers
 setupBidHandlers(io);
+attachIo(io);
 
 // track connections (useful for debugging)
 io.on('connection', (socket) => {
-  console.log(`Client connected: ${socket.id}`);
+  console.log(`Client connected: ${socket.id} (${socket.data.user?.username || 'guest'})`);
   
   // send server time right away so client can sync
   socket.emit('SERVER_TIME', { serverTime: getServerTime() });
@@ -97,12 +148,44 @@ io.on('connection', (socket) => {
   });
 });
 
+// cluster mode: shared state in Redis, broadcasts relayed to every instance
+if (isClustered()) {
+  await initRedis();
+  io.adapter(createAdapter(duplicateRedis(), duplicateRedis()));
+
+  if (!process.env.AUTH_SECRET) {
+    console.warn('⚠️  Running clustered without AUTH_SECRET - instances will reject each other\'s tokens');
+  }
+}
+
+// load persisted auctions before we start taking bids
+await initStorage();
+await initStore();
+await scheduleAll();
+if (isClustered()) startResync();
+
 httpServer.listen(PORT, () => {
   console.log(`
   ⚡️ Bidding server is live!
   📡 Port: ${PORT}
+  🧩 Instance: ${INSTANCE_ID}${isClustered() ? ' (clustered)' : ''}
   🕐 Server time: ${new Date(getServerTime()).toISOString()}
   `);
 });
 
+// flush pending storage writes before exiting (docker stop sends SIGTERM)
+const shutdown = async (signal) => {
+  console.log(`${signal} received - shutting down`);
+  stopScheduler();
+  stopWebhooks();
+  stopAllBotRuns();
+  io.close();
+  await getStorage().close();
+  await closeRedis();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 export { io };
@@ -0,0 +1,86 @@
+/*
+ * Prometheus metrics, served at GET /metrics
+ *
+ * Counters and histograms are updated where things happen (bidHandler,
+ * auctionStore). Gauges are read when Prometheus scrapes, from whatever
+ * index.js hands to registerGauges(). Every instance reports its own
+ * numbers - Prometheus sums them up across targets
+ */
+
+import client from 'prom-client';
+
+const register = new client.Registry();
+
+// process + runtime metrics, including nodejs_eventloop_lag_seconds and its p50/p90/p99
+client.collectDefaultMetrics({ register });
+
+// from well under a millisecond (in-process mutex) up to LOCK_WAIT_MS (Redis lease)
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const bidsAccepted = new client.Counter({
+    name: 'livebid_bids_accepted_total',
+    help: 'Bids accepted, by kind (bid, max_bid, buy_now, accept_price)',
+    labelNames: ['kind'],
+    registers: [register]
+});
+
+const bidsRejected = new client.Counter({
+    name: 'livebid_bids_rejected_total',
+    help: 'Bids rejected, by kind and error code',
+    labelNames: ['kind', 'code'],
+    registers: [register]
+});
+
+export const lockWaitSeconds = new client.Histogram({
+    name: 'livebid_item_lock_wait_seconds',
+    help: 'Time spent waiting for an item lock, including waits that timed out',
+    buckets: LATENCY_BUCKETS,
+    registers: [register]
+});
+
+export const placeBidSeconds = new client.Histogram({
+    name: 'livebid_place_bid_duration_seconds',
+    help: 'placeBid latency - lock wait, proxy resolution and the storage write',
+    buckets: LATENCY_BUCKETS,
+    registers: [register]
+});
+
+// one line per bid attempt - kind is bid / max_bid / buy_now / accept_price
+export function recordBidOutcome(kind, result) {
+    if (result.success) {
+        bidsAccepted.inc({ kind });
+    } else {
+        bidsRejected.inc({ kind, code: result.error || 'UNKNOWN' });
+    }
+}
+
+// sources are functions (sync or async) returning the current value
+export function registerGauges({ connectedSockets, liveAuctions }) {
+    new client.Gauge({
+        name: 'livebid_connected_sockets',
+        help: 'Sockets connected to this instance',
+        registers: [register],
+        collect() {
+            this.set(connectedSockets());
+        }
+    });
+
+    new client.Gauge({
+        name: 'livebid_live_auctions',
+        help: 'Auctions currently taking bids',
+        registers: [register],
+        async collect() {
+            this.set(await liveAuctions());
+        }
+    });
+}
+
+export async function metricsHandler(req, res) {
+    try {
+        res.set('Content-Type', register.contentType);
+        res.end(await register.metrics());
+    } catch (err) {
+        console.error('Error collecting metrics:', err);
+        res.status(500).end();
+    }
+}
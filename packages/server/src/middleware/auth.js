@@ -0,0 +1,92 @@
+/*
+ * Auth middleware for Express routes and the socket.io handshake
+ *
+ * Both read the same signed token - REST from the Authorization header,
+ * sockets from the handshake auth payload
+ */
+
+import { verifyToken } from '../utils/authToken.js';
+import { isAdminId } from '../utils/adminUsers.js';
+
+function readBearerToken(header) {
+    if (!header || !header.startsWith('Bearer ')) return null;
+    return header.slice('Bearer '.length).trim();
+}
+
+// sets req.user if a valid token came along - anonymous requests pass through
+export function authenticateRequest(req, res, next) {
+    const token = readBearerToken(req.headers.authorization);
+    req.user = null;
+
+    if (!token) return next();
+
+    const user = verifyToken(token);
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            code: 'INVALID_TOKEN',
+            error: 'Your session has expired - please log in again'
+        });
+    }
+
+    req.user = user;
+    next();
+}
+
+export function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            code: 'UNAUTHORIZED',
+            error: 'You need to log in first'
+        });
+    }
+    next();
+}
+
+// by id - see utils/adminUsers.js for why not the username
+export function isAdmin(user) {
+    return Boolean(user) && isAdminId(user.id);
+}
+
+// use on its own - it covers the not-logged-in case too
+export function requireAdmin(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            code: 'UNAUTHORIZED',
+            error: 'You need to log in first'
+        });
+    }
+
+    if (!isAdmin(req.user)) {
+        return res.status(403).json({
+            success: false,
+            code: 'FORBIDDEN',
+            error: 'Admins only'
+        });
+    }
+    next();
+}
+
+/*
+ * io.use() middleware
+ * No token = guest (can watch, can't bid). A bad token is rejected outright
+ * so the client knows to log in again
+ */
+export function authenticateSocket(socket, next) {
+    const token = socket.handshake.auth?.token
+        || readBearerToken(socket.handshake.headers.authorization);
+
+    socket.data.user = null;
+
+    if (!token) return next();
+
+    const user = verifyToken(token);
+    if (!user) {
+        return next(new Error('INVALID_TOKEN'));
+    }
+
+    socket.data.user = user;
+    next();
+}
@@ -0,0 +1,85 @@
+/*
+ * Rate limits for the REST API and socket events
+ *
+ * Limits are "burst/perSecond" token buckets, configurable via env:
+ *   API_RATE_LIMIT     /api/* per user (per IP when anonymous)   default 60/20
+ *   SOCKET_RATE_LIMIT  every event, per socket                  default 30/10
+ *   BID_RATE_LIMIT     bid events, per bidder across sockets    default 5/2
+ *
+ * A socket that keeps firing after being limited - RATE_LIMIT_MAX_STRIKES
+ * rejections within a minute (default 20, 0 = never) - gets disconnected
+ */
+
+import { createRateLimiter, parseRateLimit } from '../utils/rateLimiter.js';
+import { getServerTime } from '../utils/timeSync.js';
+import { auditBidAttempt } from '../socket/bidAudit.js';
+
+const BID_EVENTS = new Set(['BID_PLACED', 'SET_MAX_BID', 'BUY_NOW', 'ACCEPT_PRICE']);
+
+const MAX_STRIKES = Number(process.env.RATE_LIMIT_MAX_STRIKES ?? 20);
+const STRIKE_WINDOW_MS = 60 * 1000;
+
+const apiLimiter = createRateLimiter(parseRateLimit(process.env.API_RATE_LIMIT, { burst: 60, perSecond: 20 }));
+const socketLimiter = createRateLimiter(parseRateLimit(process.env.SOCKET_RATE_LIMIT, { burst: 30, perSecond: 10 }));
+const bidLimiter = createRateLimiter(parseRateLimit(process.env.BID_RATE_LIMIT, { burst: 5, perSecond: 2 }));
+
+const LIMITED_MESSAGE = 'Too many requests - slow down';
+
+// mount after authenticateRequest so logged-in users get their own bucket
+export function rateLimitRequests(req, res, next) {
+    const key = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    const { allowed, retryAfterMs } = apiLimiter.take(key);
+
+    if (allowed) return next();
+
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        error: LIMITED_MESSAGE,
+        retryAfterMs
+    });
+}
+
+// socket.use() middleware for one socket - limited events are dropped,
+// with RATE_LIMITED in the callback if the client sent one
+export function rateLimitSocket(socket) {
+    let strikes = [];
+
+    socket.on('disconnect', () => socketLimiter.forget(socket.id));
+
+    return ([event, ...args], next) => {
+        let result = socketLimiter.take(socket.id);
+
+        // bidders get one shared budget no matter how many sockets they open
+        if (result.allowed && BID_EVENTS.has(event) && socket.data.user) {
+            result = bidLimiter.take(socket.data.user.id);
+        }
+
+        if (result.allowed) return next();
+
+        // dropped bids never reach bidHandler, but they're still bid attempts
+        if (BID_EVENTS.has(event)) {
+            auditBidAttempt(socket, event, args[0], getServerTime(), { success: false, error: 'RATE_LIMITED' });
+        }
+
+        const callback = args[args.length - 1];
+        if (typeof callback === 'function') {
+            callback({
+                success: false,
+                error: 'RATE_LIMITED',
+                message: LIMITED_MESSAGE,
+                retryAfterMs: result.retryAfterMs
+            });
+        }
+
+        const now = Date.now();
+        strikes = strikes.filter(time => time > now - STRIKE_WINDOW_MS);
+        strikes.push(now);
+
+        if (MAX_STRIKES > 0 && strikes.length >= MAX_STRIKES) {
+            console.log(`🚫 Disconnecting ${socket.id} (${socket.data.user?.username || 'guest'}) for flooding`);
+            socket.disconnect(true);
+        }
+    };
+}
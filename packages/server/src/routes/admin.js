@@ -0,0 +1,242 @@
+/*
+ * Admin console API - every auction, whoever listed it
+ * Needs an admin (see ADMIN_USERS in middleware/auth.js); the rest of
+ * the app reacts through the same events a seller's changes send
+ */
+
+import { Router } from 'express';
+import {
+    getAllAdminItems,
+    createItem,
+    extendAuction,
+    closeAuction,
+    resetItem,
+    removeItem
+} from '../store/auctionStore.js';
+import { getWatcherCounts } from '../store/watchlistStore.js';
+import { validateItemInput, hasErrors, ITEM_CATEGORIES } from '../utils/itemValidation.js';
+import { getServerTime } from '../utils/timeSync.js';
+import { auditRequest } from '../utils/requestAudit.js';
+import { getSocketStats } from '../socket/broadcaster.js';
+import {
+    announceItemCreated,
+    announceItemUpdated,
+    announceAuctionExtended,
+    announceItemRemoved
+} from '../socket/itemEvents.js';
+import { announceAuctionEnded, unscheduleItem } from '../scheduler/auctionScheduler.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { INSTANCE_ID } from '../cluster/redis.js';
+
+const router = Router();
+
+router.use('/admin/items', requireAdmin);
+router.use('/admin/stats', requireAdmin);
+
+const MAX_EXTENSION_SEC = 24 * 60 * 60;
+
+const STATUS_BY_ERROR = {
+    ITEM_NOT_FOUND: 404,
+    AUCTION_CLOSED: 409,
+    ALREADY_CLOSED: 409,
+    ITEM_BUSY: 503
+};
+
+function storeError(res, result) {
+    return res.status(STATUS_BY_ERROR[result.error] || 400).json({
+        success: false,
+        code: result.error,
+        error: result.message || 'Request failed'
+    });
+}
+
+function serverError(res, err, action) {
+    console.error(`Error trying to ${action}:`, err);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action}`
+    });
+}
+
+// GET /api/admin/stats - connections and auction counts
+router.get('/admin/stats', async (req, res) => {
+    try {
+        const [connections, items] = await Promise.all([getSocketStats(), getAllAdminItems()]);
+        const countByStatus = (status) => items.filter(item => item.status === status).length;
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            instance: INSTANCE_ID,
+            connectedSockets: connections.sockets,
+            connectedUsers: connections.users,
+            // true when only this instance's sockets could be counted
+            partialConnections: connections.partial,
+            auctions: {
+                live: countByStatus('live'),
+                scheduled: countByStatus('scheduled'),
+                closed: countByStatus('closed')
+            },
+            totalBids: items.reduce((sum, item) => sum + item.bidCount, 0)
+        });
+    } catch (err) {
+        serverError(res, err, 'fetch stats');
+    }
+});
+
+// GET /api/admin/items - every auction, with bidder / watcher / viewer counts
+router.get('/admin/items', async (req, res) => {
+    try {
+        const [items, watcherCounts, connections] = await Promise.all([
+            getAllAdminItems(),
+            getWatcherCounts(),
+            getSocketStats()
+        ]);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            categories: ITEM_CATEGORIES,
+            items: items
+                .map(item => ({
+                    ...item,
+                    watcherCount: watcherCounts[item.id] || 0,
+                    viewerCount: connections.viewersByItem[item.id] || 0
+                }))
+                .sort((a, b) => a.auctionEndTime - b.auctionEndTime)
+        });
+    } catch (err) {
+        serverError(res, err, 'fetch items');
+    }
+});
+
+// POST /api/admin/items - list an auction with the admin as seller
+router.post('/admin/items', async (req, res) => {
+    const receivedAt = getServerTime();
+    try {
+        const { values, errors } = validateItemInput(req.body);
+
+        if (hasErrors(errors)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid item data',
+                details: errors
+            });
+        }
+
+        const result = await createItem(values, req.user.id);
+        auditRequest(req, 'ITEM_CREATED', receivedAt, result, { fields: values, admin: true });
+        announceItemCreated(result.item);
+
+        console.log(`🛠️ Item created by admin ${req.user.username}: ${result.item.id} - ${result.item.title}`);
+
+        res.status(201).json({
+            success: true,
+            serverTime: getServerTime(),
+            item: result.item
+        });
+    } catch (err) {
+        serverError(res, err, 'create item');
+    }
+});
+
+// POST /api/admin/items/:id/extend - { seconds } onto the end time, bids or not
+router.post('/admin/items/:id/extend', async (req, res) => {
+    const receivedAt = getServerTime();
+    try {
+        const seconds = req.body?.seconds;
+
+        if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_EXTENSION_SEC) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid extension',
+                details: { seconds: `Must be a whole number of seconds from 1 to ${MAX_EXTENSION_SEC}` }
+            });
+        }
+
+        const result = await extendAuction(req.params.id, seconds * 1000);
+        auditRequest(req, 'AUCTION_EXTENDED', receivedAt, result, { seconds, admin: true });
+        if (!result.success) return storeError(res, result);
+
+        announceAuctionExtended(result.item);
+
+        console.log(`🛠️ ${req.user.username} extended ${result.item.id} by ${seconds}s`);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            item: result.item
+        });
+    } catch (err) {
+        serverError(res, err, 'extend auction');
+    }
+});
+
+// POST /api/admin/items/:id/close - end it now, winner decided as usual
+router.post('/admin/items/:id/close', async (req, res) => {
+    const receivedAt = getServerTime();
+    try {
+        const result = await closeAuction(req.params.id, { force: true });
+        auditRequest(req, 'AUCTION_FORCE_CLOSED', receivedAt, result, { admin: true });
+        if (!result.success) return storeError(res, result);
+
+        unscheduleItem(result.item.id);
+        announceAuctionEnded(result.item);
+
+        console.log(`🛠️ ${req.user.username} force-closed ${result.item.id}`);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            item: result.item
+        });
+    } catch (err) {
+        serverError(res, err, 'close auction');
+    }
+});
+
+// POST /api/admin/items/:id/reset - start one auction over
+router.post('/admin/items/:id/reset', async (req, res) => {
+    const receivedAt = getServerTime();
+    try {
+        const result = await resetItem(req.params.id);
+        auditRequest(req, 'ITEM_RESET', receivedAt, result, { admin: true });
+        if (!result.success) return storeError(res, result);
+
+        announceItemUpdated(result.item);
+
+        console.log(`🛠️ ${req.user.username} reset ${result.item.id}`);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            item: result.item
+        });
+    } catch (err) {
+        serverError(res, err, 'reset item');
+    }
+});
+
+// DELETE /api/admin/items/:id - cancel anyone's auction
+router.delete('/admin/items/:id', async (req, res) => {
+    const receivedAt = getServerTime();
+    try {
+        const result = await removeItem(req.params.id, req.user.id, { asAdmin: true });
+        auditRequest(req, 'ITEM_REMOVED', receivedAt, result, { admin: true });
+        if (!result.success) return storeError(res, result);
+
+        await announceItemRemoved(result.item);
+
+        console.log(`🛠️ ${req.user.username} cancelled ${result.item.id}`);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            itemId: result.item.id
+        });
+    } catch (err) {
+        serverError(res, err, 'cancel auction');
+    }
+});
+
+export default router;
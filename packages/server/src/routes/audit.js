@@ -0,0 +1,82 @@
+/*
+ * Admin API for the audit log (see store/auditStore.js) - read only,
+ * there's deliberately no way to edit or delete entries
+ */
+
+import { once } from 'events';
+import { Router } from 'express';
+import { queryAuditLog, exportAuditLog, AUDIT_ACTIONS } from '../store/auditStore.js';
+import { parseAuditQuery } from '../utils/auditQuery.js';
+import { hasErrors } from '../utils/itemValidation.js';
+import { getServerTime } from '../utils/timeSync.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use('/admin/audit', requireAdmin);
+
+function invalidQuery(res, errors) {
+    return res.status(400).json({
+        success: false,
+        error: 'Invalid audit query',
+        details: errors
+    });
+}
+
+// GET /api/admin/audit - newest first, filter by itemId / userId / action / outcome / from / to
+router.get('/admin/audit', async (req, res) => {
+    try {
+        const { query, errors } = parseAuditQuery(req.query);
+        if (hasErrors(errors)) return invalidQuery(res, errors);
+
+        const { entries, nextBefore } = await queryAuditLog(query);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            actions: AUDIT_ACTIONS,
+            entries,
+            pagination: {
+                limit: query.limit,
+                nextBefore,
+                hasMore: nextBefore !== null
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching audit log:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch audit log'
+        });
+    }
+});
+
+// GET /api/admin/audit/export - same filters, every match oldest first, one JSON object per line
+router.get('/admin/audit/export', async (req, res) => {
+    try {
+        const { query, errors } = parseAuditQuery(req.query);
+        if (hasErrors(errors)) return invalidQuery(res, errors);
+
+        res.set('Content-Type', 'application/x-ndjson');
+        res.set('Content-Disposition', `attachment; filename="audit-${getServerTime()}.ndjson"`);
+
+        // streamed as it's read - the whole log never sits in memory
+        for await (const entry of exportAuditLog(query)) {
+            if (res.destroyed) return;
+            if (!res.write(`${JSON.stringify(entry)}\n`)) {
+                await once(res, 'drain');
+            }
+        }
+        res.end();
+    } catch (err) {
+        console.error('Error exporting audit log:', err);
+        // too late for a 500 once lines have gone out - cut it off so it doesn't look complete
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export audit log'
+        });
+    }
+});
+
+export default router;
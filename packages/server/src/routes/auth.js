@@ -0,0 +1,107 @@
+/*
+ * Login / registration routes
+ */
+
+import { Router } from 'express';
+import { createUser, verifyCredentials } from '../store/userStore.js';
+import { issueToken } from '../utils/authToken.js';
+import { requireAuth, isAdmin } from '../middleware/auth.js';
+
+const router = Router();
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,24}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// the client only uses isAdmin to decide what to show - admin routes check for themselves
+const toSessionUser = (user) => ({ ...user, isAdmin: isAdmin(user) });
+
+// POST /api/auth/register - create an account and log straight in
+router.post('/auth/register', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Username must be 3-24 letters, numbers, _ or -'
+            });
+        }
+
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const result = await createUser(username, password);
+
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                code: result.error,
+                error: result.message
+            });
+        }
+
+        console.log(`New bidder registered: ${result.user.username} (${result.user.id})`);
+
+        res.status(201).json({
+            success: true,
+            token: issueToken(result.user),
+            user: toSessionUser(result.user)
+        });
+    } catch (err) {
+        console.error('Error registering user:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to register'
+        });
+    }
+});
+
+// POST /api/auth/login
+router.post('/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Username and password are required'
+            });
+        }
+
+        const user = await verifyCredentials(username, password);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                code: 'INVALID_CREDENTIALS',
+                error: 'Wrong username or password'
+            });
+        }
+
+        res.json({
+            success: true,
+            token: issueToken(user),
+            user: toSessionUser(user)
+        });
+    } catch (err) {
+        console.error('Error logging in:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log in'
+        });
+    }
+});
+
+// GET /api/auth/me - who does this token belong to
+router.get('/auth/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        user: toSessionUser(req.user)
+    });
+});
+
+export default router;
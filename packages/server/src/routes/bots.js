@@ -0,0 +1,93 @@
+/*
+ * Admin API for simulated bidder runs (see bots/botRun.js)
+ *
+ * Bots connect back to this instance over the loopback by default -
+ * BOT_TARGET_URL points them somewhere else, e.g. the load balancer in
+ * front of every replica
+ */
+
+import { Router } from 'express';
+import { startBotRun, stopBotRun, getBotRun, listBotRuns } from '../bots/botRun.js';
+import { validateBotRunInput } from '../utils/botValidation.js';
+import { hasErrors } from '../utils/itemValidation.js';
+import { getServerTime } from '../utils/timeSync.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use('/admin/bots', requireAdmin);
+
+const TARGET_URL = process.env.BOT_TARGET_URL || `http://127.0.0.1:${process.env.PORT || 3001}`;
+
+const STATUS_BY_ERROR = {
+    BOT_RUN_ACTIVE: 409,
+    RUN_NOT_FOUND: 404,
+    RUN_FINISHED: 409
+};
+
+function runError(res, result) {
+    return res.status(STATUS_BY_ERROR[result.error] || 400).json({
+        success: false,
+        code: result.error,
+        error: result.message
+    });
+}
+
+// GET /api/admin/bots - recent runs, newest first
+router.get('/admin/bots', (req, res) => {
+    res.json({
+        success: true,
+        serverTime: getServerTime(),
+        runs: listBotRuns()
+    });
+});
+
+// POST /api/admin/bots - start a run { bots, itemIds, strategies, durationSec, thinkMinMs, thinkMaxMs }
+router.post('/admin/bots', (req, res) => {
+    const { values, errors } = validateBotRunInput(req.body);
+
+    if (hasErrors(errors)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid bot run',
+            details: errors
+        });
+    }
+
+    const result = startBotRun(values, { serverUrl: TARGET_URL });
+    if (!result.success) return runError(res, result);
+
+    console.log(`🤖 Bot run ${result.run.id} started by ${req.user.username}`);
+
+    res.status(202).json({
+        success: true,
+        serverTime: getServerTime(),
+        run: result.run
+    });
+});
+
+// GET /api/admin/bots/:id - progress, then the report with its invariant checks
+router.get('/admin/bots/:id', (req, res) => {
+    const run = getBotRun(req.params.id);
+    if (!run) return runError(res, { error: 'RUN_NOT_FOUND', message: 'No such bot run' });
+
+    res.json({
+        success: true,
+        serverTime: getServerTime(),
+        run
+    });
+});
+
+// POST /api/admin/bots/:id/stop - stop early, the report still gets written
+router.post('/admin/bots/:id/stop', (req, res) => {
+    const result = stopBotRun(req.params.id);
+    if (!result.success) return runError(res, result);
+
+    res.json({
+        success: true,
+        serverTime: getServerTime(),
+        run: result.run
+    });
+});
+
+export default router;
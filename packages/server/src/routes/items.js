@@ -3,20 +3,78 @@
  */
 
 import { Router } from 'express';
-import { getAllItems, getItemById, resetItems } from '../store/auctionStore.js';
+import {
+    getAllItems,
+    getItemById,
+    resetItems,
+    createItem,
+    updateItem,
+    removeItem,
+    getBidHistory,
+    toPublicItem
+} from '../store/auctionStore.js';
 import { getServerTime } from '../utils/timeSync.js';
+import { validateItemInput, hasErrors, ITEM_CATEGORIES } from '../utils/itemValidation.js';
+import { parseItemQuery, queryItems } from '../utils/itemQuery.js';
+import { announceItemCreated, announceItemUpdated, announceItemRemoved } from '../socket/itemEvents.js';
+import { toPublicBid } from '../utils/maskBidder.js';
+import { scheduleAll } from '../scheduler/auctionScheduler.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { getWatchedItemIds } from '../store/watchlistStore.js';
+import { auditRequest } from '../utils/requestAudit.js';
 
 const router = Router();
 
-// GET /api/items - fetch all auction items
-router.get('/items', (req, res) => {
+// map store error codes to HTTP status
+const STATUS_BY_ERROR = {
+    ITEM_NOT_FOUND: 404,
+    FORBIDDEN: 403,
+    ITEM_HAS_BIDS: 409,
+    AUCTION_CLOSED: 409,
+    ITEM_BUSY: 503
+};
+
+// GET /api/items - search, filter and page through auction items
+// ?q= &category= &status=live|ending|scheduled|ended &minPrice= &maxPrice=
+// &sort=endTime|price|bids &order=asc|desc &limit= &cursor= (see utils/itemQuery.js)
+// &watched=1 narrows it to the caller's watchlist
+router.get('/items', async (req, res) => {
     try {
-        const items = getAllItems();
+        const { query, errors } = parseItemQuery(req.query);
+
+        if (hasErrors(errors)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid query',
+                details: errors
+            });
+        }
+
+        if (query.watchedOnly) {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    code: 'UNAUTHORIZED',
+                    error: 'Log in to see your watchlist'
+                });
+            }
+            query.onlyIds = new Set(await getWatchedItemIds(req.user.id));
+        }
+
+        const serverTime = getServerTime();
+        const page = queryItems(await getAllItems(), query, serverTime);
 
         res.json({
             success: true,
-            serverTime: getServerTime(),
-            items
+            serverTime,
+            items: page.items,
+            categories: ITEM_CATEGORIES,
+            pagination: {
+                limit: query.limit,
+                total: page.total,
+                nextCursor: page.nextCursor,
+                hasMore: page.nextCursor !== null
+            }
         });
     } catch (err) {
         console.error('Error fetching items:', err);
@@ -28,9 +86,9 @@ router.get('/items', (req, res) => {
 });
 
 // GET /api/items/:id - single item details
-router.get('/items/:id', (req, res) => {
+router.get('/items/:id', async (req, res) => {
     try {
-        const item = getItemById(req.params.id);
+        const item = await getItemById(req.params.id);
 
         if (!item) {
             return res.status(404).json({
@@ -42,7 +100,7 @@ router.get('/items/:id', (req, res) => {
         res.json({
             success: true,
             serverTime: getServerTime(),
-            item
+            item: toPublicItem(item)
         });
     } catch (err) {
         console.error('Error fetching item:', err);
@@ -53,11 +111,178 @@ router.get('/items/:id', (req, res) => {
     }
 });
 
-// POST /api/reset - restart all auctions with fresh timers
-router.post('/reset', (req, res) => {
+// GET /api/items/:id/bids - paged bid history, newest first
+// other bidders' IDs are masked; logged-in callers see their own bids unmasked
+router.get('/items/:id/bids', async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const viewerId = req.user?.id || null;
+
+        const history = await getBidHistory(req.params.id, { page, limit, viewerId });
+
+        if (!history) {
+            return res.status(404).json({
+                success: false,
+                error: 'Item not found'
+            });
+        }
+
+        const totalPages = Math.ceil(history.total / limit);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            itemId: req.params.id,
+            bids: history.bids.map(bid => toPublicBid(bid, viewerId)),
+            pagination: {
+                page,
+                limit,
+                total: history.total,
+                totalPages,
+                hasMore: page < totalPages
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching bid history:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch bid history'
+        });
+    }
+});
+
+// POST /api/items - create a new auction
+router.post('/items', requireAuth, async (req, res) => {
+    const receivedAt = getServerTime();
     try {
-        resetItems();
-        const items = getAllItems();
+        const { values, errors } = validateItemInput(req.body);
+
+        if (hasErrors(errors)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid item data',
+                details: errors
+            });
+        }
+
+        const result = await createItem(values, req.user.id);
+        auditRequest(req, 'ITEM_CREATED', receivedAt, result, { fields: values });
+        announceItemCreated(result.item);
+
+        console.log(`Item created: ${result.item.id} - ${result.item.title}`);
+
+        res.status(201).json({
+            success: true,
+            serverTime: getServerTime(),
+            item: result.item
+        });
+    } catch (err) {
+        console.error('Error creating item:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create item'
+        });
+    }
+});
+
+// PATCH /api/items/:id - edit an auction (price/end time locked once bids exist)
+router.patch('/items/:id', requireAuth, async (req, res) => {
+    const receivedAt = getServerTime();
+    try {
+        const { values, errors } = validateItemInput(req.body, { partial: true });
+
+        if (hasErrors(errors)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid item data',
+                details: errors
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Nothing to update'
+            });
+        }
+
+        const result = await updateItem(req.params.id, values, req.user.id);
+        auditRequest(req, 'ITEM_UPDATED', receivedAt, result, { changes: values });
+
+        if (!result.success) {
+            return res.status(STATUS_BY_ERROR[result.error] || 400).json({
+                success: false,
+                code: result.error,
+                error: result.message
+            });
+        }
+
+        announceItemUpdated(result.item);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            item: result.item
+        });
+    } catch (err) {
+        console.error('Error updating item:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update item'
+        });
+    }
+});
+
+// DELETE /api/items/:id - cancel an auction
+router.delete('/items/:id', requireAuth, async (req, res) => {
+    const receivedAt = getServerTime();
+    try {
+        const result = await removeItem(req.params.id, req.user.id);
+        auditRequest(req, 'ITEM_REMOVED', receivedAt, result);
+
+        if (!result.success) {
+            return res.status(STATUS_BY_ERROR[result.error] || 400).json({
+                success: false,
+                code: result.error,
+                error: result.message
+            });
+        }
+
+        await announceItemRemoved(result.item);
+
+        console.log(`Item removed: ${result.item.id}`);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            itemId: result.item.id
+        });
+    } catch (err) {
+        console.error('Error removing item:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove item'
+        });
+    }
+});
+
+// POST /api/reset - restart all auctions with fresh timers (admins only)
+router.post('/reset', requireAdmin, async (req, res) => {
+    const receivedAt = getServerTime();
+    try {
+        const result = await resetItems();
+        auditRequest(req, 'ITEMS_RESET', receivedAt, result, {
+            removedItemIds: result.removedItems.map(item => item.id)
+        });
+
+        // clear out timers, replay buffers and watchers of the items that are gone
+        for (const item of result.removedItems) {
+            await announceItemRemoved(item);
+        }
+
+        await scheduleAll();
+        const items = await getAllItems();
 
         console.log('🔄 All auctions have been reset!');
 
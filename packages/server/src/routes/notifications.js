@@ -0,0 +1,80 @@
+/*
+ * Notification inbox routes - outbid / won / ending soon
+ * New ones are also pushed live as NOTIFICATION (see socket/notifier.js)
+ */
+
+import { Router } from 'express';
+import { getNotifications, markNotificationsRead, clearNotifications } from '../store/notificationStore.js';
+import { getServerTime } from '../utils/timeSync.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = Router();
+
+// GET /api/notifications - newest first, plus the unread count
+router.get('/notifications', requireAuth, async (req, res) => {
+    try {
+        const { notifications, unreadCount } = await getNotifications(req.user.id);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            notifications,
+            unreadCount
+        });
+    } catch (err) {
+        console.error('Error fetching notifications:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch notifications'
+        });
+    }
+});
+
+// POST /api/notifications/read - mark { ids } read, or everything when ids is left out
+router.post('/notifications/read', requireAuth, async (req, res) => {
+    try {
+        const ids = req.body?.ids;
+
+        if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string'))) {
+            return res.status(400).json({
+                success: false,
+                error: 'ids must be an array of notification IDs'
+            });
+        }
+
+        const { unreadCount } = await markNotificationsRead(req.user.id, ids || null);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            unreadCount
+        });
+    } catch (err) {
+        console.error('Error marking notifications read:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update notifications'
+        });
+    }
+});
+
+// DELETE /api/notifications - empty the inbox
+router.delete('/notifications', requireAuth, async (req, res) => {
+    try {
+        await clearNotifications(req.user.id);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            unreadCount: 0
+        });
+    } catch (err) {
+        console.error('Error clearing notifications:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to clear notifications'
+        });
+    }
+});
+
+export default router;
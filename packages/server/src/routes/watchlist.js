@@ -0,0 +1,109 @@
+/*
+ * Watchlist routes - follow an item without bidding on it
+ * Watchers get WATCHED_ITEM_BID and WATCHED_ITEM_ENDING pushed to them
+ */
+
+import { Router } from 'express';
+import { getAllItems, getItemById } from '../store/auctionStore.js';
+import { getWatchedItemIds, watchItem, unwatchItem } from '../store/watchlistStore.js';
+import { getServerTime } from '../utils/timeSync.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = Router();
+
+// GET /api/watchlist - the caller's watched items
+router.get('/watchlist', requireAuth, async (req, res) => {
+    try {
+        const watched = new Set(await getWatchedItemIds(req.user.id));
+        const items = (await getAllItems()).filter(item => watched.has(item.id));
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            itemIds: items.map(item => item.id),
+            items
+        });
+    } catch (err) {
+        console.error('Error fetching watchlist:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch watchlist'
+        });
+    }
+});
+
+// POST /api/watchlist - start watching { itemId }
+router.post('/watchlist', requireAuth, async (req, res) => {
+    try {
+        const itemId = req.body?.itemId;
+
+        if (typeof itemId !== 'string' || !itemId) {
+            return res.status(400).json({
+                success: false,
+                error: 'itemId is required'
+            });
+        }
+
+        const item = await getItemById(itemId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                code: 'ITEM_NOT_FOUND',
+                error: 'This item does not exist'
+            });
+        }
+
+        if (item.status === 'closed') {
+            return res.status(409).json({
+                success: false,
+                code: 'AUCTION_CLOSED',
+                error: 'This auction has already closed'
+            });
+        }
+
+        const result = await watchItem(req.user.id, itemId);
+
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                code: result.error,
+                error: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            itemId,
+            watching: true
+        });
+    } catch (err) {
+        console.error('Error watching item:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to watch item'
+        });
+    }
+});
+
+// DELETE /api/watchlist/:itemId - stop watching (fine if we weren't)
+router.delete('/watchlist/:itemId', requireAuth, async (req, res) => {
+    try {
+        await unwatchItem(req.user.id, req.params.itemId);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            itemId: req.params.itemId,
+            watching: false
+        });
+    } catch (err) {
+        console.error('Error unwatching item:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unwatch item'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,240 @@
+/*
+ * Admin API for outgoing webhooks - subscriptions, delivery logs, dead letters
+ * Everything here needs an admin (see ADMIN_USERS in middleware/auth.js)
+ */
+
+import { Router } from 'express';
+import {
+    getWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    removeWebhook,
+    getDeliveries,
+    getDeadLetters,
+    getDeadLetter,
+    removeDeadLetter,
+    toPublicWebhook
+} from '../store/webhookStore.js';
+import { sendTestEvent, redeliverDeadLetter, WEBHOOK_EVENTS } from '../webhooks/dispatcher.js';
+import { validateWebhookInput, checkWebhookTarget } from '../utils/webhookValidation.js';
+import { hasErrors } from '../utils/itemValidation.js';
+import { getServerTime } from '../utils/timeSync.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use('/admin/webhooks', requireAdmin);
+
+function notFound(res, what = 'Webhook') {
+    return res.status(404).json({
+        success: false,
+        code: 'NOT_FOUND',
+        error: `${what} not found`
+    });
+}
+
+function serverError(res, err, action) {
+    console.error(`Error trying to ${action}:`, err);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action}`
+    });
+}
+
+// GET /api/admin/webhooks - every subscription (secrets masked)
+router.get('/admin/webhooks', async (req, res) => {
+    try {
+        const webhooks = await getWebhooks();
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            events: WEBHOOK_EVENTS,
+            webhooks: webhooks.map(toPublicWebhook)
+        });
+    } catch (err) {
+        serverError(res, err, 'fetch webhooks');
+    }
+});
+
+// POST /api/admin/webhooks - subscribe { url, events, description?, active? }
+// the response is the only place the signing secret is ever shown
+router.post('/admin/webhooks', async (req, res) => {
+    try {
+        const { values, errors } = validateWebhookInput(req.body);
+
+        if (values.url) {
+            const targetError = await checkWebhookTarget(values.url);
+            if (targetError) errors.url = targetError;
+        }
+
+        if (hasErrors(errors)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid webhook',
+                details: errors
+            });
+        }
+
+        const webhook = await createWebhook(values);
+        console.log(`🪝 Webhook ${webhook.id} added by ${req.user.username}: ${webhook.url} (${webhook.events.join(', ')})`);
+
+        res.status(201).json({
+            success: true,
+            serverTime: getServerTime(),
+            webhook: { ...toPublicWebhook(webhook), secret: webhook.secret }
+        });
+    } catch (err) {
+        serverError(res, err, 'create webhook');
+    }
+});
+
+// dead-letter routes come before /:id so "dead-letters" isn't taken for an ID
+
+// GET /api/admin/webhooks/dead-letters - deliveries that ran out of retries, newest first
+router.get('/admin/webhooks/dead-letters', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            deadLetters: await getDeadLetters()
+        });
+    } catch (err) {
+        serverError(res, err, 'fetch dead letters');
+    }
+});
+
+// POST /api/admin/webhooks/dead-letters/:id/retry - start a fresh round of attempts
+router.post('/admin/webhooks/dead-letters/:id/retry', async (req, res) => {
+    try {
+        const letter = await getDeadLetter(req.params.id);
+        if (!letter) return notFound(res, 'Dead letter');
+
+        const result = await redeliverDeadLetter(letter);
+        if (!result) {
+            return res.status(409).json({
+                success: false,
+                code: 'WEBHOOK_GONE',
+                error: 'The webhook this was for has been deleted'
+            });
+        }
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            delivered: result.ok,
+            responseStatus: result.responseStatus,
+            error: result.error
+        });
+    } catch (err) {
+        serverError(res, err, 'retry dead letter');
+    }
+});
+
+// DELETE /api/admin/webhooks/dead-letters/:id - give up on it for good
+router.delete('/admin/webhooks/dead-letters/:id', async (req, res) => {
+    try {
+        const letter = await getDeadLetter(req.params.id);
+        if (!letter) return notFound(res, 'Dead letter');
+
+        await removeDeadLetter(letter.id);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            id: letter.id
+        });
+    } catch (err) {
+        serverError(res, err, 'remove dead letter');
+    }
+});
+
+// PATCH /api/admin/webhooks/:id - change url / events / description, or pause with active: false
+router.patch('/admin/webhooks/:id', async (req, res) => {
+    try {
+        const { values, errors } = validateWebhookInput(req.body, { partial: true });
+
+        if (values.url) {
+            const targetError = await checkWebhookTarget(values.url);
+            if (targetError) errors.url = targetError;
+        }
+
+        if (hasErrors(errors)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid webhook',
+                details: errors
+            });
+        }
+
+        const webhook = await updateWebhook(req.params.id, values);
+        if (!webhook) return notFound(res);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            webhook: toPublicWebhook(webhook)
+        });
+    } catch (err) {
+        serverError(res, err, 'update webhook');
+    }
+});
+
+// DELETE /api/admin/webhooks/:id - unsubscribe (pending retries are dropped)
+router.delete('/admin/webhooks/:id', async (req, res) => {
+    try {
+        const removed = await removeWebhook(req.params.id);
+        if (!removed) return notFound(res);
+
+        console.log(`🪝 Webhook ${req.params.id} removed by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            id: req.params.id
+        });
+    } catch (err) {
+        serverError(res, err, 'remove webhook');
+    }
+});
+
+// POST /api/admin/webhooks/:id/test - send a webhook.test event right now
+router.post('/admin/webhooks/:id/test', async (req, res) => {
+    try {
+        const webhook = await getWebhook(req.params.id);
+        if (!webhook) return notFound(res);
+
+        const result = await sendTestEvent(webhook);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            delivered: result.ok,
+            responseStatus: result.responseStatus,
+            error: result.error,
+            durationMs: result.durationMs
+        });
+    } catch (err) {
+        serverError(res, err, 'send test event');
+    }
+});
+
+// GET /api/admin/webhooks/:id/deliveries - recent attempts, newest first
+router.get('/admin/webhooks/:id/deliveries', async (req, res) => {
+    try {
+        const webhook = await getWebhook(req.params.id);
+        if (!webhook) return notFound(res);
+
+        res.json({
+            success: true,
+            serverTime: getServerTime(),
+            webhookId: webhook.id,
+            deliveries: await getDeliveries(webhook.id)
+        });
+    } catch (err) {
+        serverError(res, err, 'fetch deliveries');
+    }
+});
+
+export default router;
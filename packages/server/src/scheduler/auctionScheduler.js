@@ -0,0 +1,256 @@
+/*
+ * Server-side auction scheduler
+ *
+ * Keeps one timer per item for its next lifecycle transition
+ * (scheduled -> live at auctionStartTime, live -> closed at auctionEndTime)
+ * and announces each transition to clients.
+ *
+ * Soft-close extensions don't need to tell us anything: when the close
+ * timer fires, closeAuction() refuses if the end time has moved and we
+ * simply re-arm for the new end time
+ *
+ * In cluster mode every instance arms timers for every item. The item
+ * lock makes the transitions happen once - the others get NOT_SCHEDULED
+ * or ALREADY_CLOSED and stay quiet - and a periodic resync picks up items
+ * created or edited on other instances
+ *
+ * Live items get a second timer that tells watchers when the auction
+ * enters its last WATCH_ALERT_BEFORE_SEC seconds (default 60), and live
+ * Dutch items a third for each price drop (PRICE_TICK)
+ */
+
+import { getAllItems, startAuction, closeAuction, claimEndingAlert, tickDutchPrice } from '../store/auctionStore.js';
+import { toItem } from '../socket/broadcaster.js';
+import { alertWatchersEndingSoon } from '../socket/watchAlerts.js';
+import { notifyWinner, notifyEndingSoon } from '../socket/notifier.js';
+import { emitWebhookEvent } from '../webhooks/dispatcher.js';
+import { recordAudit } from '../store/auditStore.js';
+import { getServerTime } from '../utils/timeSync.js';
+
+// setTimeout can't wait longer than ~24.8 days - longer waits just re-check
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// how often to rebuild timers from shared storage in cluster mode
+const RESYNC_INTERVAL_MS = Number(process.env.SCHEDULER_RESYNC_MS ?? 15000);
+
+const ENDING_ALERT_WINDOW_MS = Number(process.env.WATCH_ALERT_BEFORE_SEC ?? 60) * 1000;
+
+// itemId -> pending timeout
+const timers = new Map();
+const alertTimers = new Map();
+const priceTimers = new Map();
+let resyncTimer = null;
+
+export function unscheduleItem(itemId) {
+    clearTimeout(timers.get(itemId));
+    timers.delete(itemId);
+    clearTimeout(alertTimers.get(itemId));
+    alertTimers.delete(itemId);
+    clearTimeout(priceTimers.get(itemId));
+    priceTimers.delete(itemId);
+}
+
+// arm the "ending soon" alert - fires straight away if we're already in the window
+function scheduleEndingAlert(item) {
+    clearTimeout(alertTimers.get(item.id));
+    alertTimers.delete(item.id);
+
+    // past its end time it's waiting on the close timer - too late to warn anyone
+    if (item.status !== 'live' || item.auctionEndTime <= Date.now()) return;
+
+    const dueAt = item.auctionEndTime - ENDING_ALERT_WINDOW_MS;
+    const delay = Math.min(Math.max(0, dueAt - Date.now()), MAX_TIMER_DELAY);
+
+    const timer = setTimeout(() => {
+        alertTimers.delete(item.id);
+        handleEndingAlert(item.id).catch(err => {
+            console.error(`Ending alert error on ${item.id}:`, err);
+        });
+    }, delay);
+
+    alertTimers.set(item.id, timer);
+}
+
+// arm the next Dutch price drop - nothing once the price is at its floor
+function schedulePriceDrop(item) {
+    clearTimeout(priceTimers.get(item.id));
+    priceTimers.delete(item.id);
+
+    if (item.status !== 'live' || !item.nextPriceDropAt) return;
+
+    const delay = Math.min(Math.max(0, item.nextPriceDropAt - Date.now()), MAX_TIMER_DELAY);
+
+    const timer = setTimeout(() => {
+        priceTimers.delete(item.id);
+        handlePriceTick(item.id).catch(err => {
+            console.error(`Price tick error on ${item.id}:`, err);
+        });
+    }, delay);
+
+    priceTimers.set(item.id, timer);
+}
+
+// arm (or re-arm) the timer for an item's next transition
+export function scheduleItem(item) {
+    unscheduleItem(item.id);
+
+    if (item.status === 'closed') return;
+
+    const isScheduled = item.status === 'scheduled';
+    const dueAt = isScheduled ? item.auctionStartTime : item.auctionEndTime;
+    const delay = Math.min(Math.max(0, dueAt - Date.now()), MAX_TIMER_DELAY);
+
+    const timer = setTimeout(() => {
+        timers.delete(item.id);
+        const transition = isScheduled ? handleStart : handleClose;
+        transition(item.id).catch(err => {
+            console.error(`Scheduler error on ${item.id}:`, err);
+        });
+    }, delay);
+
+    timers.set(item.id, timer);
+    scheduleEndingAlert(item);
+    schedulePriceDrop(item);
+}
+
+async function handleEndingAlert(itemId) {
+    const result = await claimEndingAlert(itemId, ENDING_ALERT_WINDOW_MS);
+
+    if (result.success) {
+        // watchers get the live alert; they and everyone who bid get an inbox notification
+        const watchers = await alertWatchersEndingSoon(result.item);
+        const recipients = [...new Set([...watchers, ...result.bidderIds])];
+        await notifyEndingSoon(result.item, recipients);
+        if (recipients.length > 0) console.log(`⏰ Ending soon: ${itemId} - notified ${recipients.length} user(s)`);
+        return;
+    }
+
+    // a seller pushed the end time out - wait for the new window
+    if (result.error === 'NOT_DUE') {
+        scheduleEndingAlert(result.item);
+    }
+}
+
+async function handlePriceTick(itemId) {
+    const result = await tickDutchPrice(itemId);
+
+    if (result.success) {
+        toItem(itemId, 'PRICE_TICK', {
+            itemId,
+            currentPrice: result.item.currentBid,
+            floorPrice: result.item.floorPrice,
+            nextPriceDropAt: result.item.nextPriceDropAt,
+            seq: result.item.seq,
+            serverTime: getServerTime()
+        });
+    }
+
+    // UNCHANGED - another instance got there first, or the timer fired a touch early
+    if (result.item) schedulePriceDrop(result.item);
+}
+
+async function handleStart(itemId) {
+    const result = await startAuction(itemId);
+
+    if (result.success) {
+        toItem(itemId, 'AUCTION_STARTED', {
+            itemId,
+            status: result.item.status,
+            auctionEndTime: result.item.auctionEndTime,
+            nextPriceDropAt: result.item.nextPriceDropAt,
+            seq: result.item.seq,
+            serverTime: getServerTime()
+        });
+        emitWebhookEvent('auction.started', { item: result.item });
+        console.log(`🟢 Auction started: ${itemId}`);
+    }
+
+    // either way, line up whatever comes next
+    if (result.item) scheduleItem(result.item);
+}
+
+// tell watchers how a closed auction turned out, and the winner via their inbox - also used by Buy-It-Now
+export function announceAuctionEnded(item) {
+    toItem(item.id, 'AUCTION_ENDED', {
+        itemId: item.id,
+        status: item.status,
+        outcome: item.outcome,
+        winnerId: item.winnerId,
+        finalPrice: item.finalPrice,
+        // a sealed auction's bids are revealed at the close
+        currentBid: item.currentBid,
+        highestBidderId: item.highestBidderId,
+        bidCount: item.bidCount,
+        seq: item.seq,
+        serverTime: getServerTime()
+    });
+
+    emitWebhookEvent('auction.closed', { item });
+
+    recordAudit({
+        action: 'AUCTION_ENDED',
+        outcome: item.outcome,
+        code: 'OK',
+        userId: item.winnerId,
+        itemId: item.id,
+        amount: item.finalPrice,
+        details: {
+            bidCount: item.bidCount,
+            currentBid: item.currentBid,
+            auctionEndTime: item.auctionEndTime
+        }
+    });
+
+    notifyWinner(item).catch(err => {
+        console.error(`Winner notification failed for ${item.id}:`, err);
+    });
+}
+
+async function handleClose(itemId) {
+    const result = await closeAuction(itemId);
+
+    if (result.success) {
+        announceAuctionEnded(result.item);
+        const summary = result.item.winnerId
+            ? `won by ${result.item.winnerId} at $${result.item.finalPrice}`
+            : (result.item.bidCount > 0 ? 'reserve not met' : 'no bids');
+        console.log(`🏁 Auction closed: ${itemId} - ${summary}`);
+        return;
+    }
+
+    // end time moved (or the timer capped out) - try again later
+    if (result.error === 'NOT_ENDED') {
+        scheduleItem(result.item);
+    }
+}
+
+function clearTimers() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    alertTimers.forEach(timer => clearTimeout(timer));
+    alertTimers.clear();
+    priceTimers.forEach(timer => clearTimeout(timer));
+    priceTimers.clear();
+}
+
+// (re)build every timer from the store - used on startup and after a reset
+export async function scheduleAll() {
+    const items = await getAllItems();
+
+    clearTimers();
+    items.forEach(scheduleItem);
+}
+
+// other instances create and edit items we never hear about directly
+export function startResync() {
+    clearInterval(resyncTimer);
+    resyncTimer = setInterval(() => {
+        scheduleAll().catch(err => console.error('Scheduler resync failed:', err));
+    }, RESYNC_INTERVAL_MS);
+}
+
+export function stopScheduler() {
+    clearInterval(resyncTimer);
+    resyncTimer = null;
+    clearTimers();
+}
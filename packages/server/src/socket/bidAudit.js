@@ -0,0 +1,46 @@
+/*
+ * Audit entries for bid attempts (see store/auditStore.js)
+ *
+ * Every BID_PLACED / SET_MAX_BID / BUY_NOW / ACCEPT_PRICE that reaches the server gets one,
+ * accepted or not - including guests and ones the rate limiter dropped.
+ * Secret maximums are recorded here, but only admins can read the log
+ */
+
+import { recordAudit } from '../store/auditStore.js';
+
+function attemptedAmount(event, data) {
+    if (event === 'BID_PLACED') return data?.bidAmount;
+    if (event === 'SET_MAX_BID') return data?.maxAmount;
+    return null;
+}
+
+// data is the raw payload, result what the bidder was told (plus the store's lockedAt)
+export function auditBidAttempt(socket, event, data, receivedAt, result) {
+    const amount = attemptedAmount(event, data);
+    const itemId = data?.itemId;
+
+    recordAudit({
+        action: event,
+        outcome: result.success ? 'accepted' : 'rejected',
+        code: result.success ? 'OK' : result.error,
+        userId: socket.data.user?.id || null,
+        socketId: socket.id,
+        itemId: typeof itemId === 'string' ? itemId : null,
+        amount: typeof amount === 'number' ? amount : null,
+        receivedAt,
+        lockedAt: result.lockedAt ?? null,
+        details: {
+            requestId: data?.requestId ?? null,
+            duplicate: Boolean(result.duplicate),
+            // what actually went on the item - proxy responses included
+            bids: (result.bids || []).map(bid => ({
+                id: bid.id,
+                bidderId: bid.bidderId,
+                amount: bid.amount,
+                auto: Boolean(bid.auto)
+            })),
+            currentBid: result.item?.currentBid ?? result.currentBid ?? null,
+            highestBidderId: result.item?.highestBidderId ?? null
+        }
+    });
+}
@@ -2,24 +2,288 @@
  * Socket.io event handlers for bidding
  */
 
-import { placeBid, getAllItems } from '../store/auctionStore.js';
+import { placeBid, setMaxBid, buyNow, acceptPrice, getAllItems } from '../store/auctionStore.js';
+import { unscheduleItem, announceAuctionEnded } from '../scheduler/auctionScheduler.js';
 import { getServerTime } from '../utils/timeSync.js';
+import { toPublicBid } from '../utils/maskBidder.js';
+import { parseItemQuery, matchesItemQuery, isWithinCursor } from '../utils/itemQuery.js';
+import { hasErrors } from '../utils/itemValidation.js';
+import { getWatchedItemIds } from '../store/watchlistStore.js';
+import { toItem, toUser, itemRoom, userRoom } from './broadcaster.js';
+import { eventsSince } from './replayBuffer.js';
+import { alertWatchersOfBid } from './watchAlerts.js';
+import { notifyOutbid } from './notifier.js';
+import { emitWebhookEvent } from '../webhooks/dispatcher.js';
+import { rateLimitSocket } from '../middleware/rateLimit.js';
+import { recordBidOutcome } from '../metrics/registry.js';
+import { auditBidAttempt } from './bidAudit.js';
+
+// cap on item subscriptions per socket so one client can't join everything
+const MAX_ITEM_SUBSCRIPTIONS = 200;
+
+// client-generated bid request IDs (UUIDs in practice)
+const MAX_REQUEST_ID_LENGTH = 64;
+
+const METRIC_KINDS = { BID_PLACED: 'bid', SET_MAX_BID: 'max_bid', BUY_NOW: 'buy_now', ACCEPT_PRICE: 'accept_price' };
+
+/*
+ * Push the visible outcome of a bid (or proxy resolution) to clients
+ * Only the resulting price goes out - never anyone's proxy maximum
+ */
+function broadcastBidResult(result) {
+    // a sealed bid stays sealed - the room only hears that one more came in
+    if (result.sealed) {
+        if (result.newBidder) {
+            toItem(result.item.id, 'SEALED_BID_RECEIVED', {
+                itemId: result.item.id,
+                bidCount: result.item.bidCount,
+                seq: result.item.seq,
+                serverTime: getServerTime()
+            });
+        }
+        return;
+    }
+
+    if (result.bids.length === 0) return;
+
+    // everyone watching this item (including sender) so UI updates
+    toItem(result.item.id, 'UPDATE_BID', {
+        itemId: result.item.id,
+        currentBid: result.item.currentBid,
+        minimumNextBid: result.item.minimumNextBid,
+        highestBidderId: result.item.highestBidderId,
+        previousBidderId: result.previousBidderId,
+        reserveMet: result.item.reserveMet,
+        buyNowAvailable: result.item.buyNowAvailable,
+        bidCount: result.item.bidCount,
+        seq: result.item.seq,
+        serverTime: getServerTime()
+    });
+
+    // live bid feed - bidder IDs masked like the history API
+    result.bids.forEach(bid => {
+        toItem(result.item.id, 'NEW_BID', {
+            itemId: result.item.id,
+            bid: toPublicBid(bid),
+            seq: result.item.seq,
+            serverTime: getServerTime()
+        });
+
+        // our own systems get the real bidder
+        emitWebhookEvent('bid.placed', { item: result.item, bid });
+    });
+
+    // late bid pushed the end time out - clients restart their countdowns
+    if (result.extended) {
+        toItem(result.item.id, 'AUCTION_EXTENDED', {
+            itemId: result.item.id,
+            auctionEndTime: result.item.auctionEndTime,
+            extensionCount: result.item.extensionCount,
+            seq: result.item.seq,
+            serverTime: getServerTime()
+        });
+    }
+
+    // if someone got outbid, tell only them
+    result.outbidUserIds.forEach(outbidUserId => {
+        toUser(outbidUserId, 'OUTBID', {
+            itemId: result.item.id,
+            outbidUserId,
+            newBid: result.item.currentBid,
+            newBidderId: result.item.highestBidderId
+        });
+    });
+
+    // ...and into their inbox, in case they aren't looking
+    notifyOutbid(result).catch(err => {
+        console.error(`Outbid notification failed for ${result.item.id}:`, err);
+    });
+
+    // and anyone following the item without bidding
+    alertWatchersOfBid(result).catch(err => {
+        console.error(`Watcher alert failed for ${result.item.id}:`, err);
+    });
+}
+
+// metrics + audit log for one bid attempt, however it turned out
+function trackBidAttempt(socket, event, data, receivedAt, result) {
+    // a replayed request ID isn't a new bid - the retry is still audited
+    if (!result.duplicate) recordBidOutcome(METRIC_KINDS[event], result);
+    auditBidAttempt(socket, event, data, receivedAt, result);
+}
+
+/*
+ * Wrap an acked handler so a throw - storage down, a lock timing out -
+ * still answers the client instead of leaving it waiting on the ack.
+ * The handler gets (data, reply); reply answers at most once and is
+ * safe to call when the client didn't ask for an ack
+ */
+function withAck(event, handler) {
+    return async (...args) => {
+        const ack = typeof args.at(-1) === 'function' ? args.pop() : null;
+        let answered = false;
+        const reply = (response) => {
+            if (answered) return;
+            answered = true;
+            if (ack) ack(response);
+        };
+
+        try {
+            await handler(args[0], reply);
+        } catch (err) {
+            console.error(`Error handling ${event}:`, err);
+            reply({
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Something went wrong - please try again'
+            });
+        }
+    };
+}
+
+// the bidding events also get metrics + an audit entry, even when they throw
+function withBidAck(socket, event, handler) {
+    return withAck(event, async (data, reply) => {
+        const receivedAt = getServerTime();
+        let tracked = false;
+        const track = (result) => {
+            tracked = true;
+            trackBidAttempt(socket, event, data, receivedAt, result);
+        };
+
+        try {
+            await handler(data, reply, track);
+        } catch (err) {
+            if (!tracked) track({ success: false, error: 'INTERNAL_ERROR' });
+            throw err;
+        }
+    });
+}
+
+// the payload's bidderId is ignored - only the authenticated socket counts
+function requireBidder(socket, reply) {
+    const user = socket.data.user;
+    if (user) return user.id;
+
+    reply({
+        success: false,
+        error: 'UNAUTHORIZED',
+        message: 'Log in to bid'
+    });
+    return null;
+}
 
 export function setupBidHandlers(io) {
     io.on('connection', (socket) => {
 
-        // client requests current items
-        socket.on('GET_ITEMS', (callback) => {
-            const items = getAllItems();
+        // throttle every event from this socket (see middleware/rateLimit.js)
+        socket.use(rateLimitSocket(socket));
+
+        // private room for per-user messages like OUTBID
+        if (socket.data.user) {
+            socket.join(userRoom(socket.data.user.id));
+        }
+
+        // subscribe to live updates for one item
+        socket.on('JOIN_ITEM', (data, callback) => {
+            const itemId = data?.itemId;
+            const reply = typeof callback === 'function' ? callback : () => {};
+
+            if (typeof itemId !== 'string' || !itemId) {
+                return reply({ success: false, error: 'INVALID_DATA', message: 'itemId is required' });
+            }
+
+            // socket.rooms also holds the socket's own id and its user room
+            const itemRooms = [...socket.rooms].filter(room => room.startsWith('item:'));
+            if (itemRooms.length >= MAX_ITEM_SUBSCRIPTIONS && !socket.rooms.has(itemRoom(itemId))) {
+                return reply({ success: false, error: 'TOO_MANY_SUBSCRIPTIONS', message: 'Subscribed to too many items' });
+            }
+
+            socket.join(itemRoom(itemId));
+            reply({ success: true });
+        });
+
+        socket.on('LEAVE_ITEM', (data, callback) => {
+            const itemId = data?.itemId;
+            if (typeof itemId === 'string' && itemId) {
+                socket.leave(itemRoom(itemId));
+            }
             if (typeof callback === 'function') {
-                callback({
-                    success: true,
-                    serverTime: getServerTime(),
-                    items
-                });
+                callback({ success: true });
             }
         });
 
+        // client requests current items
+        socket.on('GET_ITEMS', withAck('GET_ITEMS', async (data, reply) => {
+            const items = await getAllItems();
+            reply({
+                success: true,
+                serverTime: getServerTime(),
+                items
+            });
+        }));
+
+        /*
+         * Catch up after a reconnect (or a gap in seq)
+         * The client sends { since: { itemId: lastSeenSeq } } and gets back, per item,
+         * the missed events if we still have all of them or a snapshot if not - plus
+         * items it doesn't know about yet and ones that have gone.
+         * A filtered or paged list also sends its `query` (the GET /api/items
+         * params) and `until` (its next page cursor) - new items only come
+         * back if they match and sort into the pages it already has.
+         * If it throws the client gets INTERNAL_ERROR and keeps what it has until the next one
+         */
+        socket.on('RESYNC', withAck('RESYNC', async (data, reply) => {
+            const since = data?.since && typeof data.since === 'object' ? data.since : {};
+            const { query, errors } = parseItemQuery(data?.query || {});
+            if (hasErrors(errors)) {
+                return reply({
+                    success: false,
+                    error: 'INVALID_QUERY',
+                    message: Object.values(errors)[0]
+                });
+            }
+
+            if (query.watchedOnly) {
+                const watched = socket.data.user ? await getWatchedItemIds(socket.data.user.id) : [];
+                query.onlyIds = new Set(watched);
+            }
+
+            const serverTime = getServerTime();
+            const items = await getAllItems();
+            const updates = [];
+            const added = [];
+
+            items.forEach(item => {
+                if (!Object.hasOwn(since, item.id)) {
+                    if (matchesItemQuery(item, query, serverTime) && isWithinCursor(item, query, data?.until)) {
+                        added.push(item);
+                    }
+                    return;
+                }
+
+                const lastSeq = since[item.id];
+                if (lastSeq === item.seq) return;
+
+                const events = Number.isInteger(lastSeq) && lastSeq < item.seq
+                    ? eventsSince(item.id, lastSeq, item.seq)
+                    : null;
+
+                updates.push(events ? { itemId: item.id, events } : { itemId: item.id, snapshot: item });
+            });
+
+            const liveIds = new Set(items.map(item => item.id));
+            const removed = Object.keys(since).filter(itemId => !liveIds.has(itemId));
+
+            reply({
+                success: true,
+                serverTime,
+                updates,
+                added,
+                removed
+            });
+        }));
+
         // client requests server time (for sync)
         socket.on('GET_SERVER_TIME', (callback) => {
             if (typeof callback === 'function') {
@@ -28,71 +292,192 @@ export function setupBidHandlers(io) {
         });
 
         // the main event - placing a bid
-        socket.on('BID_PLACED', async (data, callback) => {
-            const { itemId, bidAmount, bidderId } = data;
-
-            // basic validation
-            if (!itemId || !bidAmount || !bidderId) {
-                if (typeof callback === 'function') {
-                    callback({
-                        success: false,
-                        error: 'INVALID_DATA',
-                        message: 'Missing required fields'
-                    });
-                }
+        socket.on('BID_PLACED', withBidAck(socket, 'BID_PLACED', async (data, reply, track) => {
+            const bidderId = requireBidder(socket, reply);
+            if (!bidderId) return track({ success: false, error: 'UNAUTHORIZED' });
+
+            const { itemId, bidAmount, requestId } = data || {};
+
+            // basic validation - requestId is optional, but has to look like an ID
+            const badRequestId = requestId != null
+                && (typeof requestId !== 'string' || !requestId || requestId.length > MAX_REQUEST_ID_LENGTH);
+
+            if (typeof itemId !== 'string' || !itemId || typeof bidAmount !== 'number' || !Number.isFinite(bidAmount) || bidAmount <= 0 || badRequestId) {
+                track({ success: false, error: 'INVALID_DATA' });
+                reply({
+                    success: false,
+                    error: 'INVALID_DATA',
+                    message: 'Missing or invalid bid fields'
+                });
                 return;
             }
 
             console.log(`Bid attempt: ${bidderId} -> $${bidAmount} on ${itemId}`);
 
             // try to place the bid (mutex handles concurrency)
-            const result = await placeBid(itemId, bidderId, bidAmount);
+            const result = await placeBid(itemId, bidderId, bidAmount, requestId);
+            track(result);
 
             if (result.success) {
                 // tell the bidder they succeeded
-                if (typeof callback === 'function') {
-                    callback({
-                        success: true,
-                        message: result.message,
-                        item: result.item
-                    });
-                }
-
-                // broadcast to everyone (including sender) so UI updates
-                io.emit('UPDATE_BID', {
-                    itemId: result.item.id,
-                    currentBid: result.item.currentBid,
-                    highestBidderId: result.item.highestBidderId,
-                    previousBidderId: result.previousBidderId,
-                    serverTime: getServerTime()
+                reply({
+                    success: true,
+                    message: result.message,
+                    item: result.item,
+                    sealedBid: result.sealedBid,
+                    duplicate: Boolean(result.duplicate)
                 });
 
-                // if someone got outbid, send them a specific event
-                if (result.previousBidderId && result.previousBidderId !== bidderId) {
-                    io.emit('OUTBID', {
-                        itemId: result.item.id,
-                        outbidUserId: result.previousBidderId,
-                        newBid: result.item.currentBid,
-                        newBidderId: result.item.highestBidderId
-                    });
+                // a repeated request ID - already broadcast the first time
+                if (result.duplicate) {
+                    console.log(`Duplicate bid request ${requestId} from ${bidderId} on ${itemId} - replayed original result`);
+                    return;
                 }
 
-                console.log(`Bid accepted: ${bidderId} now winning ${itemId} at $${result.item.currentBid}`);
+                broadcastBidResult(result);
+
+                if (result.sealed) {
+                    console.log(`Sealed bid ${result.newBidder ? 'placed' : 'updated'}: ${bidderId} on ${itemId}, ${result.item.bidCount} bids in`);
+                } else {
+                    console.log(`Bid accepted: ${bidderId} -> $${bidAmount} on ${itemId}, ${result.item.highestBidderId} leads at $${result.item.currentBid}`);
+                }
 
             } else {
                 // bid failed - let them know why
-                if (typeof callback === 'function') {
-                    callback({
-                        success: false,
-                        error: result.error,
-                        message: result.message,
-                        currentBid: result.currentBid
-                    });
-                }
+                reply({
+                    success: false,
+                    error: result.error,
+                    message: result.message,
+                    currentBid: result.currentBid,
+                    minimumBid: result.minimumBid,
+                    duplicate: Boolean(result.duplicate)
+                });
 
                 console.log(`Bid rejected: ${result.error} - ${result.message}`);
             }
-        });
+        }));
+
+        // register a secret maximum - the server bids up to it automatically
+        socket.on('SET_MAX_BID', withBidAck(socket, 'SET_MAX_BID', async (data, reply, track) => {
+            const bidderId = requireBidder(socket, reply);
+            if (!bidderId) return track({ success: false, error: 'UNAUTHORIZED' });
+
+            const { itemId, maxAmount } = data || {};
+
+            if (typeof itemId !== 'string' || !itemId || typeof maxAmount !== 'number' || !Number.isFinite(maxAmount)) {
+                track({ success: false, error: 'INVALID_DATA' });
+                reply({
+                    success: false,
+                    error: 'INVALID_DATA',
+                    message: 'Missing required fields'
+                });
+                return;
+            }
+
+            const result = await setMaxBid(itemId, bidderId, maxAmount);
+            track(result);
+
+            reply(result.success ? {
+                success: true,
+                message: result.message,
+                maxBid: result.maxBid,
+                item: result.item
+            } : {
+                success: false,
+                error: result.error,
+                message: result.message,
+                currentBid: result.currentBid
+            });
+
+            if (result.success) {
+                broadcastBidResult(result);
+                // don't log the amount - maximums stay secret, even in logs
+                console.log(`Max bid set: ${bidderId} on ${itemId}, ${result.item.highestBidderId} leads at $${result.item.currentBid}`);
+            } else {
+                console.log(`Max bid rejected: ${result.error} - ${result.message}`);
+            }
+        }));
+
+        // Buy-It-Now - a winning bid at the fixed price that closes the auction
+        socket.on('BUY_NOW', withBidAck(socket, 'BUY_NOW', async (data, reply, track) => {
+            const buyerId = requireBidder(socket, reply);
+            if (!buyerId) return track({ success: false, error: 'UNAUTHORIZED' });
+
+            const { itemId } = data || {};
+
+            if (typeof itemId !== 'string' || !itemId) {
+                track({ success: false, error: 'INVALID_DATA' });
+                reply({
+                    success: false,
+                    error: 'INVALID_DATA',
+                    message: 'Missing required fields'
+                });
+                return;
+            }
+
+            const result = await buyNow(itemId, buyerId);
+            track(result);
+
+            reply(result.success ? {
+                success: true,
+                message: result.message,
+                item: result.closedItem
+            } : {
+                success: false,
+                error: result.error,
+                message: result.message
+            });
+
+            if (result.success) {
+                // closed already, the close timer has nothing left to do
+                unscheduleItem(itemId);
+                broadcastBidResult(result);
+                announceAuctionEnded(result.closedItem);
+                console.log(`Bought now: ${buyerId} bought ${itemId} for $${result.closedItem.finalPrice}`);
+            } else {
+                console.log(`Buy now rejected: ${result.error} - ${result.message}`);
+            }
+        }));
+
+        // Dutch auctions - take the current price, which wins and closes it
+        socket.on('ACCEPT_PRICE', withBidAck(socket, 'ACCEPT_PRICE', async (data, reply, track) => {
+            const buyerId = requireBidder(socket, reply);
+            if (!buyerId) return track({ success: false, error: 'UNAUTHORIZED' });
+
+            const { itemId } = data || {};
+
+            if (typeof itemId !== 'string' || !itemId) {
+                track({ success: false, error: 'INVALID_DATA' });
+                reply({
+                    success: false,
+                    error: 'INVALID_DATA',
+                    message: 'Missing required fields'
+                });
+                return;
+            }
+
+            const result = await acceptPrice(itemId, buyerId);
+            track(result);
+
+            reply(result.success ? {
+                success: true,
+                message: result.message,
+                item: result.closedItem
+            } : {
+                success: false,
+                error: result.error,
+                message: result.message
+            });
+
+            if (result.success) {
+                unscheduleItem(itemId);
+                broadcastBidResult(result);
+                announceAuctionEnded(result.closedItem);
+                console.log(`Price accepted: ${buyerId} took ${itemId} at $${result.closedItem.finalPrice}`);
+            } else {
+                console.log(`Accept rejected: ${result.error} - ${result.message}`);
+            }
+        }));
 
         // periodic time sync broadcasts (every 30 sec)
         const syncInterval = setInterval(() => {
@@ -0,0 +1,77 @@
+/*
+ * Lets code outside the socket handlers (REST routes, schedulers)
+ * push events to connected clients without importing the io instance
+ *
+ * Item events that carry a seq are also kept in the replay buffer
+ * so reconnecting clients can catch up (see RESYNC)
+ */
+
+import { recordEvent } from './replayBuffer.js';
+
+let ioRef = null;
+
+export function attachIo(io) {
+    ioRef = io;
+}
+
+// room names - sockets subscribe to items, and each logged-in user has a private room
+export const itemRoom = (itemId) => `item:${itemId}`;
+export const userRoom = (userId) => `user:${userId}`;
+
+function recordIfSequenced(itemId, event, payload) {
+    if (itemId && typeof payload?.seq === 'number') {
+        recordEvent(itemId, payload.seq, event, payload);
+    }
+}
+
+// send to every connected client
+export function broadcast(event, payload) {
+    if (!ioRef) return;
+    recordIfSequenced(payload?.itemId, event, payload);
+    ioRef.emit(event, payload);
+}
+
+// send to clients watching one item
+export function toItem(itemId, event, payload) {
+    if (!ioRef) return;
+    recordIfSequenced(itemId, event, payload);
+    ioRef.to(itemRoom(itemId)).emit(event, payload);
+}
+
+// send to every socket one user has open (all their tabs/devices)
+export function toUser(userId, event, payload) {
+    if (!ioRef) return;
+    ioRef.to(userRoom(userId)).emit(event, payload);
+}
+
+// sockets on every instance in cluster mode - just ours if the others don't
+// answer in time (or with REDIS_URL=mock, which can't count subscribers)
+async function fetchAllSockets() {
+    try {
+        return { sockets: await ioRef.fetchSockets(), partial: false };
+    } catch (err) {
+        console.warn('Couldn\'t reach every instance for socket stats:', err.message);
+        return { sockets: await ioRef.local.fetchSockets(), partial: true };
+    }
+}
+
+// who's connected, and how many are looking at each item
+export async function getSocketStats() {
+    if (!ioRef) return { sockets: 0, users: 0, viewersByItem: {}, partial: false };
+
+    const { sockets, partial } = await fetchAllSockets();
+    const users = new Set();
+    const viewersByItem = {};
+
+    sockets.forEach(socket => {
+        if (socket.data.user) users.add(socket.data.user.id);
+
+        socket.rooms.forEach(room => {
+            if (!room.startsWith('item:')) return;
+            const itemId = room.slice('item:'.length);
+            viewersByItem[itemId] = (viewersByItem[itemId] || 0) + 1;
+        });
+    });
+
+    return { sockets: sockets.length, users: users.size, viewersByItem, partial };
+}
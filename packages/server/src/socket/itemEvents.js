@@ -0,0 +1,59 @@
+/*
+ * What follows a change to an item's listing - timers, broadcasts,
+ * webhooks and cleanup. Shared by the seller routes (routes/items.js)
+ * and the admin console (routes/admin.js) so both behave the same
+ */
+
+import { broadcast, toItem } from './broadcaster.js';
+import { forgetItem } from './replayBuffer.js';
+import { scheduleItem, unscheduleItem } from '../scheduler/auctionScheduler.js';
+import { forgetWatchers } from '../store/watchlistStore.js';
+import { emitWebhookEvent } from '../webhooks/dispatcher.js';
+import { getServerTime } from '../utils/timeSync.js';
+
+export function announceItemCreated(item) {
+    scheduleItem(item);
+
+    broadcast('ITEM_CREATED', {
+        item,
+        serverTime: getServerTime()
+    });
+    emitWebhookEvent('item.created', { item });
+}
+
+// start/end time may have changed, so the timers are re-armed too
+export function announceItemUpdated(item) {
+    scheduleItem(item);
+
+    broadcast('ITEM_UPDATED', {
+        itemId: item.id,
+        item,
+        seq: item.seq,
+        serverTime: getServerTime()
+    });
+}
+
+// same event a soft close sends, so countdowns restart from the new end time
+export function announceAuctionExtended(item) {
+    scheduleItem(item);
+
+    toItem(item.id, 'AUCTION_EXTENDED', {
+        itemId: item.id,
+        auctionEndTime: item.auctionEndTime,
+        extensionCount: item.extensionCount,
+        seq: item.seq,
+        serverTime: getServerTime()
+    });
+}
+
+export async function announceItemRemoved(item) {
+    unscheduleItem(item.id);
+    forgetItem(item.id);
+    await forgetWatchers(item.id);
+
+    broadcast('ITEM_REMOVED', {
+        itemId: item.id,
+        serverTime: getServerTime()
+    });
+    emitWebhookEvent('item.removed', { item });
+}
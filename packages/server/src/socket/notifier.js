@@ -0,0 +1,53 @@
+/*
+ * Inbox notifications - stored first (see store/notificationStore.js),
+ * then pushed as NOTIFICATION to every socket the user has open.
+ * Offline users pick them up from GET /api/notifications on their next connect
+ */
+
+import { addNotification } from '../store/notificationStore.js';
+import { toUser } from './broadcaster.js';
+
+const formatPrice = (amount) => `$${amount.toLocaleString()}`;
+
+export async function notifyUser(userId, fields) {
+    const notification = await addNotification(userId, fields);
+    toUser(userId, 'NOTIFICATION', notification);
+    return notification;
+}
+
+export async function notifyOutbid(result) {
+    const { item } = result;
+
+    await Promise.all(result.outbidUserIds.map(userId => notifyUser(userId, {
+        type: 'outbid',
+        itemId: item.id,
+        title: item.title,
+        amount: item.currentBid,
+        message: `You've been outbid on "${item.title}" - it's now ${formatPrice(item.currentBid)}`
+    })));
+}
+
+export async function notifyWinner(item) {
+    if (!item.winnerId) return;
+
+    await notifyUser(item.winnerId, {
+        type: 'won',
+        itemId: item.id,
+        title: item.title,
+        amount: item.finalPrice,
+        message: `You won "${item.title}" for ${formatPrice(item.finalPrice)}`
+    });
+}
+
+export async function notifyEndingSoon(item, userIds) {
+    await Promise.all(userIds.map(userId => notifyUser(userId, {
+        type: 'ending_soon',
+        itemId: item.id,
+        title: item.title,
+        amount: item.currentBid,
+        // sealed bids stay sealed, even in the reminder
+        message: item.currentBid === null
+            ? `"${item.title}" is about to end - sealed bids can still be changed`
+            : `"${item.title}" is about to end - currently ${formatPrice(item.currentBid)}`
+    })));
+}
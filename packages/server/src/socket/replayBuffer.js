@@ -0,0 +1,48 @@
+/*
+ * Bounded per-item history of the events this process has sent
+ *
+ * A reconnecting client says which seq it last saw for each item, and if
+ * every revision since then is still here it gets just those events back.
+ * Otherwise - buffer trimmed, or (in cluster mode) some revisions were
+ * emitted by another instance - the caller falls back to a snapshot
+ */
+
+// events kept per item - one bid is 2-3 events (UPDATE_BID, NEW_BID, maybe AUCTION_EXTENDED)
+const REPLAY_BUFFER_SIZE = Number(process.env.REPLAY_BUFFER_SIZE ?? 100);
+
+// itemId -> { events: [{ seq, event, payload }], trimmedUpTo }
+const buffers = new Map();
+
+export function recordEvent(itemId, seq, event, payload) {
+    if (!buffers.has(itemId)) {
+        buffers.set(itemId, { events: [], trimmedUpTo: 0 });
+    }
+
+    const buffer = buffers.get(itemId);
+    buffer.events.push({ seq, event, payload });
+
+    while (buffer.events.length > REPLAY_BUFFER_SIZE) {
+        const dropped = buffer.events.shift();
+        buffer.trimmedUpTo = Math.max(buffer.trimmedUpTo, dropped.seq);
+    }
+}
+
+// events after sinceSeq up to currentSeq, or null if we can't vouch for all of them
+export function eventsSince(itemId, sinceSeq, currentSeq) {
+    const buffer = buffers.get(itemId);
+    if (!buffer || buffer.trimmedUpTo > sinceSeq) return null;
+
+    const events = buffer.events.filter(entry => entry.seq > sinceSeq && entry.seq <= currentSeq);
+
+    // every revision in between has to be here, or the client would skip one
+    const seen = new Set(events.map(entry => entry.seq));
+    for (let seq = sinceSeq + 1; seq <= currentSeq; seq++) {
+        if (!seen.has(seq)) return null;
+    }
+
+    return events.map(({ event, payload }) => ({ event, payload }));
+}
+
+export function forgetItem(itemId) {
+    buffers.delete(itemId);
+}
@@ -0,0 +1,50 @@
+/*
+ * Alerts for bidders watching an item (see store/watchlistStore.js)
+ *
+ * Sent to each watcher's private room, so they arrive whether or not the
+ * item's card is on screen. Bidders involved in the bid itself already
+ * hear about it (UPDATE_BID / OUTBID) and are left out
+ */
+
+import { getWatchers } from '../store/watchlistStore.js';
+import { toUser } from './broadcaster.js';
+import { getServerTime } from '../utils/timeSync.js';
+
+export async function alertWatchersOfBid(result) {
+    const involved = new Set([
+        ...result.bids.map(bid => bid.bidderId),
+        ...result.outbidUserIds
+    ]);
+
+    const watchers = (await getWatchers(result.item.id)).filter(userId => !involved.has(userId));
+    const lastBid = result.bids[result.bids.length - 1];
+
+    watchers.forEach(userId => {
+        toUser(userId, 'WATCHED_ITEM_BID', {
+            itemId: result.item.id,
+            title: result.item.title,
+            currentBid: result.item.currentBid,
+            bidCount: result.item.bidCount,
+            buyNow: Boolean(lastBid?.buyNow),
+            accepted: Boolean(lastBid?.accepted),
+            serverTime: getServerTime()
+        });
+    });
+}
+
+// the scheduler calls this once per item as it enters its final minutes - returns who was told
+export async function alertWatchersEndingSoon(item) {
+    const watchers = await getWatchers(item.id);
+
+    watchers.forEach(userId => {
+        toUser(userId, 'WATCHED_ITEM_ENDING', {
+            itemId: item.id,
+            title: item.title,
+            currentBid: item.currentBid,
+            auctionEndTime: item.auctionEndTime,
+            serverTime: getServerTime()
+        });
+    });
+
+    return watchers;
+}
@@ -0,0 +1,120 @@
+/*
+ * Append-only JSON log storage adapter
+ *
+ * Every write is appended to the log as one JSON line ({ op, collection, ... }),
+ * and the log is replayed into memory on startup. Reads are served from
+ * memory, so they're as fast as the memory adapter.
+ *
+ * On startup the replayed state is written back as a compact snapshot so
+ * the log doesn't grow forever across restarts.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createMemoryAdapter } from './memoryAdapter.js';
+
+export function createFileAdapter(filePath) {
+    const memory = createMemoryAdapter();
+
+    // writes are chained so log lines land in the same order as the calls
+    let writeQueue = Promise.resolve();
+
+    const appendEntry = (entry) => {
+        const line = JSON.stringify(entry) + '\n';
+        const write = writeQueue.then(() => fs.appendFile(filePath, line, 'utf8'));
+        // keep the queue alive even if one write fails
+        writeQueue = write.catch(() => {});
+        return write;
+    };
+
+    // apply one log entry to the in-memory state
+    const replayEntry = async (entry) => {
+        switch (entry.op) {
+            case 'put':
+                await memory.put(entry.collection, entry.record);
+                break;
+            case 'remove':
+                await memory.remove(entry.collection, entry.id);
+                break;
+            case 'replaceAll':
+                await memory.replaceAll(entry.collection, entry.records);
+                break;
+            default:
+                console.warn(`Storage log: skipping unknown op "${entry.op}"`);
+        }
+    };
+
+    // rewrite the log as one replaceAll entry per collection
+    const compact = async (collectionNames) => {
+        const lines = [];
+        for (const collection of collectionNames) {
+            const records = await memory.getAll(collection);
+            lines.push(JSON.stringify({ op: 'replaceAll', collection, records }));
+        }
+
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, lines.length ? lines.join('\n') + '\n' : '', 'utf8');
+        await fs.rename(tmpPath, filePath);
+    };
+
+    return {
+        name: 'file',
+
+        async init() {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+            let contents = '';
+            try {
+                contents = await fs.readFile(filePath, 'utf8');
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+
+            const collectionNames = new Set();
+            const lines = contents.split('\n');
+
+            for (let i = 0; i < lines.length; i++) {
+                if (!lines[i].trim()) continue;
+
+                let entry;
+                try {
+                    entry = JSON.parse(lines[i]);
+                } catch (err) {
+                    // a crash mid-write can leave a torn last line - anything else is corruption
+                    if (i >= lines.length - 2) {
+                        console.warn(`Storage log: ignoring truncated last line in ${filePath}`);
+                        continue;
+                    }
+                    throw new Error(`Corrupt storage log ${filePath} at line ${i + 1}`);
+                }
+
+                collectionNames.add(entry.collection);
+                await replayEntry(entry);
+            }
+
+            await compact(collectionNames);
+        },
+
+        getAll: memory.getAll,
+        get: memory.get,
+
+        async put(collection, record) {
+            await memory.put(collection, record);
+            await appendEntry({ op: 'put', collection, record });
+        },
+
+        async remove(collection, id) {
+            await memory.remove(collection, id);
+            await appendEntry({ op: 'remove', collection, id });
+        },
+
+        async replaceAll(collection, records) {
+            await memory.replaceAll(collection, records);
+            await appendEntry({ op: 'replaceAll', collection, records });
+        },
+
+        async close() {
+            await writeQueue;
+        }
+    };
+}
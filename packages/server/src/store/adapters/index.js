@@ -0,0 +1,37 @@
+/*
+ * Storage adapter factory
+ *
+ * Every adapter implements the same async interface, keyed by collection
+ * name and record id:
+ *
+ *   init()                          load whatever the backend has
+ *   getAll(collection)              -> records[]
+ *   get(collection, id)             -> record | undefined
+ *   put(collection, record)         insert or replace by record.id
+ *   remove(collection, id)
+ *   replaceAll(collection, records) swap the whole collection
+ *   close()                         flush pending writes
+ *
+ * Pick one with STORAGE_ADAPTER (memory | file | redis) - defaults to
+ * redis when REDIS_URL is set, memory otherwise
+ */
+
+import { createMemoryAdapter } from './memoryAdapter.js';
+import { createFileAdapter } from './fileAdapter.js';
+import { createRedisAdapter } from './redisAdapter.js';
+import { isClustered, getRedis, redisKey } from '../../cluster/redis.js';
+
+const DEFAULT_ADAPTER = isClustered() ? 'redis' : 'memory';
+
+export function createStorageAdapter(type = process.env.STORAGE_ADAPTER || DEFAULT_ADAPTER) {
+    switch (type) {
+        case 'memory':
+            return createMemoryAdapter();
+        case 'file':
+            return createFileAdapter(process.env.STORAGE_FILE || './data/auction-store.log');
+        case 'redis':
+            return createRedisAdapter(getRedis(), (collection) => redisKey('store', collection));
+        default:
+            throw new Error(`Unknown storage adapter: ${type}`);
+    }
+}
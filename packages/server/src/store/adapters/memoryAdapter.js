@@ -0,0 +1,53 @@
+/*
+ * In-memory storage adapter
+ *
+ * Keeps every collection in a Map - fast and simple, but a restart
+ * wipes everything. Records are cloned on the way in and out so callers
+ * can't accidentally mutate stored state without going through put()
+ */
+
+export function createMemoryAdapter() {
+    const collections = new Map();
+
+    const getCollection = (name) => {
+        if (!collections.has(name)) {
+            collections.set(name, new Map());
+        }
+        return collections.get(name);
+    };
+
+    return {
+        name: 'memory',
+
+        async init() {
+            // nothing to load
+        },
+
+        async getAll(collection) {
+            return [...getCollection(collection).values()].map(record => structuredClone(record));
+        },
+
+        async get(collection, id) {
+            const record = getCollection(collection).get(id);
+            return record ? structuredClone(record) : undefined;
+        },
+
+        async put(collection, record) {
+            getCollection(collection).set(record.id, structuredClone(record));
+        },
+
+        async remove(collection, id) {
+            getCollection(collection).delete(id);
+        },
+
+        async replaceAll(collection, records) {
+            const fresh = new Map();
+            records.forEach(record => fresh.set(record.id, structuredClone(record)));
+            collections.set(collection, fresh);
+        },
+
+        async close() {
+            // nothing to flush
+        }
+    };
+}
@@ -0,0 +1,54 @@
+/*
+ * Redis storage adapter
+ *
+ * One hash per collection (record id -> JSON), so every server instance
+ * pointed at the same Redis sees the same items and users. Unlike the
+ * memory and file adapters nothing is cached locally - reads always hit
+ * Redis, which is what keeps the instances consistent.
+ *
+ * The connection itself belongs to cluster/redis.js
+ */
+
+export function createRedisAdapter(redis, keyFor) {
+    const parse = (json) => (json ? JSON.parse(json) : undefined);
+
+    return {
+        name: 'redis',
+
+        async init() {
+            // nothing to load - the data lives in Redis
+        },
+
+        async getAll(collection) {
+            const values = await redis.hvals(keyFor(collection));
+            return values.map(parse);
+        },
+
+        async get(collection, id) {
+            return parse(await redis.hget(keyFor(collection), id));
+        },
+
+        async put(collection, record) {
+            await redis.hset(keyFor(collection), record.id, JSON.stringify(record));
+        },
+
+        async remove(collection, id) {
+            await redis.hdel(keyFor(collection), id);
+        },
+
+        // delete and refill in one MULTI so other instances never see it half-empty
+        async replaceAll(collection, records) {
+            const key = keyFor(collection);
+            const transaction = redis.multi().del(key);
+            if (records.length > 0) {
+                const fields = records.flatMap(record => [record.id, JSON.stringify(record)]);
+                transaction.hset(key, ...fields);
+            }
+            await transaction.exec();
+        },
+
+        async close() {
+            // connection is closed by closeRedis()
+        }
+    };
+}
@@ -3,22 +3,110 @@
  * 
  * This is the heart of the concurrency control - we use a mutex per item
  * so two simultaneous bids on the same item get serialized properly
+ *
+ * Items themselves live in whichever storage adapter was picked at startup
+ * (see store/adapters). The lock covers load -> check -> save, so the
+ * read-check-write stays atomic no matter which adapter is behind it
  */
 
-import { Mutex } from 'async-mutex';
 import { v4 as uuidv4 } from 'uuid';
+import { getStorage } from './storage.js';
+import { createLock } from './locks.js';
+import { getIncrement, getMinimumNextBid, DEFAULT_INCREMENT_TABLE } from '../utils/bidIncrements.js';
+import { checkPriceRules, checkFormatRules, DUTCH_FIELDS } from '../utils/itemValidation.js';
+import { isDutch, getDutchPrice, getNextPriceDropAt } from '../utils/dutchPricing.js';
+import { isSealed, isSealedOpen, settleSealedBids, toSealedHistoryEntry } from '../utils/sealedBids.js';
+import { lockWaitSeconds, placeBidSeconds } from '../metrics/registry.js';
 
-// mutex locks per item - created on demand
+const ITEMS = 'items';
+
+// soft close (anti-sniping): a bid within the window pushes the end time out.
+// window 0 turns it off, max extensions 0 means no cap
+const SOFT_CLOSE_WINDOW_MS = Number(process.env.SOFT_CLOSE_WINDOW_SEC ?? 30) * 1000;
+const SOFT_CLOSE_EXTENSION_MS = Number(process.env.SOFT_CLOSE_EXTENSION_SEC ?? 30) * 1000;
+const SOFT_CLOSE_MAX_EXTENSIONS = Number(process.env.SOFT_CLOSE_MAX_EXTENSIONS ?? 0);
+
+// how long a bid's request ID is remembered for deduplication
+const BID_REQUEST_TTL_MS = Number(process.env.BID_REQUEST_TTL_SEC ?? 120) * 1000;
+
+// locks per item - created on demand (shared across instances in cluster mode, see locks.js)
 const itemLocks = new Map();
 
 // helper to get or create a lock for an item
 function getLockForItem(itemId) {
     if (!itemLocks.has(itemId)) {
-        itemLocks.set(itemId, new Mutex());
+        itemLocks.set(itemId, createLock(`item:${itemId}`));
     }
     return itemLocks.get(itemId);
 }
 
+// run fn(item) while holding the item's lock - the item is loaded after the
+// lock is taken, so fn always sees the latest saved state
+async function withItemLock(itemId, fn) {
+    const endWait = lockWaitSeconds.startTimer();
+    let release;
+    try {
+        release = await getLockForItem(itemId).acquire();
+        endWait();
+    } catch (err) {
+        endWait();
+        if (err.code !== 'LOCK_TIMEOUT') throw err;
+        // another instance has held the item for too long
+        return {
+            success: false,
+            error: 'ITEM_BUSY',
+            message: 'This item is busy - please try again'
+        };
+    }
+
+    // when the item was actually ours - the audit log puts it next to the receive time
+    const lockedAt = Date.now();
+
+    try {
+        const item = await getStorage().get(ITEMS, itemId);
+        return { ...await fn(item), lockedAt };
+    } finally {
+        // always release the lock
+        release();
+    }
+}
+
+// take several item locks at once - sorted so two callers can't deadlock
+async function acquireItemLocks(itemIds) {
+    const releases = [];
+    const releaseAll = () => releases.forEach(release => release());
+
+    try {
+        for (const itemId of [...new Set(itemIds)].sort()) {
+            releases.push(await getLockForItem(itemId).acquire());
+        }
+    } catch (err) {
+        // don't sit on the ones we did get
+        releaseAll();
+        throw err;
+    }
+    return releaseAll;
+}
+
+/*
+ * Auction lifecycle: scheduled -> live -> closed
+ * The scheduler (scheduler/auctionScheduler.js) drives the transitions;
+ * these are the fields every item starts with
+ */
+function initAuctionState(item, now = Date.now()) {
+    const auctionStartTime = item.auctionStartTime ?? now;
+
+    return {
+        ...item,
+        auctionStartTime,
+        status: auctionStartTime > now ? 'scheduled' : 'live',
+        winnerId: null,
+        finalPrice: null,
+        outcome: null, // 'sold' | 'unsold' once closed
+        closedAt: null
+    };
+}
+
 // sample auction items - in real life this would be in a database
 // end times are set relative to server start
 const createSampleItems = () => {
@@ -30,108 +118,613 @@ const createSampleItems = () => {
             title: 'Vintage Mechanical Keyboard',
             description: 'Cherry MX Blue switches, retro design',
             imageUrl: '/images/keyboard.jpg',
+            category: 'electronics',
             startingPrice: 50,
             currentBid: 50,
             highestBidderId: null,
             auctionEndTime: now + (5 * 60 * 1000), // 5 mins from now
-            bidHistory: []
+            bidHistory: [],
+            proxyBids: {}
         },
         {
             id: 'item-002',
             title: 'Limited Edition Sneakers',
             description: 'Size 10, never worn, original box',
             imageUrl: '/images/sneakers.jpg',
+            category: 'fashion',
             startingPrice: 120,
             currentBid: 120,
             highestBidderId: null,
             auctionEndTime: now + (8 * 60 * 1000), // 8 mins
-            bidHistory: []
+            bidHistory: [],
+            proxyBids: {}
         },
         {
             id: 'item-003',
             title: 'Signed Guitar Pick Collection',
             description: 'From various rock legends',
             imageUrl: '/images/guitar-picks.jpg',
+            category: 'music',
             startingPrice: 200,
             currentBid: 200,
             highestBidderId: null,
             auctionEndTime: now + (3 * 60 * 1000), // 3 mins - ends soon!
-            bidHistory: []
+            bidHistory: [],
+            proxyBids: {}
         },
         {
             id: 'item-004',
             title: 'Rare Pokemon Card - Charizard',
             description: 'First edition, mint condition',
             imageUrl: '/images/pokemon.jpg',
+            category: 'collectibles',
             startingPrice: 500,
             currentBid: 500,
             highestBidderId: null,
             auctionEndTime: now + (10 * 60 * 1000), // 10 mins
-            bidHistory: []
+            bidHistory: [],
+            proxyBids: {}
         },
         {
             id: 'item-005',
             title: 'Antique Pocket Watch',
             description: '1920s Swiss movement, gold plated',
             imageUrl: '/images/watch.jpg',
+            category: 'antiques',
             startingPrice: 300,
             currentBid: 300,
             highestBidderId: null,
             auctionEndTime: now + (6 * 60 * 1000), // 6 mins
-            bidHistory: []
+            bidHistory: [],
+            proxyBids: {}
         },
         {
             id: 'item-006',
             title: 'Gaming Console Bundle',
             description: 'Latest gen with 5 games included',
             imageUrl: '/images/console.jpg',
+            category: 'electronics',
             startingPrice: 400,
             currentBid: 400,
             highestBidderId: null,
             auctionEndTime: now + (4 * 60 * 1000), // 4 mins
-            bidHistory: []
+            bidHistory: [],
+            proxyBids: {}
+        },
+        {
+            // Dutch - the price falls until someone takes it
+            id: 'item-007',
+            title: 'Designer Leather Jacket',
+            description: 'Italian lambskin, size M - price drops until someone buys',
+            imageUrl: '/images/jacket.jpg',
+            category: 'fashion',
+            format: 'dutch',
+            startingPrice: 600,
+            currentBid: 600,
+            floorPrice: 250,
+            priceDropAmount: 25,
+            priceDropIntervalSec: 15, // hits the floor after 3.5 mins
+            highestBidderId: null,
+            auctionEndTime: now + (12 * 60 * 1000), // 12 mins
+            bidHistory: [],
+            proxyBids: {}
+        },
+        {
+            // sealed - nobody sees the bids until it closes, winner pays the second-highest
+            id: 'item-008',
+            title: 'Vintage Film Camera',
+            description: 'Rangefinder from the 60s, fully serviced - sealed bids, revealed at the close',
+            imageUrl: '/images/camera.jpg',
+            category: 'collectibles',
+            format: 'sealed',
+            sealedPricing: 'vickrey',
+            startingPrice: 150,
+            currentBid: 150,
+            highestBidderId: null,
+            auctionEndTime: now + (8 * 60 * 1000), // 8 mins
+            bidHistory: [],
+            proxyBids: {},
+            sealedBids: {}
         }
-    ];
+    ].map(item => initAuctionState(item, now));
 };
 
-// the actual store
-let auctionItems = createSampleItems();
+/*
+ * Every visible change to an item bumps its seq, under the item lock.
+ * Events carry it so clients can spot a gap and ask for a RESYNC
+ */
+function nextSeq(item) {
+    item.seq = (item.seq || 0) + 1;
+    return item.seq;
+}
 
-// public API
+// revealed bids plus any still sealed
+function countBids(item) {
+    return item.bidHistory.length + Object.keys(item.sealedBids || {}).length;
+}
 
-export function getAllItems() {
-    // return a clean copy without internal stuff like bid history
-    return auctionItems.map(item => ({
+function getBidderIds(item) {
+    return [...new Set([
+        ...item.bidHistory.map(bid => bid.bidderId),
+        ...Object.keys(item.sealedBids || {})
+    ])];
+}
+
+// sealed bids only have to reach the starting price - everything else clears the increment
+function getMinimumBid(item) {
+    return isSealed(item) ? item.startingPrice : getMinimumNextBid(item);
+}
+
+// reserve status is public, the reserve amount never is - null when there's no reserve
+// (or the bids are still sealed, since it would give away how high they go)
+function isReserveMet(item) {
+    if (!item.reservePrice || isSealedOpen(item)) return null;
+    return Boolean(item.highestBidderId) && item.currentBid >= item.reservePrice;
+}
+
+// Buy-It-Now disappears once bidding reaches the buy-now price
+function isBuyNowAvailable(item) {
+    return Boolean(item.buyNowPrice) && item.status === 'live' && item.currentBid < item.buyNowPrice;
+}
+
+// strip internal stuff like bid history and the reserve before handing an item out
+export function toPublicItem(item) {
+    const dutch = isDutch(item);
+    const sealed = isSealedOpen(item);
+
+    return {
         id: item.id,
+        sellerId: item.sellerId || null,
         title: item.title,
         description: item.description,
         imageUrl: item.imageUrl,
+        category: item.category || 'other',
+        format: item.format || 'english',
         startingPrice: item.startingPrice,
-        currentBid: item.currentBid,
-        highestBidderId: item.highestBidderId,
-        auctionEndTime: item.auctionEndTime
-    }));
+        currentBid: sealed ? null : item.currentBid,
+        floorPrice: dutch ? item.floorPrice : null,
+        priceDropAmount: dutch ? item.priceDropAmount : null,
+        priceDropIntervalSec: dutch ? item.priceDropIntervalSec : null,
+        nextPriceDropAt: dutch && item.status === 'live' ? getNextPriceDropAt(item, Date.now()) : null,
+        sealedPricing: isSealed(item) ? item.sealedPricing : null,
+        minimumNextBid: getMinimumBid(item),
+        incrementTable: item.incrementTable || DEFAULT_INCREMENT_TABLE,
+        highestBidderId: sealed ? null : item.highestBidderId,
+        hasReserve: Boolean(item.reservePrice),
+        reserveMet: isReserveMet(item),
+        buyNowPrice: item.buyNowPrice || null,
+        buyNowAvailable: isBuyNowAvailable(item),
+        auctionStartTime: item.auctionStartTime,
+        auctionEndTime: item.auctionEndTime,
+        extensionCount: item.extensionCount || 0,
+        bidCount: countBids(item),
+        status: item.status,
+        winnerId: item.winnerId,
+        finalPrice: item.finalPrice,
+        outcome: item.outcome,
+        seq: item.seq || 0
+    };
+}
+
+// load the store, seeding sample items if the backend is empty
+// replicas booting together against empty shared storage would all seed otherwise
+const seedLock = createLock('store:seed');
+
+export async function initStore() {
+    await seedLock.runExclusive(async () => {
+        const existing = await getStorage().getAll(ITEMS);
+
+        if (existing.length === 0) {
+            await getStorage().replaceAll(ITEMS, createSampleItems());
+            console.log('Seeded sample auction items');
+        } else {
+            console.log(`Loaded ${existing.length} auction items from storage`);
+        }
+    });
+}
+
+// public API
+
+export async function getAllItems() {
+    const items = await getStorage().getAll(ITEMS);
+    return items.map(toPublicItem);
+}
+
+export async function getItemById(itemId) {
+    return getStorage().get(ITEMS, itemId);
+}
+
+/*
+ * Page through an item's bid history, newest first
+ * Returns null if the item doesn't exist
+ */
+export async function getBidHistory(itemId, { page = 1, limit = 20, viewerId = null } = {}) {
+    const item = await getStorage().get(ITEMS, itemId);
+    if (!item) return null;
+
+    // until the reveal you only get your own sealed bid back
+    if (isSealedOpen(item)) {
+        const own = viewerId && item.sealedBids?.[viewerId];
+        const bids = own && page === 1 ? [toSealedHistoryEntry(viewerId, own)] : [];
+        return { bids, total: own ? 1 : 0 };
+    }
+
+    const total = item.bidHistory.length;
+    const start = (page - 1) * limit;
+    const bids = item.bidHistory.slice().reverse().slice(start, start + limit);
+
+    return { bids, total };
+}
+
+// what bid callers and broadcasts get to see - never the proxy maximums, or who's ahead on a sealed item
+function toBidSummary(item) {
+    const sealed = isSealedOpen(item);
+
+    return {
+        id: item.id,
+        title: item.title,
+        currentBid: sealed ? null : item.currentBid,
+        minimumNextBid: getMinimumBid(item),
+        highestBidderId: sealed ? null : item.highestBidderId,
+        reserveMet: isReserveMet(item),
+        buyNowAvailable: isBuyNowAvailable(item),
+        auctionEndTime: item.auctionEndTime,
+        extensionCount: item.extensionCount || 0,
+        bidCount: countBids(item),
+        seq: item.seq || 0
+    };
+}
+
+// record an accepted bid and hand the lead to its bidder
+function applyBid(item, bidderId, amount, timestamp, auto = false, extra = {}) {
+    const bid = {
+        id: uuidv4(),
+        bidderId,
+        amount,
+        timestamp,
+        auto,
+        ...extra
+    };
+
+    item.currentBid = amount;
+    item.highestBidderId = bidderId;
+    item.bidHistory.push(bid);
+
+    return bid;
+}
+
+/*
+ * Highest ceiling first; equal ceilings are won by the earliest to commit
+ * to that amount. proxy.createdAt is when the current maximum was set, so
+ * raising a maximum moves it to the back of any tie at the new amount.
+ * The leader sorts ahead of everyone: a challenger can only be level with
+ * them by setting the same maximum later, or every earlier resolution
+ * would have put the challenger in front already. Same-millisecond ties
+ * keep proxyBids' order, which setMaxBid keeps as the order they were set
+ */
+function compareContenders(a, b) {
+    return (b.maxAmount - a.maxAmount) || (a.setAt - b.setAt);
+}
+
+/*
+ * Settle proxy (maximum) bids against the current price - eBay style
+ *
+ * Whoever has the highest ceiling ends up leading, at one increment over
+ * the runner-up's ceiling (capped at their own). Equal ceilings go to
+ * whoever set theirs first (see compareContenders). Only the top two
+ * matter, so a single pass is enough. Returns the automatic bids placed.
+ */
+function resolveProxyBids(item, timestamp) {
+    const proxyBids = item.proxyBids || {};
+    const leaderId = item.highestBidderId;
+    const table = item.incrementTable || DEFAULT_INCREMENT_TABLE;
+    const minimumNext = getMinimumNextBid(item);
+
+    const contenders = [];
+
+    // the leader is defending with their proxy ceiling, or just the current price
+    if (leaderId) {
+        contenders.push({
+            bidderId: leaderId,
+            maxAmount: Math.max(item.currentBid, proxyBids[leaderId]?.maxAmount || 0),
+            setAt: -Infinity
+        });
+    }
+
+    // anyone else needs a ceiling that can actually beat the current price
+    Object.entries(proxyBids).forEach(([bidderId, proxy]) => {
+        if (bidderId === leaderId || proxy.maxAmount < minimumNext) return;
+        contenders.push({
+            bidderId,
+            maxAmount: proxy.maxAmount,
+            setAt: proxy.createdAt
+        });
+    });
+
+    const challengers = contenders.filter(c => c.bidderId !== leaderId);
+    if (challengers.length === 0) return [];
+
+    // sort is stable, so exact ties stay in the order they were set
+    contenders.sort(compareContenders);
+    const [winner, runnerUp] = contenders;
+
+    // a lone proxy on an item nobody has bid on opens one increment up
+    let price = runnerUp
+        ? Math.min(winner.maxAmount, runnerUp.maxAmount + getIncrement(runnerUp.maxAmount, table))
+        : minimumNext;
+
+    // if the winner's ceiling covers the reserve, bid straight up to it
+    if (item.reservePrice && price < item.reservePrice && winner.maxAmount >= item.reservePrice) {
+        price = item.reservePrice;
+    }
+
+    const autoBids = [];
+
+    // show the runner-up's ceiling in the history so people can see how the price got here
+    if (runnerUp && runnerUp.maxAmount > item.currentBid && runnerUp.maxAmount < price) {
+        autoBids.push(applyBid(item, runnerUp.bidderId, runnerUp.maxAmount, timestamp, true));
+    }
+
+    autoBids.push(applyBid(item, winner.bidderId, price, timestamp, true));
+
+    return autoBids;
+}
+
+// bids are only taken while an auction is live - returns an error result or null
+function checkBiddingOpen(item, timestamp) {
+    if (item.status === 'scheduled' || timestamp < item.auctionStartTime) {
+        return {
+            success: false,
+            error: 'AUCTION_NOT_STARTED',
+            message: 'This auction has not started yet'
+        };
+    }
+
+    // the end time check covers the gap before the scheduler gets to close it
+    if (item.status === 'closed' || timestamp >= item.auctionEndTime) {
+        return {
+            success: false,
+            error: 'AUCTION_ENDED',
+            message: 'Sorry, this auction has already ended'
+        };
+    }
+
+    return null;
 }
 
-export function getItemById(itemId) {
-    return auctionItems.find(item => item.id === itemId);
+// extend the auction if a bid landed inside the soft-close window
+// returns true if the end time moved
+function applySoftClose(item, timestamp) {
+    if (SOFT_CLOSE_WINDOW_MS <= 0) return false;
+    if (item.auctionEndTime - timestamp > SOFT_CLOSE_WINDOW_MS) return false;
+
+    const extensionCount = item.extensionCount || 0;
+    if (SOFT_CLOSE_MAX_EXTENSIONS > 0 && extensionCount >= SOFT_CLOSE_MAX_EXTENSIONS) return false;
+
+    item.auctionEndTime += SOFT_CLOSE_EXTENSION_MS;
+    item.extensionCount = extensionCount + 1;
+    return true;
+}
+
+// everyone who held the lead during one operation but doesn't any more
+function collectOutbidUsers(previousBidderId, bids, finalLeaderId) {
+    const leaders = [previousBidderId, ...bids.map(bid => bid.bidderId)];
+    return [...new Set(leaders)].filter(id => id && id !== finalLeaderId);
+}
+
+// Dutch auctions have no bidding up - only ACCEPT_PRICE - and sealed ones only take BID_PLACED
+const WRONG_FORMAT = {
+    dutch: {
+        success: false,
+        error: 'WRONG_FORMAT',
+        message: 'This is a Dutch auction - accept the current price instead'
+    },
+    sealed: {
+        success: false,
+        error: 'WRONG_FORMAT',
+        message: 'This is a sealed-bid auction - place a sealed bid instead'
+    }
+};
+
+/*
+ * One sealed bid per bidder - placing another just changes the amount,
+ * up or down. Nothing about other bids comes back, so the only visible
+ * change is the bid count when a new bidder joins in
+ */
+function trySealedBid(item, bidderId, bidAmount, serverTime) {
+    if (bidAmount < item.startingPrice) {
+        return {
+            success: false,
+            error: 'BID_TOO_LOW',
+            message: `Minimum bid is $${item.startingPrice}`,
+            minimumBid: item.startingPrice
+        };
+    }
+
+    item.sealedBids = item.sealedBids || {};
+    const existing = item.sealedBids[bidderId];
+
+    item.sealedBids[bidderId] = {
+        id: existing?.id || uuidv4(),
+        amount: bidAmount,
+        placedAt: existing?.placedAt || serverTime,
+        // a tie goes to whoever got there first, so an unchanged amount keeps its place
+        updatedAt: existing?.amount === bidAmount ? existing.updatedAt : serverTime
+    };
+
+    if (!existing) nextSeq(item);
+
+    return {
+        success: true,
+        message: existing ? 'Sealed bid updated' : 'Sealed bid placed',
+        item: toBidSummary(item),
+        sealedBid: { amount: bidAmount, updatedAt: item.sealedBids[bidderId].updatedAt },
+        sealed: true,
+        newBidder: !existing,
+        bids: [],
+        extended: false,
+        previousBidderId: null,
+        outbidUserIds: []
+    };
+}
+
+// validate and apply one bid to a locked item - the caller saves it
+function tryBid(item, bidderId, bidAmount, serverTime) {
+    if (isDutch(item)) return WRONG_FORMAT.dutch;
+
+    // check the auction is actually running
+    const closedError = checkBiddingOpen(item, serverTime);
+    if (closedError) return closedError;
+
+    if (isSealed(item)) return trySealedBid(item, bidderId, bidAmount, serverTime);
+
+    // validate bid amount - it has to clear the increment, not just the current bid
+    const minimumBid = getMinimumNextBid(item);
+
+    // the leader would only be bidding against themselves - a proxy of
+    // theirs would then push the price on up to the runner-up's ceiling
+    if (item.highestBidderId === bidderId) {
+        return {
+            success: false,
+            error: 'ALREADY_HIGHEST_BIDDER',
+            message: "You're already the highest bidder - raise your maximum bid instead",
+            currentBid: item.currentBid,
+            minimumBid
+        };
+    }
+
+    if (bidAmount <= item.currentBid) {
+        return {
+            success: false,
+            error: 'BID_TOO_LOW',
+            message: `Bid must be higher than current: $${item.currentBid}`,
+            currentBid: item.currentBid,
+            minimumBid
+        };
+    }
+
+    if (bidAmount < minimumBid) {
+        return {
+            success: false,
+            error: 'BID_BELOW_INCREMENT',
+            message: `Minimum bid is $${minimumBid} ($${minimumBid - item.currentBid} over current)`,
+            currentBid: item.currentBid,
+            minimumBid
+        };
+    }
+
+    // all good - update the item, then let proxies counter
+    const previousBidderId = item.highestBidderId;
+    const bids = [
+        applyBid(item, bidderId, bidAmount, serverTime),
+        ...resolveProxyBids(item, serverTime)
+    ];
+    const extended = applySoftClose(item, serverTime);
+    nextSeq(item);
+
+    return {
+        success: true,
+        message: 'Bid placed successfully!',
+        item: toBidSummary(item),
+        bids,
+        extended,
+        previousBidderId,
+        outbidUserIds: collectOutbidUsers(previousBidderId, bids, item.highestBidderId)
+    };
+}
+
+// forget request IDs older than the dedupe window
+function pruneRecentRequests(item, now) {
+    item.recentRequests = item.recentRequests || {};
+    Object.entries(item.recentRequests).forEach(([key, entry]) => {
+        if (now - entry.at > BID_REQUEST_TTL_MS) delete item.recentRequests[key];
+    });
 }
 
 /*
  * Place a bid - this is where the magic happens
  * 
  * Uses mutex to ensure atomic read-check-write
- * Returns { success, message, item } or { success: false, error }
+ * Any registered proxy bids get to respond inside the same lock, so the
+ * caller may already be outbid by the time this returns
+ * Returns { success, message, item, bids, outbidUserIds } or { success: false, error }
+ *
+ * A requestId makes it idempotent: a repeat of an accepted bid within
+ * BID_REQUEST_TTL_SEC (socket.io resend, a retry after reconnecting) gets
+ * the first answer back with duplicate: true instead of bidding again. The IDs live on the
+ * item so the check happens under the item lock, on every instance
  */
-export async function placeBid(itemId, bidderId, bidAmount) {
-    const lock = getLockForItem(itemId);
+export async function placeBid(itemId, bidderId, bidAmount, requestId = null) {
+    const endTimer = placeBidSeconds.startTimer();
+    try {
+        return await lockAndPlaceBid(itemId, bidderId, bidAmount, requestId);
+    } finally {
+        endTimer();
+    }
+}
 
-    // acquire the lock - only one bid at a time per item
-    const release = await lock.acquire();
+async function lockAndPlaceBid(itemId, bidderId, bidAmount, requestId) {
+    // only one bid at a time per item
+    return withItemLock(itemId, async (item) => {
+        if (!item) {
+            return {
+                success: false,
+                error: 'ITEM_NOT_FOUND',
+                message: 'This item does not exist'
+            };
+        }
 
-    try {
-        const item = auctionItems.find(i => i.id === itemId);
+        const serverTime = Date.now();
+        const requestKey = requestId ? `${bidderId}:${requestId}` : null;
+
+        pruneRecentRequests(item, serverTime);
+
+        const seen = requestKey && item.recentRequests[requestKey];
+        if (seen) {
+            if (seen.amount !== bidAmount) {
+                return {
+                    success: false,
+                    error: 'REQUEST_ID_CONFLICT',
+                    message: 'This request ID was already used for a different bid'
+                };
+            }
+
+            // nothing new happened, so there's nothing to broadcast
+            return {
+                ...seen.result,
+                duplicate: true,
+                bids: [],
+                extended: false,
+                previousBidderId: null,
+                outbidUserIds: []
+            };
+        }
 
+        const result = tryBid(item, bidderId, bidAmount, serverTime);
+
+        // a rejected bid changed nothing - a retry is checked afresh, and
+        // nothing needs saving
+        if (!result.success) return result;
+
+        if (requestKey) {
+            // keep just what the bidder was told, not the broadcast details
+            const { bids, extended, previousBidderId, outbidUserIds, ...reply } = result;
+            item.recentRequests[requestKey] = { at: serverTime, amount: bidAmount, result: reply };
+        }
+
+        await getStorage().put(ITEMS, item);
+
+        return result;
+    });
+}
+
+/*
+ * Register (or raise) a secret maximum bid
+ * The server then bids on the bidder's behalf up to that ceiling.
+ * The maximum itself never leaves the store
+ */
+export async function setMaxBid(itemId, bidderId, maxAmount) {
+    return withItemLock(itemId, async (item) => {
         if (!item) {
             return {
                 success: false,
@@ -140,59 +733,613 @@ export async function placeBid(itemId, bidderId, bidAmount) {
             };
         }
 
-        // check if auction has ended
+        if (WRONG_FORMAT[item.format]) return WRONG_FORMAT[item.format];
+
         const serverTime = Date.now();
-        if (serverTime >= item.auctionEndTime) {
+        const closedError = checkBiddingOpen(item, serverTime);
+        if (closedError) return closedError;
+
+        item.proxyBids = item.proxyBids || {};
+        const existing = item.proxyBids[bidderId];
+
+        if (existing && maxAmount <= existing.maxAmount) {
             return {
                 success: false,
-                error: 'AUCTION_ENDED',
-                message: 'Sorry, this auction has already ended'
+                error: 'MAX_BID_TOO_LOW',
+                message: `You can only raise your maximum bid (currently $${existing.maxAmount})`
             };
         }
 
-        // validate bid amount
-        if (bidAmount <= item.currentBid) {
+        // a leader only needs to stay above the current price, everyone else has to beat it
+        const minimum = item.highestBidderId === bidderId
+            ? item.currentBid + 1
+            : getMinimumNextBid(item);
+
+        if (maxAmount < minimum) {
             return {
                 success: false,
-                error: 'BID_TOO_LOW',
-                message: `Bid must be higher than current: $${item.currentBid}`,
+                error: 'MAX_BID_TOO_LOW',
+                message: `Maximum bid must be at least $${minimum}`,
                 currentBid: item.currentBid
             };
         }
 
-        // all good - update the item
         const previousBidderId = item.highestBidderId;
 
-        item.currentBid = bidAmount;
-        item.highestBidderId = bidderId;
-        item.bidHistory.push({
-            id: uuidv4(),
-            bidderId,
-            amount: bidAmount,
-            timestamp: serverTime
-        });
+        // re-added rather than updated, so a raise moves to the end of the
+        // object's key order too - the tie-break within one millisecond
+        delete item.proxyBids[bidderId];
+        item.proxyBids[bidderId] = {
+            maxAmount,
+            createdAt: serverTime
+        };
+
+        const bids = resolveProxyBids(item, serverTime);
+        const extended = bids.length > 0 && applySoftClose(item, serverTime);
+        // a new maximum on its own is invisible - only bids it causes count as a change
+        if (bids.length > 0) nextSeq(item);
+
+        await getStorage().put(ITEMS, item);
 
         return {
             success: true,
-            message: 'Bid placed successfully!',
-            item: {
-                id: item.id,
-                title: item.title,
-                currentBid: item.currentBid,
-                highestBidderId: item.highestBidderId,
-                auctionEndTime: item.auctionEndTime
-            },
-            previousBidderId
+            message: 'Maximum bid registered',
+            maxBid: maxAmount,
+            item: toBidSummary(item),
+            bids,
+            extended,
+            previousBidderId,
+            outbidUserIds: collectOutbidUsers(previousBidderId, bids, item.highestBidderId)
         };
+    });
+}
 
-    } finally {
-        // always release the lock
-        release();
-    }
+// scheduled -> live, once the start time has passed
+export async function startAuction(itemId) {
+    return withItemLock(itemId, async (item) => {
+        if (!item || item.status !== 'scheduled') {
+            return { success: false, error: 'NOT_SCHEDULED', item: item && toPublicItem(item) };
+        }
+
+        if (Date.now() < item.auctionStartTime) {
+            return { success: false, error: 'NOT_STARTED', item: toPublicItem(item) };
+        }
+
+        item.status = 'live';
+        nextSeq(item);
+        await getStorage().put(ITEMS, item);
+
+        return { success: true, item: toPublicItem(item) };
+    });
+}
+
+/*
+ * Open the envelopes: every sealed bid goes into the history in the order
+ * they were placed, and the top one becomes the current bid. Under Vickrey
+ * the winner pays less than that - the settled price is what's returned
+ */
+function revealSealedBids(item) {
+    const { ranked, winner, price } = settleSealedBids(item);
+    const [top] = ranked;
+
+    item.bidHistory = ranked.slice().sort((a, b) => a.timestamp - b.timestamp);
+    item.sealedBids = {};
+    item.currentBid = top ? top.amount : item.startingPrice;
+    item.highestBidderId = top ? top.bidderId : null;
+
+    return { winnerId: winner ? winner.bidderId : null, price };
+}
+
+/*
+ * live -> closed, recording the winner and final price
+ * Refuses if the end time has moved (soft close) so the scheduler can
+ * re-arm its timer, and is a no-op on an already closed item.
+ * force (admins) closes it now, whatever the end time says
+ */
+export async function closeAuction(itemId, { force = false } = {}) {
+    return withItemLock(itemId, async (item) => {
+        if (!item) {
+            return { success: false, error: 'ITEM_NOT_FOUND' };
+        }
+
+        if (item.status === 'closed') {
+            return { success: false, error: 'ALREADY_CLOSED', item: toPublicItem(item) };
+        }
+
+        const serverTime = Date.now();
+        if (serverTime < item.auctionEndTime && !force) {
+            return { success: false, error: 'NOT_ENDED', item: toPublicItem(item) };
+        }
+
+        // no bids, or the reserve was never reached - nobody wins
+        const sold = Boolean(item.highestBidderId) && isReserveMet(item) !== false;
+        const { winnerId, price } = isSealed(item)
+            ? revealSealedBids(item)
+            : { winnerId: sold ? item.highestBidderId : null, price: sold ? item.currentBid : null };
+
+        item.status = 'closed';
+        item.outcome = winnerId ? 'sold' : 'unsold';
+        item.winnerId = winnerId;
+        item.finalPrice = price;
+        item.closedAt = serverTime;
+        nextSeq(item);
+
+        await getStorage().put(ITEMS, item);
+
+        return { success: true, item: toPublicItem(item) };
+    });
+}
+
+/*
+ * Watchers get one "ending soon" alert per item. Every instance arms a
+ * timer for it in cluster mode, so whoever claims it here sends it
+ */
+export async function claimEndingAlert(itemId, windowMs) {
+    return withItemLock(itemId, async (item) => {
+        if (!item) {
+            return { success: false, error: 'ITEM_NOT_FOUND' };
+        }
+
+        if (item.status !== 'live') {
+            return { success: false, error: 'NOT_LIVE', item: toPublicItem(item) };
+        }
+
+        // a timer that fired late, after the end - the close is on its way
+        if (item.auctionEndTime <= Date.now()) {
+            return { success: false, error: 'ENDED', item: toPublicItem(item) };
+        }
+
+        // end time moved out since the timer was armed
+        if (item.auctionEndTime - Date.now() > windowMs) {
+            return { success: false, error: 'NOT_DUE', item: toPublicItem(item) };
+        }
+
+        if (item.endingAlertSent) {
+            return { success: false, error: 'ALREADY_SENT', item: toPublicItem(item) };
+        }
+
+        item.endingAlertSent = true;
+        await getStorage().put(ITEMS, item);
+
+        return { success: true, item: toPublicItem(item), bidderIds: getBidderIds(item) };
+    });
+}
+
+/*
+ * Buy-It-Now - buy at the fixed price and close the auction on the spot
+ * Runs under the item lock like any bid, so it can't race a regular bid
+ */
+export async function buyNow(itemId, buyerId) {
+    return withItemLock(itemId, async (item) => {
+        if (!item) {
+            return {
+                success: false,
+                error: 'ITEM_NOT_FOUND',
+                message: 'This item does not exist'
+            };
+        }
+
+        if (WRONG_FORMAT[item.format]) return WRONG_FORMAT[item.format];
+
+        const serverTime = Date.now();
+        const closedError = checkBiddingOpen(item, serverTime);
+        if (closedError) return closedError;
+
+        if (!isBuyNowAvailable(item)) {
+            return {
+                success: false,
+                error: 'BUY_NOW_UNAVAILABLE',
+                message: 'Buy It Now is not available for this auction'
+            };
+        }
+
+        const previousBidderId = item.highestBidderId;
+        const bid = applyBid(item, buyerId, item.buyNowPrice, serverTime, false, { buyNow: true });
+
+        item.status = 'closed';
+        item.outcome = 'sold';
+        item.winnerId = buyerId;
+        item.finalPrice = item.buyNowPrice;
+        item.closedAt = serverTime;
+        nextSeq(item);
+
+        await getStorage().put(ITEMS, item);
+
+        return {
+            success: true,
+            message: 'You bought it!',
+            item: toBidSummary(item),
+            closedItem: toPublicItem(item),
+            bids: [bid],
+            extended: false,
+            previousBidderId,
+            outbidUserIds: collectOutbidUsers(previousBidderId, [bid], buyerId)
+        };
+    });
+}
+
+/*
+ * Dutch auctions: take the current price, winning the item and closing it.
+ * The price comes from the schedule at the moment the lock is held, not
+ * from the last tick, so a tick that's running late never overcharges
+ */
+export async function acceptPrice(itemId, buyerId) {
+    return withItemLock(itemId, async (item) => {
+        if (!item) {
+            return {
+                success: false,
+                error: 'ITEM_NOT_FOUND',
+                message: 'This item does not exist'
+            };
+        }
+
+        if (!isDutch(item)) {
+            return isSealed(item) ? WRONG_FORMAT.sealed : {
+                success: false,
+                error: 'WRONG_FORMAT',
+                message: 'Only Dutch auctions have a price to accept'
+            };
+        }
+
+        const serverTime = Date.now();
+        const closedError = checkBiddingOpen(item, serverTime);
+        if (closedError) return closedError;
+
+        const price = getDutchPrice(item, serverTime);
+        const bid = applyBid(item, buyerId, price, serverTime, false, { accepted: true });
+
+        item.status = 'closed';
+        item.outcome = 'sold';
+        item.winnerId = buyerId;
+        item.finalPrice = price;
+        item.closedAt = serverTime;
+        nextSeq(item);
+
+        await getStorage().put(ITEMS, item);
+
+        return {
+            success: true,
+            message: `It's yours for $${price}!`,
+            item: toBidSummary(item),
+            closedItem: toPublicItem(item),
+            bids: [bid],
+            extended: false,
+            previousBidderId: null,
+            outbidUserIds: []
+        };
+    });
+}
+
+/*
+ * Bring a live Dutch item's stored price up to date with its schedule.
+ * Every instance's scheduler calls this at each drop in cluster mode -
+ * only the first one finds anything to change
+ */
+export async function tickDutchPrice(itemId) {
+    return withItemLock(itemId, async (item) => {
+        if (!item || !isDutch(item) || item.status !== 'live') {
+            return { success: false, error: 'NOT_LIVE', item: item && toPublicItem(item) };
+        }
+
+        const price = getDutchPrice(item, Date.now());
+        if (price === item.currentBid) {
+            return { success: false, error: 'UNCHANGED', item: toPublicItem(item) };
+        }
+
+        item.currentBid = price;
+        nextSeq(item);
+        await getStorage().put(ITEMS, item);
+
+        return { success: true, item: toPublicItem(item) };
+    });
+}
+
+// fields a seller can't touch once someone has bid
+const LOCKED_AFTER_BIDS = [
+    'startingPrice',
+    'reservePrice',
+    'buyNowPrice',
+    'incrementTable',
+    'auctionStartTime',
+    'auctionEndTime',
+    'sealedPricing',
+    ...DUTCH_FIELDS
+];
+
+// only the seller who listed an item may change it
+function checkSeller(item, actorId) {
+    if (item.sellerId && item.sellerId === actorId) return null;
+
+    return {
+        success: false,
+        error: 'FORBIDDEN',
+        message: 'Only the seller can change this auction'
+    };
+}
+
+// create a new auction item from already-validated fields
+export async function createItem(fields, sellerId) {
+    const item = initAuctionState({
+        id: `item-${uuidv4().slice(0, 8)}`,
+        sellerId,
+        title: fields.title,
+        description: fields.description || '',
+        imageUrl: fields.imageUrl || '',
+        category: fields.category || 'other',
+        format: fields.format || 'english',
+        startingPrice: fields.startingPrice,
+        currentBid: fields.startingPrice,
+        floorPrice: fields.floorPrice || null,
+        priceDropAmount: fields.priceDropAmount || null,
+        priceDropIntervalSec: fields.priceDropIntervalSec || null,
+        sealedPricing: fields.format === 'sealed' ? fields.sealedPricing || 'first-price' : null,
+        highestBidderId: null,
+        auctionStartTime: fields.auctionStartTime,
+        auctionEndTime: fields.auctionEndTime,
+        incrementTable: fields.incrementTable || null,
+        reservePrice: fields.reservePrice || null,
+        buyNowPrice: fields.buyNowPrice || null,
+        bidHistory: [],
+        proxyBids: {},
+        sealedBids: {}
+    });
+
+    await getStorage().put(ITEMS, item);
+
+    return { success: true, item: toPublicItem(item) };
+}
+
+/*
+ * Edit an item's details
+ * Price and end time are frozen once bids exist - changing them
+ * mid-auction would be unfair to whoever is already bidding
+ */
+export async function updateItem(itemId, changes, actorId) {
+    return withItemLock(itemId, async (item) => {
+        if (!item) {
+            return {
+                success: false,
+                error: 'ITEM_NOT_FOUND',
+                message: 'This item does not exist'
+            };
+        }
+
+        const sellerError = checkSeller(item, actorId);
+        if (sellerError) return sellerError;
+
+        if (item.status === 'closed') {
+            return {
+                success: false,
+                error: 'AUCTION_CLOSED',
+                message: 'This auction has already closed'
+            };
+        }
+
+        const lockedFields = LOCKED_AFTER_BIDS.filter(field => changes[field] !== undefined);
+        if (countBids(item) > 0 && lockedFields.length > 0) {
+            return {
+                success: false,
+                error: 'ITEM_HAS_BIDS',
+                message: `Can't change ${lockedFields.join(', ')} after bidding has started`
+            };
+        }
+
+        const startTime = changes.auctionStartTime ?? item.auctionStartTime;
+        const endTime = changes.auctionEndTime ?? item.auctionEndTime;
+        if (startTime >= endTime) {
+            return {
+                success: false,
+                error: 'INVALID_SCHEDULE',
+                message: 'Auction must start before it ends'
+            };
+        }
+
+        const startingPrice = changes.startingPrice ?? item.startingPrice;
+        const reservePrice = changes.reservePrice !== undefined ? changes.reservePrice : item.reservePrice;
+        const buyNowPrice = changes.buyNowPrice !== undefined ? changes.buyNowPrice : item.buyNowPrice;
+
+        // Dutch items are checked as a whole, the rest just mustn't pick up another format's fields
+        const format = item.format || 'english';
+        const priceError = checkFormatRules(format, isDutch(item) ? { ...item, ...changes } : changes)
+            || checkPriceRules(startingPrice, reservePrice, buyNowPrice);
+        if (priceError) {
+            return {
+                success: false,
+                error: 'INVALID_PRICES',
+                message: priceError
+            };
+        }
+
+        Object.assign(item, changes);
+
+        // no bids yet, so the current bid just tracks the starting price
+        if (changes.startingPrice !== undefined) {
+            item.currentBid = changes.startingPrice;
+        }
+
+        // a new end time gets its own "ending soon" alert
+        if (changes.auctionEndTime !== undefined) {
+            item.endingAlertSent = false;
+        }
+
+        // a moved start time can push a live auction back to scheduled or vice versa
+        if (changes.auctionStartTime !== undefined) {
+            item.status = item.auctionStartTime > Date.now() ? 'scheduled' : 'live';
+        }
+
+        // a new schedule (or start time) moves the Dutch price along with it
+        if (isDutch(item)) {
+            item.currentBid = getDutchPrice(item, Date.now());
+        }
+
+        nextSeq(item);
+
+        await getStorage().put(ITEMS, item);
+
+        return { success: true, item: toPublicItem(item) };
+    });
+}
+
+// cancel an auction and drop the item entirely - sellers only before the
+// first bid, admins can cancel anyone's at any point
+export async function removeItem(itemId, actorId, { asAdmin = false } = {}) {
+    return withItemLock(itemId, async (item) => {
+        if (!item) {
+            return {
+                success: false,
+                error: 'ITEM_NOT_FOUND',
+                message: 'This item does not exist'
+            };
+        }
+
+        const sellerError = !asAdmin && checkSeller(item, actorId);
+        if (sellerError) return sellerError;
+
+        // a seller can't pull an auction out from under its bidders, or
+        // erase one that has already been decided
+        if (!asAdmin && item.status === 'closed') {
+            return {
+                success: false,
+                error: 'AUCTION_CLOSED',
+                message: 'This auction has already closed'
+            };
+        }
+
+        if (!asAdmin && countBids(item) > 0) {
+            return {
+                success: false,
+                error: 'ITEM_HAS_BIDS',
+                message: "Can't cancel an auction after bidding has started"
+            };
+        }
+
+        await getStorage().remove(ITEMS, itemId);
+        itemLocks.delete(itemId);
+
+        return { success: true, item: toPublicItem(item) };
+    });
+}
+
+/*
+ * Admin: push an auction's end time out by extensionMs - unlike a seller
+ * edit this is allowed with bids on it. An end time that has already
+ * passed (close timer not fired yet) is extended from now
+ */
+export async function extendAuction(itemId, extensionMs) {
+    return withItemLock(itemId, async (item) => {
+        if (!item) {
+            return {
+                success: false,
+                error: 'ITEM_NOT_FOUND',
+                message: 'This item does not exist'
+            };
+        }
+
+        if (item.status === 'closed') {
+            return {
+                success: false,
+                error: 'AUCTION_CLOSED',
+                message: 'This auction has already closed'
+            };
+        }
+
+        item.auctionEndTime = Math.max(item.auctionEndTime, Date.now()) + extensionMs;
+        item.endingAlertSent = false;
+        nextSeq(item);
+
+        await getStorage().put(ITEMS, item);
+
+        return { success: true, item: toPublicItem(item) };
+    });
+}
+
+/*
+ * Admin: start one auction over - bids, proxies and outcome wiped, and
+ * it runs again from now for as long as it ran before (one that hasn't
+ * started yet keeps its schedule). Its seq carries on, so clients treat
+ * the fresh state as newer than what they hold
+ */
+export async function resetItem(itemId) {
+    return withItemLock(itemId, async (item) => {
+        if (!item) {
+            return {
+                success: false,
+                error: 'ITEM_NOT_FOUND',
+                message: 'This item does not exist'
+            };
+        }
+
+        const now = Date.now();
+        const startsLater = item.auctionStartTime > now;
+        const duration = item.auctionEndTime - item.auctionStartTime;
+
+        const fresh = initAuctionState({
+            ...item,
+            currentBid: item.startingPrice,
+            highestBidderId: null,
+            auctionStartTime: startsLater ? item.auctionStartTime : now,
+            auctionEndTime: startsLater ? item.auctionEndTime : now + duration,
+            extensionCount: 0,
+            bidHistory: [],
+            proxyBids: {},
+            sealedBids: {},
+            recentRequests: {},
+            endingAlertSent: false
+        }, now);
+        nextSeq(fresh);
+
+        await getStorage().put(ITEMS, fresh);
+
+        return { success: true, item: toPublicItem(fresh) };
+    });
+}
+
+// public item plus what only admins see - reserve, proxies, how many people are bidding
+export function toAdminItem(item) {
+    return {
+        ...toPublicItem(item),
+        reservePrice: item.reservePrice || null,
+        bidderCount: getBidderIds(item).length,
+        proxyCount: Object.keys(item.proxyBids || {}).length,
+        closedAt: item.closedAt
+    };
+}
+
+export async function getAllAdminItems() {
+    const items = await getStorage().getAll(ITEMS);
+    return items.map(toAdminItem);
 }
 
 // for testing - reset items
-export function resetItems() {
-    auctionItems = createSampleItems();
-    itemLocks.clear();
+// holds every item lock while swapping so no in-flight bid can write stale state back
+export async function resetItems() {
+    const freshItems = createSampleItems();
+    const currentItems = await getStorage().getAll(ITEMS);
+
+    const releaseAll = await acquireItemLocks([
+        ...currentItems.map(item => item.id),
+        ...freshItems.map(item => item.id)
+    ]);
+    const lockedAt = Date.now();
+
+    try {
+        // carry each item's seq on past the reset so clients see the fresh
+        // items as newer than anything they already hold (re-read under the locks)
+        const lockedItems = await getStorage().getAll(ITEMS);
+        const seqById = new Map(lockedItems.map(item => [item.id, item.seq || 0]));
+        freshItems.forEach(item => {
+            item.seq = (seqById.get(item.id) || 0) + 1;
+        });
+
+        await getStorage().replaceAll(ITEMS, freshItems);
+
+        // seller-created items don't come back - the caller announces them as removed
+        const freshIds = new Set(freshItems.map(item => item.id));
+        const removedItems = lockedItems.filter(item => !freshIds.has(item.id));
+        removedItems.forEach(item => itemLocks.delete(item.id));
+
+        return { success: true, lockedAt, removedItems: removedItems.map(toPublicItem) };
+    } finally {
+        releaseAll();
+    }
 }
@@ -0,0 +1,234 @@
+/*
+ * Where the audit log lives (see auditStore.js)
+ *
+ * Not in the shared storage adapter - the log only ever grows, and the
+ * adapters are built to hand back whole collections. Each sink appends
+ * entries and reads them back a batch at a time, so a page of the log
+ * never means loading all of it:
+ *
+ *   append(entry)            write one entry (its id is already set)
+ *   newestFirst(before)      async iterator, ids below `before` (or all)
+ *   oldestFirst()            async iterator over everything kept
+ *
+ * One process: an NDJSON file at AUDIT_LOG_FILE. Once it passes
+ * AUDIT_LOG_MAX_BYTES it's archived as <file>.1, then <file>.2 and so on -
+ * numbers only go up, so an archive is never overwritten.
+ *
+ * With REDIS_URL: a sorted set every instance writes to, members
+ * "<id> <json>" at score 0 so they sort by id.
+ *
+ * The log is evidence, so nothing is thrown away unless asked for:
+ * AUDIT_LOG_MAX_ARCHIVES (file) and AUDIT_LOG_MAX_ENTRIES (Redis) cap
+ * what's kept, and both default to 0 - keep everything
+ */
+
+import { createReadStream } from 'fs';
+import { appendFile, mkdir, open, readdir, rename, stat, unlink } from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { getRedis, redisKey } from '../cluster/redis.js';
+
+const MAX_BYTES = Number(process.env.AUDIT_LOG_MAX_BYTES ?? 100 * 1024 * 1024);
+const MAX_ARCHIVES = Number(process.env.AUDIT_LOG_MAX_ARCHIVES ?? 0);
+const MAX_ENTRIES = Number(process.env.AUDIT_LOG_MAX_ENTRIES ?? 0);
+
+// how much is read per step when paging through the log
+const CHUNK_BYTES = 64 * 1024;
+const BATCH_SIZE = 200;
+
+// a line cut short by a crash mid-write is skipped, not fatal
+function parseLine(line) {
+    try {
+        return JSON.parse(line);
+    } catch (err) {
+        return null;
+    }
+}
+
+// one file's lines, last first - reads back from the end a chunk at a time
+async function* readLinesBackwards(file) {
+    let handle;
+    try {
+        handle = await open(file, 'r');
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+
+    try {
+        let position = (await handle.stat()).size;
+        // bytes before the first newline seen so far - the end of a line
+        // that started in a chunk we haven't read yet
+        let partial = Buffer.alloc(0);
+
+        while (position > 0) {
+            const length = Math.min(CHUNK_BYTES, position);
+            position -= length;
+
+            const chunk = Buffer.alloc(length);
+            await handle.read(chunk, 0, length, position);
+
+            const data = Buffer.concat([chunk, partial]);
+            let end = data.length;
+            let newline;
+            while (end > 0 && (newline = data.lastIndexOf(0x0a, end - 1)) !== -1) {
+                if (end - newline > 1) yield data.toString('utf8', newline + 1, end);
+                end = newline;
+            }
+            partial = data.subarray(0, end);
+        }
+
+        if (partial.length > 0) yield partial.toString('utf8');
+    } finally {
+        await handle.close();
+    }
+}
+
+async function* readLines(file) {
+    const exists = await stat(file).then(() => true, () => false);
+    if (!exists) return;
+
+    const stream = createReadStream(file);
+    try {
+        for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+            if (line) yield line;
+        }
+    } finally {
+        stream.destroy();
+    }
+}
+
+// a file's archives, oldest first - <file>.1, <file>.2, ...
+async function listArchives(file) {
+    const dir = path.dirname(file);
+    const prefix = `${path.basename(file)}.`;
+
+    let names;
+    try {
+        names = await readdir(dir);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    return names
+        .filter(name => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length)))
+        .map(name => ({ number: Number(name.slice(prefix.length)), path: path.join(dir, name) }))
+        .sort((a, b) => a.number - b.number);
+}
+
+export function createFileAuditSink(file, { maxBytes = MAX_BYTES, maxArchives = MAX_ARCHIVES } = {}) {
+    let size = null;
+    let nextArchive = null;
+    // appends go out one at a time so lines never interleave
+    let writeQueue = Promise.resolve();
+
+    const rotate = async () => {
+        await rename(file, `${file}.${nextArchive}`);
+        nextArchive += 1;
+        size = 0;
+
+        if (maxArchives > 0) {
+            const archives = await listArchives(file);
+            for (const archive of archives.slice(0, -maxArchives)) {
+                await unlink(archive.path);
+            }
+        }
+    };
+
+    const write = async (line) => {
+        if (size === null) {
+            await mkdir(path.dirname(file), { recursive: true });
+            size = await stat(file).then(info => info.size, () => 0);
+            // carry on from the newest archive a previous run left behind
+            nextArchive = ((await listArchives(file)).at(-1)?.number ?? 0) + 1;
+        }
+
+        const bytes = Buffer.byteLength(line);
+        if (size > 0 && size + bytes > maxBytes) {
+            await rotate();
+        }
+
+        await appendFile(file, line);
+        size += bytes;
+    };
+
+    return {
+        name: 'file',
+
+        append(entry) {
+            const line = `${JSON.stringify(entry)}\n`;
+            const written = writeQueue.then(() => write(line));
+            writeQueue = written.catch(() => {});
+            return written;
+        },
+
+        async *newestFirst(before = null) {
+            const archives = (await listArchives(file)).map(archive => archive.path).reverse();
+
+            for (const source of [file, ...archives]) {
+                for await (const line of readLinesBackwards(source)) {
+                    const entry = parseLine(line);
+                    if (entry && (!before || entry.id < before)) yield entry;
+                }
+            }
+        },
+
+        async *oldestFirst() {
+            const archives = (await listArchives(file)).map(archive => archive.path);
+
+            for (const source of [...archives, file]) {
+                for await (const line of readLines(source)) {
+                    const entry = parseLine(line);
+                    if (entry) yield entry;
+                }
+            }
+        }
+    };
+}
+
+const toMember = (entry) => `${entry.id} ${JSON.stringify(entry)}`;
+const fromMember = (member) => parseLine(member.slice(member.indexOf(' ') + 1));
+
+export function createRedisAuditSink(redis = getRedis(), key = redisKey('audit'), { maxEntries = MAX_ENTRIES } = {}) {
+    return {
+        name: 'redis',
+
+        async append(entry) {
+            await redis.zadd(key, 0, toMember(entry));
+            // only with a cap set - drop whatever fell off the end, rank 0 is the oldest
+            if (maxEntries > 0) {
+                await redis.zremrangebyrank(key, 0, -(maxEntries + 1));
+            }
+        },
+
+        // "(" makes a lex bound exclusive, and "(<id>" sorts before "<id> {...}"
+        async *newestFirst(before = null) {
+            let upper = before ? `(${before}` : '+';
+
+            while (true) {
+                const members = await redis.zrevrangebylex(key, upper, '-', 'LIMIT', 0, BATCH_SIZE);
+                for (const member of members) {
+                    const entry = fromMember(member);
+                    if (entry) yield entry;
+                }
+                if (members.length < BATCH_SIZE) return;
+                upper = `(${members[members.length - 1]}`;
+            }
+        },
+
+        async *oldestFirst() {
+            let lower = '-';
+
+            while (true) {
+                const members = await redis.zrangebylex(key, lower, '+', 'LIMIT', 0, BATCH_SIZE);
+                for (const member of members) {
+                    const entry = fromMember(member);
+                    if (entry) yield entry;
+                }
+                if (members.length < BATCH_SIZE) return;
+                lower = `(${members[members.length - 1]}`;
+            }
+        }
+    };
+}
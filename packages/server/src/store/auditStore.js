@@ -0,0 +1,120 @@
+/*
+ * Append-only audit log - every bid attempt, item change, reset and close
+ *
+ * Written to its own sink (see auditSinks.js), not the storage adapter -
+ * entries are never updated, and only dropped if a retention cap is set.
+ * Ids start with the zero-padded time they were written, so sorting by
+ * id is sorting by time - across instances too
+ *
+ *   { id, at, action, outcome, code, userId, socketId, itemId, amount,
+ *     receivedAt, lockedAt, details }
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { isClustered } from '../cluster/redis.js';
+import { createFileAuditSink, createRedisAuditSink } from './auditSinks.js';
+
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || './data/audit.ndjson';
+
+// picked on first use - Redis isn't connected yet when this module loads
+let sink = null;
+
+function getSink() {
+    if (!sink) {
+        sink = isClustered() ? createRedisAuditSink() : createFileAuditSink(AUDIT_LOG_FILE);
+    }
+    return sink;
+}
+
+// for tests, or a server that wants the log somewhere else
+export function setAuditSink(auditSink) {
+    sink = auditSink;
+}
+
+// keeps entries written in the same millisecond in order (per instance)
+let counter = 0;
+
+export const AUDIT_ACTIONS = [
+    'BID_PLACED',
+    'SET_MAX_BID',
+    'BUY_NOW',
+    'ACCEPT_PRICE',
+    'ITEM_CREATED',
+    'ITEM_UPDATED',
+    'ITEM_REMOVED',
+    'ITEM_RESET',
+    'ITEMS_RESET',
+    'AUCTION_EXTENDED',
+    'AUCTION_FORCE_CLOSED',
+    'AUCTION_ENDED'
+];
+
+export async function appendAuditEntry(fields) {
+    const at = Date.now();
+    counter = (counter + 1) % 1e6;
+
+    const entry = {
+        id: `${String(at).padStart(13, '0')}-${String(counter).padStart(6, '0')}-${uuidv4().slice(0, 8)}`,
+        at,
+        action: fields.action,
+        outcome: fields.outcome ?? null,
+        code: fields.code ?? null,
+        userId: fields.userId ?? null,
+        socketId: fields.socketId ?? null,
+        itemId: fields.itemId ?? null,
+        amount: fields.amount ?? null,
+        receivedAt: fields.receivedAt ?? null,
+        lockedAt: fields.lockedAt ?? null,
+        details: fields.details ?? null
+    };
+
+    await getSink().append(entry);
+    return entry;
+}
+
+// fire and forget - a failed write is logged but never fails what's being audited
+export function recordAudit(fields) {
+    appendAuditEntry(fields).catch(err => {
+        console.error(`Audit write failed for ${fields.action}:`, err);
+    });
+}
+
+// query comes from parseAuditQuery
+function matchesAuditQuery(entry, query) {
+    if (query.itemId && entry.itemId !== query.itemId) return false;
+    if (query.userId && entry.userId !== query.userId) return false;
+    if (query.actions.length > 0 && !query.actions.includes(entry.action)) return false;
+    if (query.outcome && entry.outcome !== query.outcome) return false;
+    if (query.from !== null && entry.at < query.from) return false;
+    if (query.to !== null && entry.at > query.to) return false;
+    return true;
+}
+
+// newest first, a page at a time - nextBefore goes back in as ?before=
+export async function queryAuditLog(query) {
+    const entries = [];
+    let hasMore = false;
+
+    for await (const entry of getSink().newestFirst(query.before)) {
+        // it's in time order, so nothing further back can match
+        if (query.from !== null && entry.at < query.from) break;
+        if (!matchesAuditQuery(entry, query)) continue;
+        if (entries.length === query.limit) {
+            hasMore = true;
+            break;
+        }
+        entries.push(entry);
+    }
+
+    return {
+        entries,
+        nextBefore: hasMore ? entries[entries.length - 1].id : null
+    };
+}
+
+// everything that matches, oldest first - for the NDJSON export
+export async function* exportAuditLog(query) {
+    for await (const entry of getSink().oldestFirst()) {
+        if (matchesAuditQuery(entry, query)) yield entry;
+    }
+}
@@ -0,0 +1,100 @@
+/*
+ * Named locks for the store modules
+ *
+ * In a single process a lock is just an async-mutex. With REDIS_URL set
+ * several instances write the same items, so holding a lock also means
+ * holding a Redis lease on its name (SET NX PX). The local mutex still
+ * queues callers inside this process so they don't all poll Redis.
+ *
+ * Leases are renewed while held and expire on their own if the holder
+ * dies, so a crashed instance can't wedge an item forever
+ */
+
+import { Mutex } from 'async-mutex';
+import { v4 as uuidv4 } from 'uuid';
+import { isClustered, getRedis, redisKey } from '../cluster/redis.js';
+
+const LOCK_TTL_MS = Number(process.env.LOCK_TTL_MS ?? 5000);
+const LOCK_WAIT_MS = Number(process.env.LOCK_WAIT_MS ?? 10000);
+const RETRY_DELAY_MS = 20;
+
+// only touch the lease if it's still ours - it may have expired and been taken
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquireLease(name) {
+    const redis = getRedis();
+    const key = redisKey('lock', name);
+    const token = uuidv4();
+    const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+    while (await redis.set(key, token, 'PX', LOCK_TTL_MS, 'NX') !== 'OK') {
+        if (Date.now() >= giveUpAt) {
+            const err = new Error(`Timed out waiting for lock "${name}"`);
+            err.code = 'LOCK_TIMEOUT';
+            throw err;
+        }
+        // jitter so instances waiting on the same item don't poll in lockstep
+        await sleep(RETRY_DELAY_MS + Math.random() * RETRY_DELAY_MS);
+    }
+
+    const renewTimer = setInterval(() => {
+        redis.eval(RENEW_SCRIPT, 1, key, token, LOCK_TTL_MS).catch(err => {
+            console.error(`Lock renew failed for "${name}":`, err.message);
+        });
+    }, LOCK_TTL_MS / 2);
+    renewTimer.unref();
+
+    return async () => {
+        clearInterval(renewTimer);
+        await redis.eval(RELEASE_SCRIPT, 1, key, token).catch(err => {
+            console.error(`Lock release failed for "${name}":`, err.message);
+        });
+    };
+}
+
+// same acquire()/runExclusive() shape as an async-mutex
+export function createLock(name) {
+    const mutex = new Mutex();
+
+    const acquire = async () => {
+        const releaseLocal = await mutex.acquire();
+        if (!isClustered()) return releaseLocal;
+
+        let releaseLease;
+        try {
+            releaseLease = await acquireLease(name);
+        } catch (err) {
+            releaseLocal();
+            throw err;
+        }
+
+        // hand the local mutex on once the lease is gone, so the next
+        // caller here doesn't spin against our own lease
+        return () => {
+            releaseLease().finally(releaseLocal);
+        };
+    };
+
+    const runExclusive = async (fn) => {
+        const release = await acquire();
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    };
+
+    return { acquire, runExclusive };
+}
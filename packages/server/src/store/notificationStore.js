@@ -0,0 +1,76 @@
+/*
+ * Per-user notification inbox
+ *
+ * One record per user - { id: userId, notifications: [...] }, newest first -
+ * so whatever happened while they were offline is waiting on the next
+ * connect. Only the latest NOTIFICATION_INBOX_SIZE (default 50) are kept
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getStorage } from './storage.js';
+import { createLock } from './locks.js';
+
+const NOTIFICATIONS = 'notifications';
+
+const INBOX_SIZE = Number(process.env.NOTIFICATION_INBOX_SIZE ?? 50);
+
+const inboxLocks = new Map();
+
+function getInboxLock(userId) {
+    if (!inboxLocks.has(userId)) {
+        inboxLocks.set(userId, createLock(`inbox:${userId}`));
+    }
+    return inboxLocks.get(userId);
+}
+
+// read-modify-write one user's inbox under their lock
+async function updateInbox(userId, fn) {
+    return getInboxLock(userId).runExclusive(async () => {
+        const inbox = await getStorage().get(NOTIFICATIONS, userId) || { id: userId, notifications: [] };
+        const result = fn(inbox);
+        await getStorage().put(NOTIFICATIONS, inbox);
+        return result;
+    });
+}
+
+function countUnread(notifications) {
+    return notifications.filter(notification => !notification.read).length;
+}
+
+// { type, itemId, title, message, ...extra } -> the stored notification
+export async function addNotification(userId, fields) {
+    const notification = {
+        id: uuidv4(),
+        ...fields,
+        read: false,
+        createdAt: Date.now()
+    };
+
+    await updateInbox(userId, (inbox) => {
+        inbox.notifications = [notification, ...inbox.notifications].slice(0, INBOX_SIZE);
+    });
+
+    return notification;
+}
+
+export async function getNotifications(userId) {
+    const inbox = await getStorage().get(NOTIFICATIONS, userId);
+    const notifications = inbox ? inbox.notifications : [];
+    return { notifications, unreadCount: countUnread(notifications) };
+}
+
+// ids = null marks everything read
+export async function markNotificationsRead(userId, ids = null) {
+    const wanted = ids ? new Set(ids) : null;
+
+    return updateInbox(userId, (inbox) => {
+        inbox.notifications.forEach(notification => {
+            if (!wanted || wanted.has(notification.id)) notification.read = true;
+        });
+        return { unreadCount: countUnread(inbox.notifications) };
+    });
+}
+
+export async function clearNotifications(userId) {
+    await getInboxLock(userId).runExclusive(() => getStorage().remove(NOTIFICATIONS, userId));
+}
@@ -0,0 +1,21 @@
+/*
+ * Holds the storage adapter the rest of the store modules share
+ */
+
+import { createStorageAdapter } from './adapters/index.js';
+
+let storage = null;
+
+export async function initStorage(adapter = createStorageAdapter()) {
+    await adapter.init();
+    storage = adapter;
+    console.log(`Storage adapter: ${adapter.name}`);
+    return storage;
+}
+
+export function getStorage() {
+    if (!storage) {
+        throw new Error('Storage not initialised - call initStorage() first');
+    }
+    return storage;
+}
@@ -0,0 +1,88 @@
+/*
+ * Registered bidders
+ *
+ * Passwords are hashed with scrypt and a per-user salt - the plain
+ * password never touches storage
+ */
+
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { getStorage } from './storage.js';
+import { createLock } from './locks.js';
+import { isReservedUsername } from '../utils/adminUsers.js';
+
+const USERS = 'users';
+const KEY_LENGTH = 64;
+
+const scryptAsync = promisify(scrypt);
+
+// registration is check-then-insert, so serialize it to keep usernames unique
+// (across every instance in cluster mode)
+const registrationLock = createLock('users:register');
+
+async function hashPassword(password, salt) {
+    const derived = await scryptAsync(password, salt, KEY_LENGTH);
+    return derived.toString('hex');
+}
+
+// what the rest of the app gets to see
+export function toPublicUser(user) {
+    return {
+        id: user.id,
+        username: user.username
+    };
+}
+
+async function findByUsername(username) {
+    const users = await getStorage().getAll(USERS);
+    const wanted = username.toLowerCase();
+    return users.find(user => user.username.toLowerCase() === wanted);
+}
+
+export async function getUserById(userId) {
+    return getStorage().get(USERS, userId);
+}
+
+export async function createUser(username, password) {
+    if (isReservedUsername(username)) {
+        return {
+            success: false,
+            error: 'USERNAME_RESERVED',
+            message: 'That username is reserved'
+        };
+    }
+
+    return registrationLock.runExclusive(async () => {
+        if (await findByUsername(username)) {
+            return {
+                success: false,
+                error: 'USERNAME_TAKEN',
+                message: 'That username is already taken'
+            };
+        }
+
+        const salt = randomBytes(16).toString('hex');
+        const user = {
+            id: `user_${uuidv4().replace(/-/g, '').slice(0, 12)}`,
+            username,
+            salt,
+            passwordHash: await hashPassword(password, salt),
+            createdAt: Date.now()
+        };
+
+        await getStorage().put(USERS, user);
+
+        return { success: true, user: toPublicUser(user) };
+    });
+}
+
+export async function verifyCredentials(username, password) {
+    const user = await findByUsername(username);
+    if (!user) return null;
+
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = Buffer.from(await hashPassword(password, user.salt), 'hex');
+
+    return timingSafeEqual(expected, actual) ? toPublicUser(user) : null;
+}
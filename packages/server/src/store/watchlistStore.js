@@ -0,0 +1,104 @@
+/*
+ * Bidders' watchlists
+ *
+ * Stored per item - { id: itemId, userIds: [...] } - because the hot path
+ * is "who watches this item?" on every bid. A bidder's own list is the
+ * rarer question and just scans the collection
+ */
+
+import { getStorage } from './storage.js';
+import { createLock } from './locks.js';
+
+const WATCHERS = 'watchers';
+
+// items one bidder can watch at once
+const MAX_WATCHED_ITEMS = Number(process.env.MAX_WATCHED_ITEMS ?? 100);
+
+// add/remove is read-modify-write on the item's record
+const watcherLocks = new Map();
+
+function getWatcherLock(itemId) {
+    if (!watcherLocks.has(itemId)) {
+        watcherLocks.set(itemId, createLock(`watchers:${itemId}`));
+    }
+    return watcherLocks.get(itemId);
+}
+
+// the watchlist limit is per bidder, so count-then-add is serialized per
+// bidder too - always taken before an item's lock, never inside one
+const watchlistLocks = new Map();
+
+function getWatchlistLock(userId) {
+    if (!watchlistLocks.has(userId)) {
+        watchlistLocks.set(userId, createLock(`watchlist:${userId}`));
+    }
+    return watchlistLocks.get(userId);
+}
+
+export async function getWatchers(itemId) {
+    const record = await getStorage().get(WATCHERS, itemId);
+    return record ? record.userIds : [];
+}
+
+export async function getWatchedItemIds(userId) {
+    const records = await getStorage().getAll(WATCHERS);
+    return records
+        .filter(record => record.userIds.includes(userId))
+        .map(record => record.id);
+}
+
+// itemId -> number of watchers, for the admin console
+export async function getWatcherCounts() {
+    const records = await getStorage().getAll(WATCHERS);
+    return Object.fromEntries(records.map(record => [record.id, record.userIds.length]));
+}
+
+// the caller checks the item exists and is still worth watching
+export async function watchItem(userId, itemId) {
+    return getWatchlistLock(userId).runExclusive(async () => {
+        const watched = await getWatchedItemIds(userId);
+        if (watched.includes(itemId)) {
+            return { success: true, watching: true };
+        }
+
+        if (watched.length >= MAX_WATCHED_ITEMS) {
+            return {
+                success: false,
+                error: 'WATCHLIST_FULL',
+                message: `You can watch at most ${MAX_WATCHED_ITEMS} items`
+            };
+        }
+
+        await getWatcherLock(itemId).runExclusive(async () => {
+            const record = await getStorage().get(WATCHERS, itemId) || { id: itemId, userIds: [] };
+            if (!record.userIds.includes(userId)) {
+                record.userIds.push(userId);
+                await getStorage().put(WATCHERS, record);
+            }
+        });
+
+        return { success: true, watching: true };
+    });
+}
+
+export async function unwatchItem(userId, itemId) {
+    await getWatcherLock(itemId).runExclusive(async () => {
+        const record = await getStorage().get(WATCHERS, itemId);
+        if (!record || !record.userIds.includes(userId)) return;
+
+        record.userIds = record.userIds.filter(id => id !== userId);
+        if (record.userIds.length > 0) {
+            await getStorage().put(WATCHERS, record);
+        } else {
+            await getStorage().remove(WATCHERS, itemId);
+        }
+    });
+
+    return { success: true, watching: false };
+}
+
+// item is gone - nobody can watch it any more
+export async function forgetWatchers(itemId) {
+    await getWatcherLock(itemId).runExclusive(() => getStorage().remove(WATCHERS, itemId));
+    watcherLocks.delete(itemId);
+}
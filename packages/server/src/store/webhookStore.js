@@ -0,0 +1,121 @@
+/*
+ * Webhook subscriptions, their delivery logs and the dead-letter list
+ *
+ *   webhooks            { id, url, events, secret, active, description, createdAt }
+ *   webhook_deliveries  { id: webhookId, deliveries: [...] } - newest first, capped
+ *   webhook_dead        one record per delivery that ran out of retries - capped
+ */
+
+import { randomBytes } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getStorage } from './storage.js';
+import { createLock } from './locks.js';
+
+const WEBHOOKS = 'webhooks';
+const DELIVERIES = 'webhook_deliveries';
+const DEAD_LETTERS = 'webhook_dead';
+
+// attempts kept per webhook in its delivery log
+const DELIVERY_LOG_SIZE = Number(process.env.WEBHOOK_LOG_SIZE ?? 100);
+
+// dead letters kept across all webhooks - a receiver that's down for days
+// would otherwise fill storage with one per event
+const DEAD_LETTER_LIMIT = Number(process.env.WEBHOOK_DEAD_LETTER_LIMIT ?? 1000);
+
+const logLocks = new Map();
+const deadLetterLock = createLock('webhook-dead');
+
+function getLogLock(webhookId) {
+    if (!logLocks.has(webhookId)) {
+        logLocks.set(webhookId, createLock(`webhook-log:${webhookId}`));
+    }
+    return logLocks.get(webhookId);
+}
+
+// the secret is only shown once, when the webhook is created
+export function toPublicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secretHint: `…${secret.slice(-4)}` };
+}
+
+export async function getWebhooks() {
+    return getStorage().getAll(WEBHOOKS);
+}
+
+export async function getWebhook(webhookId) {
+    return getStorage().get(WEBHOOKS, webhookId);
+}
+
+// fields come from validateWebhookInput
+export async function createWebhook(fields) {
+    const webhook = {
+        id: `wh_${uuidv4().replace(/-/g, '').slice(0, 12)}`,
+        url: fields.url,
+        events: fields.events,
+        description: fields.description || '',
+        active: fields.active ?? true,
+        secret: `whsec_${randomBytes(24).toString('hex')}`,
+        createdAt: Date.now()
+    };
+
+    await getStorage().put(WEBHOOKS, webhook);
+    return webhook;
+}
+
+export async function updateWebhook(webhookId, changes) {
+    const webhook = await getWebhook(webhookId);
+    if (!webhook) return null;
+
+    Object.assign(webhook, changes);
+    await getStorage().put(WEBHOOKS, webhook);
+    return webhook;
+}
+
+export async function removeWebhook(webhookId) {
+    const webhook = await getWebhook(webhookId);
+    if (!webhook) return false;
+
+    await getStorage().remove(WEBHOOKS, webhookId);
+    await getStorage().remove(DELIVERIES, webhookId);
+    return true;
+}
+
+// one line per attempt
+export async function logDelivery(webhookId, entry) {
+    await getLogLock(webhookId).runExclusive(async () => {
+        const log = await getStorage().get(DELIVERIES, webhookId) || { id: webhookId, deliveries: [] };
+        log.deliveries = [entry, ...log.deliveries].slice(0, DELIVERY_LOG_SIZE);
+        await getStorage().put(DELIVERIES, log);
+    });
+}
+
+export async function getDeliveries(webhookId) {
+    const log = await getStorage().get(DELIVERIES, webhookId);
+    return log ? log.deliveries : [];
+}
+
+// once the list is full the oldest go - returns how many were dropped
+export async function addDeadLetter(letter) {
+    return deadLetterLock.runExclusive(async () => {
+        await getStorage().put(DEAD_LETTERS, letter);
+
+        const overflow = (await getDeadLetters()).slice(DEAD_LETTER_LIMIT);
+        for (const old of overflow) {
+            await getStorage().remove(DEAD_LETTERS, old.id);
+        }
+        return overflow.length;
+    });
+}
+
+export async function getDeadLetters() {
+    const letters = await getStorage().getAll(DEAD_LETTERS);
+    return letters.sort((a, b) => b.failedAt - a.failedAt);
+}
+
+export async function getDeadLetter(letterId) {
+    return getStorage().get(DEAD_LETTERS, letterId);
+}
+
+export async function removeDeadLetter(letterId) {
+    await getStorage().remove(DEAD_LETTERS, letterId);
+}
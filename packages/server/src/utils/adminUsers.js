@@ -0,0 +1,30 @@
+/*
+ * Who gets into /api/admin
+ *
+ * ADMIN_USERS=user_3f9a1c...,user_8b20d4... - user ids, not usernames.
+ * Registration is open, so a username only says who got to it first;
+ * the id is handed out by the server and never changes. New accounts
+ * log their id on registration (and GET /api/auth/me returns it)
+ */
+
+const ADMIN_USERS = (process.env.ADMIN_USERS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+const ADMIN_USER_IDS = new Set(ADMIN_USERS);
+
+// what the old name-based setting looked like - it no longer grants anything
+const legacyEntries = ADMIN_USERS.filter(entry => !entry.startsWith('user_'));
+if (legacyEntries.length > 0) {
+    console.warn(`⚠️  ADMIN_USERS takes user ids now - ignoring ${legacyEntries.join(', ')}`);
+}
+
+export const isAdminId = (userId) => ADMIN_USER_IDS.has(userId);
+
+// an id is a valid username too, and a listed name may be an old config -
+// either way nobody gets to register one
+export function isReservedUsername(username) {
+    const wanted = username.toLowerCase();
+    return ADMIN_USERS.some(entry => entry.toLowerCase() === wanted);
+}
@@ -0,0 +1,79 @@
+/*
+ * Filters for the admin audit log (GET /api/admin/audit and its export)
+ * Returns { query, errors } like parseItemQuery
+ */
+
+import { AUDIT_ACTIONS } from '../store/auditStore.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const OUTCOMES = ['accepted', 'rejected', 'sold', 'unsold'];
+
+function parseList(value) {
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    return parts.map(part => String(part).trim()).filter(Boolean);
+}
+
+// epoch ms or anything Date.parse understands (ISO 8601 in practice)
+function parseTime(value) {
+    const asNumber = Number(value);
+    if (Number.isFinite(asNumber)) return asNumber;
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? NaN : parsed;
+}
+
+export function parseAuditQuery(raw = {}) {
+    const errors = {};
+    const query = {
+        itemId: null,
+        userId: null,
+        actions: [],
+        outcome: null,
+        from: null,
+        to: null,
+        before: null,
+        limit: DEFAULT_LIMIT
+    };
+
+    if (raw.itemId) query.itemId = String(raw.itemId);
+    if (raw.userId) query.userId = String(raw.userId);
+    if (raw.before) query.before = String(raw.before);
+
+    if (raw.action) {
+        query.actions = parseList(raw.action).map(action => action.toUpperCase());
+        const unknown = query.actions.filter(action => !AUDIT_ACTIONS.includes(action));
+        if (unknown.length > 0) {
+            errors.action = `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`;
+        }
+    }
+
+    if (raw.outcome) {
+        if (OUTCOMES.includes(raw.outcome)) {
+            query.outcome = raw.outcome;
+        } else {
+            errors.outcome = `Outcome must be one of: ${OUTCOMES.join(', ')}`;
+        }
+    }
+
+    ['from', 'to'].forEach(field => {
+        if (raw[field] === undefined || raw[field] === '') return;
+
+        const time = parseTime(raw[field]);
+        if (Number.isNaN(time)) {
+            errors[field] = 'Must be a timestamp in ms or an ISO date';
+        } else {
+            query[field] = time;
+        }
+    });
+
+    if (raw.limit !== undefined && raw.limit !== '') {
+        const limit = Number(raw.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.limit = `Limit must be a whole number from 1 to ${MAX_LIMIT}`;
+        } else {
+            query.limit = limit;
+        }
+    }
+
+    return { query, errors };
+}
@@ -0,0 +1,36 @@
+/*
+ * Signed bidder tokens (JWT, HS256)
+ *
+ * Set AUTH_SECRET in any real deployment - without it we make up a
+ * random secret, which means every restart logs everyone out
+ */
+
+import { randomBytes } from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '7d';
+
+const AUTH_SECRET = process.env.AUTH_SECRET || (() => {
+    console.warn('⚠️  AUTH_SECRET not set - using a random secret, tokens won\'t survive a restart');
+    return randomBytes(32).toString('hex');
+})();
+
+export function issueToken(user) {
+    return jwt.sign(
+        { sub: user.id, username: user.username },
+        AUTH_SECRET,
+        { expiresIn: TOKEN_TTL }
+    );
+}
+
+// returns { id, username } or null if the token is missing, forged or expired
+export function verifyToken(token) {
+    if (!token) return null;
+
+    try {
+        const payload = jwt.verify(token, AUTH_SECRET);
+        return { id: payload.sub, username: payload.username };
+    } catch (err) {
+        return null;
+    }
+}
@@ -0,0 +1,67 @@
+/*
+ * Bid increment tables
+ *
+ * A table is a list of price bands, lowest first:
+ *   [{ upTo: 100, increment: 1 }, { upTo: 1000, increment: 10 }, { upTo: null, increment: 50 }]
+ * The increment for a price comes from the first band whose upTo is above
+ * it; the last band has upTo: null and covers everything else.
+ *
+ * Items can carry their own table, otherwise the global default applies.
+ * Override the default with BID_INCREMENT_TABLE (same JSON shape)
+ */
+
+const BUILT_IN_TABLE = [
+    { upTo: 100, increment: 1 },
+    { upTo: 1000, increment: 10 },
+    { upTo: null, increment: 50 }
+];
+
+// returns an error message, or null if the table is usable
+export function validateIncrementTable(table) {
+    if (!Array.isArray(table) || table.length === 0) {
+        return 'Increment table must be a non-empty array';
+    }
+
+    for (let i = 0; i < table.length; i++) {
+        const band = table[i];
+        const isLast = i === table.length - 1;
+
+        if (!band || typeof band.increment !== 'number' || !(band.increment > 0)) {
+            return `Band ${i + 1}: increment must be a positive number`;
+        }
+
+        if (isLast) {
+            if (band.upTo !== null) return 'The last band must have upTo: null';
+        } else if (typeof band.upTo !== 'number' || !(band.upTo > 0)) {
+            return `Band ${i + 1}: upTo must be a positive number`;
+        } else if (i > 0 && band.upTo <= table[i - 1].upTo) {
+            return 'Bands must be in increasing upTo order';
+        }
+    }
+
+    return null;
+}
+
+function loadDefaultTable() {
+    if (!process.env.BID_INCREMENT_TABLE) return BUILT_IN_TABLE;
+
+    const table = JSON.parse(process.env.BID_INCREMENT_TABLE);
+    const error = validateIncrementTable(table);
+    if (error) {
+        throw new Error(`Invalid BID_INCREMENT_TABLE: ${error}`);
+    }
+    return table;
+}
+
+export const DEFAULT_INCREMENT_TABLE = loadDefaultTable();
+
+export function getIncrement(price, table = DEFAULT_INCREMENT_TABLE) {
+    const band = table.find(b => b.upTo === null || price < b.upTo);
+    return band.increment;
+}
+
+// the lowest bid the item will accept right now
+export function getMinimumNextBid(item) {
+    const table = item.incrementTable || DEFAULT_INCREMENT_TABLE;
+    return item.currentBid + getIncrement(item.currentBid, table);
+}
@@ -0,0 +1,70 @@
+/*
+ * Validation for bot run settings - from the admin API or the CLI
+ * Same { values, errors } shape as itemValidation, with defaults filled in
+ */
+
+import { STRATEGY_NAMES } from '../bots/strategies.js';
+
+const MAX_BOTS = Number(process.env.BOT_MAX_BOTS || 200);
+const MAX_DURATION_SEC = 60 * 60;
+const MIN_THINK_MS = 50;
+const MAX_THINK_MS = 60 * 1000;
+
+const DEFAULTS = {
+    bots: 10,
+    durationSec: 60,
+    thinkMinMs: 500,
+    thinkMaxMs: 2000
+};
+
+function readInteger(body, field, min, max, errors) {
+    const value = body[field] ?? DEFAULTS[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+        errors[field] = `${field} must be a whole number from ${min} to ${max}`;
+        return null;
+    }
+    return value;
+}
+
+export function validateBotRunInput(input) {
+    const values = {};
+    const errors = {};
+    const body = input || {};
+
+    values.bots = readInteger(body, 'bots', 1, MAX_BOTS, errors);
+    values.durationSec = readInteger(body, 'durationSec', 1, MAX_DURATION_SEC, errors);
+
+    // how long each bot waits between turns - a random pick from the range
+    const thinkMin = readInteger(body, 'thinkMinMs', MIN_THINK_MS, MAX_THINK_MS, errors);
+    const thinkMax = readInteger(body, 'thinkMaxMs', MIN_THINK_MS, MAX_THINK_MS, errors);
+    if (thinkMin !== null && thinkMax !== null) {
+        if (thinkMax < thinkMin) {
+            errors.thinkMaxMs = 'thinkMaxMs can\'t be less than thinkMinMs';
+        } else {
+            values.thinkMs = { min: thinkMin, max: thinkMax };
+        }
+    }
+
+    // itemIds - empty or missing means every live item
+    const itemIds = body.itemIds ?? [];
+    if (!Array.isArray(itemIds) || itemIds.some(id => typeof id !== 'string' || !id)) {
+        errors.itemIds = 'itemIds must be a list of item IDs';
+    } else {
+        values.itemIds = [...new Set(itemIds)];
+    }
+
+    // strategies - handed out to the bots in turn
+    const strategies = body.strategies ?? STRATEGY_NAMES;
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+        errors.strategies = 'strategies must be a non-empty list';
+    } else {
+        const unknown = strategies.filter(name => !STRATEGY_NAMES.includes(name));
+        if (unknown.length > 0) {
+            errors.strategies = `Unknown strategy(s): ${unknown.join(', ')} - expected ${STRATEGY_NAMES.join(', ')}`;
+        } else {
+            values.strategies = [...new Set(strategies)];
+        }
+    }
+
+    return { values, errors };
+}
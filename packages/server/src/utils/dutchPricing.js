@@ -0,0 +1,34 @@
+/*
+ * Dutch (descending-price) auctions
+ *
+ * The price starts at startingPrice and drops by priceDropAmount every
+ * priceDropIntervalSec from the auction's start, stopping at floorPrice.
+ * The first bidder to accept wins at whatever the price is.
+ *
+ * The price is a pure function of the clock, so every instance agrees on
+ * it and an accept is charged exactly what the schedule says when it's
+ * handled. The scheduler's PRICE_TICKs just keep the stored currentBid
+ * and the clients in step
+ */
+
+export const isDutch = (item) => item.format === 'dutch';
+
+// whole drops since the start - none before it
+function dropsAt(item, now) {
+    const elapsed = Math.max(0, now - item.auctionStartTime);
+    return Math.floor(elapsed / (item.priceDropIntervalSec * 1000));
+}
+
+export function getDutchPrice(item, now) {
+    const price = item.startingPrice - dropsAt(item, now) * item.priceDropAmount;
+    // round to cents so repeated drops of e.g. 0.1 don't drift
+    return Math.max(item.floorPrice, Math.round(price * 100) / 100);
+}
+
+// when the price next drops - null once it's at the floor or the auction ends first
+export function getNextPriceDropAt(item, now) {
+    if (getDutchPrice(item, now) <= item.floorPrice) return null;
+
+    const nextDropAt = item.auctionStartTime + (dropsAt(item, now) + 1) * item.priceDropIntervalSec * 1000;
+    return nextDropAt < item.auctionEndTime ? nextDropAt : null;
+}
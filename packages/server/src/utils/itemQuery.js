@@ -0,0 +1,239 @@
+/*
+ * Search, filters, sorting and cursor paging for item listings
+ *
+ * Used by GET /api/items and by RESYNC (so a reconnecting client only gets
+ * back new items that belong in the list it's showing). Works on public
+ * items - bidCount and friends are already worked out there
+ *
+ * Cursors are keyset, not offsets: they hold the sort value and id of the
+ * last item on the page, so a bid moving an item around doesn't make the
+ * next page skip or repeat everything after it
+ */
+
+import { ITEM_CATEGORIES } from './itemValidation.js';
+
+// "ending soon" = live with less than this left
+const ENDING_SOON_MS = Number(process.env.ENDING_SOON_SEC ?? 300) * 1000;
+
+const MAX_SEARCH_LENGTH = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// sealed items don't show a current bid, so they sort and filter on their starting price
+const priceOf = (item) => item.currentBid ?? item.startingPrice;
+
+// sort key -> the item's sort value, and which way it goes unless ?order says otherwise
+const SORTS = {
+    endTime: { value: item => item.auctionEndTime, order: 'asc' },
+    price: { value: priceOf, order: 'desc' },
+    bids: { value: item => item.bidCount, order: 'desc' }
+};
+
+const STATUSES = ['live', 'ending', 'scheduled', 'ended'];
+
+// comma-separated list param -> array (also takes ?status=a&status=b)
+function parseList(value) {
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    return parts.map(part => String(part).trim()).filter(Boolean);
+}
+
+function parsePrice(value) {
+    const price = Number(value);
+    return value !== '' && Number.isFinite(price) && price >= 0 ? price : NaN;
+}
+
+function encodeCursor(query, item) {
+    const key = { s: query.sort, o: query.order, v: SORTS[query.sort].value(item), id: item.id };
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return typeof key?.id === 'string' && typeof key.v === 'number' ? key : null;
+    } catch {
+        return null;
+    }
+}
+
+/*
+ * Check raw query params (req.query, or the same object over the socket)
+ * Returns { query, errors } like validateItemInput
+ */
+export function parseItemQuery(raw = {}) {
+    const errors = {};
+    const query = {
+        terms: [],
+        categories: [],
+        statuses: [],
+        minPrice: null,
+        maxPrice: null,
+        sort: 'endTime',
+        order: 'asc',
+        limit: DEFAULT_LIMIT,
+        after: null,
+        // ?watched=1 - the caller fills onlyIds in from the bidder's watchlist
+        watchedOnly: false,
+        onlyIds: null
+    };
+
+    if (raw.watched === true || raw.watched === '1' || raw.watched === 'true') {
+        query.watchedOnly = true;
+    }
+
+    if (raw.q) {
+        const q = String(raw.q).trim().toLowerCase();
+        if (q.length > MAX_SEARCH_LENGTH) {
+            errors.q = `Search must be at most ${MAX_SEARCH_LENGTH} characters`;
+        } else {
+            query.terms = q.split(/\s+/).filter(Boolean);
+        }
+    }
+
+    if (raw.category) {
+        query.categories = parseList(raw.category);
+        const unknown = query.categories.filter(category => !ITEM_CATEGORIES.includes(category));
+        if (unknown.length > 0) {
+            errors.category = `Unknown category: ${unknown.join(', ')}`;
+        }
+    }
+
+    if (raw.status) {
+        query.statuses = parseList(raw.status);
+        const unknown = query.statuses.filter(status => !STATUSES.includes(status));
+        if (unknown.length > 0) {
+            errors.status = `Status must be one of: ${STATUSES.join(', ')}`;
+        }
+    }
+
+    ['minPrice', 'maxPrice'].forEach(field => {
+        if (raw[field] === undefined || raw[field] === '') return;
+
+        const price = parsePrice(raw[field]);
+        if (Number.isNaN(price)) {
+            errors[field] = 'Must be a number, zero or more';
+        } else {
+            query[field] = price;
+        }
+    });
+
+    if (query.minPrice !== null && query.maxPrice !== null && query.minPrice > query.maxPrice) {
+        errors.maxPrice = 'Max price can\'t be below min price';
+    }
+
+    if (raw.sort) {
+        if (!SORTS[raw.sort]) {
+            errors.sort = `Sort must be one of: ${Object.keys(SORTS).join(', ')}`;
+        } else {
+            query.sort = raw.sort;
+        }
+    }
+    query.order = SORTS[query.sort].order;
+
+    if (raw.order) {
+        if (raw.order !== 'asc' && raw.order !== 'desc') {
+            errors.order = 'Order must be asc or desc';
+        } else {
+            query.order = raw.order;
+        }
+    }
+
+    if (raw.limit !== undefined && raw.limit !== '') {
+        const limit = Number(raw.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.limit = `Limit must be a whole number from 1 to ${MAX_LIMIT}`;
+        } else {
+            query.limit = limit;
+        }
+    }
+
+    // a cursor only makes sense for the sort it was made with
+    if (raw.cursor) {
+        const key = decodeCursor(raw.cursor);
+        if (!key) {
+            errors.cursor = 'Invalid cursor';
+        } else if (key.s !== query.sort || key.o !== query.order) {
+            errors.cursor = 'Cursor is from a different sort order - start again without it';
+        } else {
+            query.after = key;
+        }
+    }
+
+    return { query, errors };
+}
+
+function matchesStatus(item, status, now) {
+    switch (status) {
+        case 'live':
+            return item.status === 'live';
+        case 'ending':
+            return item.status === 'live' && item.auctionEndTime - now <= ENDING_SOON_MS;
+        case 'scheduled':
+            return item.status === 'scheduled';
+        case 'ended':
+            return item.status === 'closed';
+        default:
+            return false;
+    }
+}
+
+// does the item pass the filters? (paging aside)
+export function matchesItemQuery(item, query, now = Date.now()) {
+    if (query.onlyIds && !query.onlyIds.has(item.id)) return false;
+
+    if (query.terms.length > 0) {
+        const text = `${item.title} ${item.description || ''}`.toLowerCase();
+        if (!query.terms.every(term => text.includes(term))) return false;
+    }
+
+    if (query.categories.length > 0 && !query.categories.includes(item.category)) return false;
+
+    if (query.statuses.length > 0 && !query.statuses.some(status => matchesStatus(item, status, now))) {
+        return false;
+    }
+
+    if (query.minPrice !== null && priceOf(item) < query.minPrice) return false;
+    if (query.maxPrice !== null && priceOf(item) > query.maxPrice) return false;
+
+    return true;
+}
+
+// compare by (sort value, id) - id breaks ties so the order is total and cursors are exact
+function compareKeys(query, a, b) {
+    const diff = (a.v - b.v) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    return query.order === 'desc' ? -diff : diff;
+}
+
+function keyOf(query, item) {
+    return { v: SORTS[query.sort].value(item), id: item.id };
+}
+
+// does the item sort at or before the cursor? i.e. would it be on a page the client already has
+export function isWithinCursor(item, query, cursor) {
+    const key = cursor ? decodeCursor(cursor) : null;
+    if (!key) return true;
+    return compareKeys(query, keyOf(query, item), key) <= 0;
+}
+
+/*
+ * One page of matching items
+ * Returns { items, total, nextCursor } - nextCursor is null on the last page
+ */
+export function queryItems(items, query, now = Date.now()) {
+    const matching = items
+        .filter(item => matchesItemQuery(item, query, now))
+        .sort((a, b) => compareKeys(query, keyOf(query, a), keyOf(query, b)));
+
+    const start = query.after
+        ? matching.findIndex(item => compareKeys(query, keyOf(query, item), query.after) > 0)
+        : 0;
+
+    const page = start === -1 ? [] : matching.slice(start, start + query.limit);
+    const hasMore = start !== -1 && start + query.limit < matching.length;
+
+    return {
+        items: page,
+        total: matching.length,
+        nextCursor: hasMore ? encodeCursor(query, page[page.length - 1]) : null
+    };
+}
@@ -0,0 +1,249 @@
+/*
+ * Validation for seller-submitted item data
+ *
+ * Returns { values, errors } - values only holds fields that were
+ * present and valid, so it can go straight into a PATCH
+ */
+
+import { validateIncrementTable } from './bidIncrements.js';
+import { SEALED_PRICING } from './sealedBids.js';
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_PRICE_DROP_INTERVAL_SEC = 60 * 60;
+
+// pricing fields that only mean something in some formats
+export const DUTCH_FIELDS = ['floorPrice', 'priceDropAmount', 'priceDropIntervalSec'];
+const FORMAT_FIELDS = {
+    english: ['reservePrice', 'buyNowPrice', 'incrementTable'],
+    dutch: DUTCH_FIELDS,
+    sealed: ['reservePrice', 'sealedPricing']
+};
+const FORMAT_NAMES = { english: 'an English', dutch: 'a Dutch', sealed: 'a sealed-bid' };
+const ALL_FORMAT_FIELDS = [...new Set(Object.values(FORMAT_FIELDS).flat())];
+
+export const AUCTION_FORMATS = Object.keys(FORMAT_FIELDS);
+
+// fixed list so the dashboard can offer them as a filter
+export const ITEM_CATEGORIES = [
+    'antiques',
+    'collectibles',
+    'electronics',
+    'fashion',
+    'music',
+    'sports',
+    'other'
+];
+
+// accept epoch millis or anything Date can parse (ISO strings etc)
+function parseTimestamp(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim()) return new Date(value).getTime();
+    return NaN;
+}
+
+// reserve and buy-now have to make sense against the starting price and each other
+export function checkPriceRules(startingPrice, reservePrice, buyNowPrice) {
+    if (reservePrice && reservePrice < startingPrice) {
+        return 'Reserve price can\'t be below the starting price';
+    }
+    if (buyNowPrice && buyNowPrice <= startingPrice) {
+        return 'Buy It Now price must be above the starting price';
+    }
+    if (buyNowPrice && reservePrice && buyNowPrice < reservePrice) {
+        return 'Buy It Now price can\'t be below the reserve';
+    }
+    return null;
+}
+
+// each format only takes its own pricing fields, and a Dutch price has to fall to a floor below its start
+export function checkFormatRules(format, fields) {
+    const misplaced = ALL_FORMAT_FIELDS
+        .filter(field => !FORMAT_FIELDS[format].includes(field) && fields[field] != null);
+    if (misplaced.length > 0) {
+        return `${misplaced.join(', ')} can't be used in ${FORMAT_NAMES[format]} auction`;
+    }
+
+    if (format !== 'dutch') return null;
+
+    const missing = DUTCH_FIELDS.filter(field => fields[field] == null);
+    if (missing.length > 0) {
+        return `Dutch auctions need ${missing.join(', ')}`;
+    }
+    if (fields.floorPrice >= fields.startingPrice) {
+        return 'Floor price must be below the starting price';
+    }
+    return null;
+}
+
+export function validateItemInput(input, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+    const body = input || {};
+
+    const has = (field) => body[field] !== undefined;
+
+    // title - required on create
+    if (has('title')) {
+        const title = typeof body.title === 'string' ? body.title.trim() : '';
+        if (!title) {
+            errors.title = 'Title is required';
+        } else if (title.length > MAX_TITLE_LENGTH) {
+            errors.title = `Title must be at most ${MAX_TITLE_LENGTH} characters`;
+        } else {
+            values.title = title;
+        }
+    } else if (!partial) {
+        errors.title = 'Title is required';
+    }
+
+    if (has('description')) {
+        if (typeof body.description !== 'string') {
+            errors.description = 'Description must be a string';
+        } else if (body.description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.description = `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+        } else {
+            values.description = body.description.trim();
+        }
+    }
+
+    if (has('imageUrl')) {
+        if (typeof body.imageUrl !== 'string') {
+            errors.imageUrl = 'Image URL must be a string';
+        } else {
+            values.imageUrl = body.imageUrl.trim();
+        }
+    }
+
+    // category - optional, 'other' when left out
+    if (has('category')) {
+        if (!ITEM_CATEGORIES.includes(body.category)) {
+            errors.category = `Category must be one of: ${ITEM_CATEGORIES.join(', ')}`;
+        } else {
+            values.category = body.category;
+        }
+    }
+
+    // startingPrice - required on create, positive number
+    if (has('startingPrice')) {
+        const price = body.startingPrice;
+        if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+            errors.startingPrice = 'Starting price must be a positive number';
+        } else {
+            values.startingPrice = price;
+        }
+    } else if (!partial) {
+        errors.startingPrice = 'Starting price is required';
+    }
+
+    // auctionEndTime - required on create, must be in the future
+    if (has('auctionEndTime')) {
+        const endTime = parseTimestamp(body.auctionEndTime);
+        if (!Number.isFinite(endTime)) {
+            errors.auctionEndTime = 'Auction end time must be a timestamp or ISO date';
+        } else if (endTime <= Date.now()) {
+            errors.auctionEndTime = 'Auction end time must be in the future';
+        } else {
+            values.auctionEndTime = endTime;
+        }
+    } else if (!partial) {
+        errors.auctionEndTime = 'Auction end time is required';
+    }
+
+    // auctionStartTime - optional, defaults to "now" (starts live)
+    if (has('auctionStartTime')) {
+        const startTime = parseTimestamp(body.auctionStartTime);
+        if (!Number.isFinite(startTime)) {
+            errors.auctionStartTime = 'Auction start time must be a timestamp or ISO date';
+        } else if (values.auctionEndTime !== undefined && startTime >= values.auctionEndTime) {
+            errors.auctionStartTime = 'Auction must start before it ends';
+        } else {
+            values.auctionStartTime = startTime;
+        }
+    }
+
+    // reservePrice / buyNowPrice - optional positive numbers, null clears them
+    ['reservePrice', 'buyNowPrice'].forEach(field => {
+        if (!has(field)) return;
+
+        const price = body[field];
+        if (price === null) {
+            values[field] = null;
+        } else if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+            errors[field] = 'Must be a positive number or null';
+        } else {
+            values[field] = price;
+        }
+    });
+
+    // incrementTable - optional, null falls back to the global table
+    if (has('incrementTable')) {
+        if (body.incrementTable === null) {
+            values.incrementTable = null;
+        } else {
+            const tableError = validateIncrementTable(body.incrementTable);
+            if (tableError) {
+                errors.incrementTable = tableError;
+            } else {
+                values.incrementTable = body.incrementTable.map(band => ({
+                    upTo: band.upTo,
+                    increment: band.increment
+                }));
+            }
+        }
+    }
+
+    // format - english (default), dutch or sealed, fixed once listed
+    if (has('format')) {
+        if (partial) {
+            errors.format = 'Format can\'t be changed after listing';
+        } else if (!AUCTION_FORMATS.includes(body.format)) {
+            errors.format = `Format must be one of: ${AUCTION_FORMATS.join(', ')}`;
+        } else {
+            values.format = body.format;
+        }
+    }
+
+    // Dutch price schedule - positive amounts, whole seconds between drops
+    ['floorPrice', 'priceDropAmount'].forEach(field => {
+        if (!has(field)) return;
+
+        const price = body[field];
+        if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+            errors[field] = 'Must be a positive number';
+        } else {
+            values[field] = price;
+        }
+    });
+
+    if (has('priceDropIntervalSec')) {
+        const interval = body.priceDropIntervalSec;
+        if (!Number.isInteger(interval) || interval < 1 || interval > MAX_PRICE_DROP_INTERVAL_SEC) {
+            errors.priceDropIntervalSec = `Must be a whole number of seconds from 1 to ${MAX_PRICE_DROP_INTERVAL_SEC}`;
+        } else {
+            values.priceDropIntervalSec = interval;
+        }
+    }
+
+    // sealed bids - what the winner pays, their own bid unless it's vickrey
+    if (has('sealedPricing')) {
+        if (!SEALED_PRICING.includes(body.sealedPricing)) {
+            errors.sealedPricing = `Sealed pricing must be one of: ${SEALED_PRICING.join(', ')}`;
+        } else {
+            values.sealedPricing = body.sealedPricing;
+        }
+    }
+
+    // on create everything is here, so the price rules can be checked up front
+    if (!partial && values.startingPrice !== undefined) {
+        const priceError = checkFormatRules(values.format || 'english', values)
+            || checkPriceRules(values.startingPrice, values.reservePrice, values.buyNowPrice);
+        if (priceError) errors.prices = priceError;
+    }
+
+    return { values, errors };
+}
+
+export function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
@@ -0,0 +1,31 @@
+/*
+ * Bidder ID masking for anything shown to other users
+ *
+ * Keeps the first and last few characters so people can still tell
+ * bidders apart in a feed without seeing the full ID
+ */
+
+export function maskBidderId(bidderId, viewerId = null) {
+    if (!bidderId) return bidderId;
+
+    // your own bids are never masked
+    if (viewerId && bidderId === viewerId) return bidderId;
+
+    if (bidderId.length <= 4) return '***';
+    return `${bidderId.slice(0, 1)}***${bidderId.slice(-3)}`;
+}
+
+// public shape of a single bid history entry
+export function toPublicBid(bid, viewerId = null) {
+    return {
+        id: bid.id,
+        bidderId: maskBidderId(bid.bidderId, viewerId),
+        amount: bid.amount,
+        timestamp: bid.timestamp,
+        auto: Boolean(bid.auto),
+        buyNow: Boolean(bid.buyNow),
+        accepted: Boolean(bid.accepted),
+        sealed: Boolean(bid.sealed),
+        isYou: Boolean(viewerId) && bid.bidderId === viewerId
+    };
+}
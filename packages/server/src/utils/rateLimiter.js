@@ -0,0 +1,64 @@
+/*
+ * Token bucket rate limiter
+ *
+ * Each key gets a bucket of `burst` tokens that refills at `perSecond`.
+ * A call spends one token; an empty bucket means "wait retryAfterMs".
+ * Buckets live in this process only - in cluster mode each instance
+ * counts on its own, which is fine since a socket sticks to one instance
+ */
+
+// drop buckets nobody has touched for a while so the map doesn't grow forever
+const IDLE_BUCKET_TTL_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createRateLimiter({ burst, perSecond }) {
+    const buckets = new Map();
+
+    const sweep = setInterval(() => {
+        const cutoff = Date.now() - IDLE_BUCKET_TTL_MS;
+        buckets.forEach((bucket, key) => {
+            if (bucket.updatedAt < cutoff) buckets.delete(key);
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    // returns { allowed, retryAfterMs }
+    const take = (key, now = Date.now()) => {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: now };
+            buckets.set(key, bucket);
+        }
+
+        // top up for the time since we last looked
+        const elapsedSec = (now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(burst, bucket.tokens + elapsedSec * perSecond);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, retryAfterMs: 0 };
+        }
+
+        return {
+            allowed: false,
+            retryAfterMs: Math.ceil(((1 - bucket.tokens) / perSecond) * 1000)
+        };
+    };
+
+    const forget = (key) => buckets.delete(key);
+
+    return { take, forget };
+}
+
+// "burst/perSecond" from an env var, e.g. BID_RATE_LIMIT=5/2
+export function parseRateLimit(value, fallback) {
+    if (!value) return fallback;
+
+    const [burst, perSecond] = value.split('/').map(Number);
+    if (!(burst >= 1) || !(perSecond > 0)) {
+        console.warn(`Ignoring invalid rate limit "${value}" - expected "burst/perSecond"`);
+        return fallback;
+    }
+    return { burst, perSecond };
+}
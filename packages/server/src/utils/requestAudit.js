@@ -0,0 +1,19 @@
+/*
+ * Audit entries for REST changes (see store/auditStore.js) - written
+ * whether or not the store let the change through
+ */
+
+import { recordAudit } from '../store/auditStore.js';
+
+export function auditRequest(req, action, receivedAt, result, details = {}) {
+    recordAudit({
+        action,
+        outcome: result.success ? 'accepted' : 'rejected',
+        code: result.success ? 'OK' : result.error,
+        userId: req.user?.id || null,
+        itemId: result.item?.id || req.params.id || null,
+        receivedAt,
+        lockedAt: result.lockedAt,
+        details: { ip: req.ip, ...details }
+    });
+}
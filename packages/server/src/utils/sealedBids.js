@@ -0,0 +1,58 @@
+/*
+ * Sealed-bid auctions
+ *
+ * Each bidder gets one bid, which they can change - up or down - until
+ * the close, and nobody sees anyone else's: not the amounts, not who's
+ * ahead. The bids wait in item.sealedBids and only go into the bid
+ * history when the auction closes, all at once.
+ *
+ * The highest bid wins. First-price, it pays what it bid. Vickrey
+ * (second-price), it pays the runner-up's bid - or the starting price
+ * or reserve if that's higher, e.g. when nobody else bid
+ */
+
+export const SEALED_PRICING = ['first-price', 'vickrey'];
+
+export const isSealed = (item) => item.format === 'sealed';
+
+// sealed and not yet revealed - what the item says about its bids has to stay quiet
+export const isSealedOpen = (item) => isSealed(item) && item.status !== 'closed';
+
+// bid history entry for one sealed bid - timed from when it got its final amount
+export function toSealedHistoryEntry(bidderId, bid) {
+    return {
+        id: bid.id,
+        bidderId,
+        amount: bid.amount,
+        timestamp: bid.updatedAt,
+        auto: false,
+        sealed: true
+    };
+}
+
+// highest first - a tie goes to whoever got to that amount first
+export function rankSealedBids(item) {
+    return Object.entries(item.sealedBids || {})
+        .map(([bidderId, bid]) => toSealedHistoryEntry(bidderId, bid))
+        .sort((a, b) => (b.amount - a.amount) || (a.timestamp - b.timestamp));
+}
+
+/*
+ * Who won and what they pay. winner is null when nobody bid or the top
+ * bid didn't reach the reserve
+ */
+export function settleSealedBids(item) {
+    const ranked = rankSealedBids(item);
+    const [top, runnerUp] = ranked;
+    const lowestSale = Math.max(item.startingPrice, item.reservePrice || 0);
+
+    if (!top || top.amount < lowestSale) {
+        return { ranked, winner: null, price: null };
+    }
+
+    const price = item.sealedPricing === 'vickrey'
+        ? Math.max(runnerUp?.amount ?? 0, lowestSale)
+        : top.amount;
+
+    return { ranked, winner: top, price };
+}
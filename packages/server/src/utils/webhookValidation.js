@@ -0,0 +1,127 @@
+/*
+ * Validation for admin-submitted webhook subscriptions
+ * Same { values, errors } shape as itemValidation
+ *
+ * The server POSTs to whatever URL is registered, so a URL pointing back
+ * inside the network (loopback, private ranges, link-local - which covers
+ * cloud metadata at 169.254.169.254) is refused unless
+ * WEBHOOK_ALLOW_PRIVATE=true, e.g. for the local example receiver.
+ * The check runs when a URL is set - what a hostname resolves to later
+ * isn't re-checked
+ */
+
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { WEBHOOK_EVENTS } from '../webhooks/dispatcher.js';
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const PRIVATE_TARGETS = new BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],         // "this network"
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],     // carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],    // link-local, cloud metadata
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],          // unique local, incl. AWS metadata fd00:ec2::254
+    ['fe80::', 10, 'ipv6']
+].forEach(([network, prefix, type]) => PRIVATE_TARGETS.addSubnet(network, prefix, type));
+
+function isPrivateAddress(address) {
+    // ::ffff:10.0.0.1 is just 10.0.0.1
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return PRIVATE_TARGETS.check(mapped[1], 'ipv4');
+
+    return PRIVATE_TARGETS.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/*
+ * Where a webhook URL actually points - returns an error message, or null
+ * if every address its host resolves to is a public one
+ */
+export async function checkWebhookTarget(url, { allowPrivate = ALLOW_PRIVATE } = {}) {
+    if (allowPrivate) return null;
+
+    // IPv6 literals keep their brackets in URL.hostname
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    try {
+        addresses = await lookup(host, { all: true, verbatim: true });
+    } catch (err) {
+        return `Couldn't resolve ${host}`;
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        return 'URL must point to a public address, not a private, loopback or link-local one';
+    }
+
+    return null;
+}
+
+export function validateWebhookInput(input, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+    const body = input || {};
+
+    const has = (field) => body[field] !== undefined;
+
+    // url - required on create, http(s) only
+    if (has('url')) {
+        let url = null;
+        try {
+            url = new URL(body.url);
+        } catch {
+            // falls through to the error below
+        }
+
+        if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+            errors.url = 'URL must be an http:// or https:// address';
+        } else {
+            values.url = url.toString();
+        }
+    } else if (!partial) {
+        errors.url = 'URL is required';
+    }
+
+    // events - required on create, '*' means all of them
+    if (has('events')) {
+        const events = body.events;
+        if (!Array.isArray(events) || events.length === 0) {
+            errors.events = 'Events must be a non-empty list';
+        } else {
+            const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+            if (unknown.length > 0) {
+                errors.events = `Unknown event(s): ${unknown.join(', ')} - expected ${WEBHOOK_EVENTS.join(', ')} or *`;
+            } else {
+                values.events = [...new Set(events)];
+            }
+        }
+    } else if (!partial) {
+        errors.events = 'Events are required';
+    }
+
+    if (has('description')) {
+        if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.description = `Description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+        } else {
+            values.description = body.description.trim();
+        }
+    }
+
+    if (has('active')) {
+        if (typeof body.active !== 'boolean') {
+            errors.active = 'Active must be true or false';
+        } else {
+            values.active = body.active;
+        }
+    }
+
+    return { values, errors };
+}
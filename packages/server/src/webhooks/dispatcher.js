@@ -0,0 +1,185 @@
+/*
+ * Outgoing webhooks
+ *
+ * Every subscribed endpoint gets a signed JSON POST per event:
+ *
+ *   X-LiveBid-Event       bid.placed, auction.closed, ...
+ *   X-LiveBid-Delivery    same ID across retries - dedupe on it
+ *   X-LiveBid-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the webhook's secret>
+ *
+ * Anything but a 2xx (redirects included) is retried with exponential
+ * backoff. A delivery that runs out of attempts goes on the dead-letter
+ * list (capped at WEBHOOK_DEAD_LETTER_LIMIT, oldest dropped first), where
+ * an admin can retry it.
+ *
+ * Pending retries are timers in this process only. A restart or deploy
+ * drops them, and they don't become dead letters either - the last line
+ * in the delivery log stays "retrying" with a nextAttemptAt in the past,
+ * which is how to spot them afterwards
+ */
+
+import { createHmac } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getWebhooks, getWebhook, logDelivery, addDeadLetter, removeDeadLetter } from '../store/webhookStore.js';
+
+export const WEBHOOK_EVENTS = ['bid.placed', 'auction.started', 'auction.closed', 'item.created', 'item.removed'];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 6);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS ?? 1000);
+const RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS ?? 5 * 60 * 1000);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS ?? 5000);
+
+// retry timers, so shutdown can drop them
+const pendingRetries = new Set();
+
+export function signPayload(secret, timestamp, body) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// 1s, 2s, 4s... capped, with some jitter so a receiver coming back up
+// doesn't get every queued retry in the same instant
+export function backoffDelay(attempt) {
+    const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+async function post(webhook, event, deliveryId) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'LiveBid-Webhooks/1.0',
+                'X-LiveBid-Event': event.type,
+                'X-LiveBid-Delivery': deliveryId,
+                'X-LiveBid-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+
+        // we don't care what they said, just that they said it
+        await response.arrayBuffer().catch(() => {});
+
+        return {
+            ok: response.ok,
+            responseStatus: response.status,
+            error: response.ok ? null : `HTTP ${response.status}`,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (err) {
+        return {
+            ok: false,
+            responseStatus: null,
+            error: err.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : (err.cause?.message || err.message),
+            durationMs: Date.now() - startedAt
+        };
+    }
+}
+
+/*
+ * One attempt, then either a retry timer or the dead-letter list
+ * (unless retries is off). Resolves with this attempt's result
+ */
+async function deliver(webhook, event, deliveryId, attempt = 1, retries = true) {
+    const result = await post(webhook, event, deliveryId);
+    const willRetry = retries && !result.ok && attempt < MAX_ATTEMPTS;
+    const retryDelay = willRetry ? backoffDelay(attempt) : null;
+
+    await logDelivery(webhook.id, {
+        deliveryId,
+        eventId: event.id,
+        eventType: event.type,
+        attempt,
+        status: result.ok ? 'delivered' : (willRetry ? 'retrying' : 'failed'),
+        responseStatus: result.responseStatus,
+        error: result.error,
+        durationMs: result.durationMs,
+        at: Date.now(),
+        nextAttemptAt: willRetry ? Date.now() + retryDelay : null
+    });
+
+    if (willRetry) {
+        const timer = setTimeout(() => {
+            pendingRetries.delete(timer);
+            retry(webhook.id, event, deliveryId, attempt + 1).catch(err => {
+                console.error(`Webhook retry failed for ${webhook.id}:`, err);
+            });
+        }, retryDelay);
+        pendingRetries.add(timer);
+    } else if (!result.ok && retries) {
+        const dropped = await addDeadLetter({
+            id: deliveryId,
+            webhookId: webhook.id,
+            url: webhook.url,
+            event,
+            attempts: attempt,
+            lastError: result.error,
+            lastStatus: result.responseStatus,
+            failedAt: Date.now()
+        });
+        console.warn(`📪 Webhook ${webhook.id} gave up on ${event.type} after ${attempt} attempts - ${result.error}`);
+        if (dropped > 0) console.warn(`📪 Dead-letter list full - dropped the oldest ${dropped}`);
+    }
+
+    return result;
+}
+
+// the webhook may have been edited, paused or deleted while we waited
+async function retry(webhookId, event, deliveryId, attempt) {
+    const webhook = await getWebhook(webhookId);
+    if (!webhook || !webhook.active) return;
+
+    await deliver(webhook, event, deliveryId, attempt);
+}
+
+function buildEvent(type, data) {
+    return {
+        id: `evt_${uuidv4().replace(/-/g, '')}`,
+        type,
+        createdAt: Date.now(),
+        data
+    };
+}
+
+// fire and forget - callers don't wait on anyone's endpoint
+export function emitWebhookEvent(type, data) {
+    dispatch(type, data).catch(err => {
+        console.error(`Webhook dispatch failed for ${type}:`, err);
+    });
+}
+
+async function dispatch(type, data) {
+    const webhooks = (await getWebhooks()).filter(webhook => (
+        webhook.active && (webhook.events.includes(type) || webhook.events.includes('*'))
+    ));
+    if (webhooks.length === 0) return;
+
+    const event = buildEvent(type, data);
+    await Promise.all(webhooks.map(webhook => deliver(webhook, event, uuidv4())));
+}
+
+// POST /api/admin/webhooks/:id/test - a single attempt, subscribed or not, and no retries
+export async function sendTestEvent(webhook) {
+    const event = buildEvent('webhook.test', { webhookId: webhook.id, message: 'Hello from LiveBid' });
+    return deliver(webhook, event, uuidv4(), 1, false);
+}
+
+// a fresh round of attempts for a dead letter, under the same delivery ID
+export async function redeliverDeadLetter(letter) {
+    const webhook = await getWebhook(letter.webhookId);
+    if (!webhook) return null;
+
+    await removeDeadLetter(letter.id);
+    return deliver(webhook, letter.event, letter.id);
+}
+
+export function stopWebhooks() {
+    pendingRetries.forEach(timer => clearTimeout(timer));
+    pendingRetries.clear();
+}
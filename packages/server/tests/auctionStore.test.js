@@ -0,0 +1,308 @@
+/*
+ * Auction store against the in-memory adapter - fresh storage per test
+ */
+
+import { jest } from '@jest/globals';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { initStorage } = await import('../src/store/storage.js');
+const { createMemoryAdapter } = await import('../src/store/adapters/memoryAdapter.js');
+const { claimEndingAlert, closeAuction, createItem, getAllItems, getItemById, placeBid, removeItem, resetItems, setMaxBid, startAuction, toAdminItem } = await import('../src/store/auctionStore.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createTestItem(fields = {}) {
+    return createItem({
+        title: 'Test lamp',
+        startingPrice: 100,
+        auctionEndTime: Date.now() + HOUR_MS,
+        ...fields
+    }, 'user_seller');
+}
+
+beforeEach(async () => {
+    await initStorage(createMemoryAdapter());
+});
+
+describe('toAdminItem', () => {
+    test('counts bidders whose sealed bids are still sealed', async () => {
+        const { item } = await createTestItem({ format: 'sealed' });
+
+        expect((await placeBid(item.id, 'user_alice', 150)).success).toBe(true);
+        expect((await placeBid(item.id, 'user_bob', 120)).success).toBe(true);
+        // changing a sealed bid doesn't make a new bidder
+        expect((await placeBid(item.id, 'user_alice', 130)).success).toBe(true);
+
+        const adminItem = toAdminItem(await getItemById(item.id));
+
+        expect(adminItem.bidCount).toBe(2);
+        expect(adminItem.bidderCount).toBe(2);
+        expect(adminItem.currentBid).toBeNull();
+    });
+
+    test('counts distinct bidders in the history', async () => {
+        const { item } = await createTestItem();
+
+        expect((await placeBid(item.id, 'user_alice', 110)).success).toBe(true);
+        expect((await placeBid(item.id, 'user_bob', 120)).success).toBe(true);
+        expect((await placeBid(item.id, 'user_alice', 130)).success).toBe(true);
+
+        expect(toAdminItem(await getItemById(item.id)).bidderCount).toBe(2);
+    });
+});
+
+describe('proxy bids', () => {
+    // the default table steps by 10 between 100 and 1000
+    const amounts = bids => bids.map(bid => [bid.bidderId, bid.amount, bid.auto]);
+
+    test('a lone proxy on an item nobody has bid on opens one increment up', async () => {
+        const { item } = await createTestItem();
+
+        const result = await setMaxBid(item.id, 'user_alice', 300);
+
+        expect(result.success).toBe(true);
+        expect(amounts(result.bids)).toEqual([['user_alice', 110, true]]);
+        expect(result.item.currentBid).toBe(110);
+    });
+
+    test('answers a bid with one increment over it', async () => {
+        const { item } = await createTestItem();
+        expect((await setMaxBid(item.id, 'user_alice', 300)).success).toBe(true);
+
+        const result = await placeBid(item.id, 'user_bob', 150);
+
+        expect(result.success).toBe(true);
+        expect(amounts(result.bids)).toEqual([['user_bob', 150, false], ['user_alice', 160, true]]);
+        expect(result.item.highestBidderId).toBe('user_alice');
+        expect(result.outbidUserIds).toEqual(['user_bob']);
+    });
+
+    test("records the runner-up's ceiling on the way past it", async () => {
+        const { item } = await createTestItem();
+        expect((await setMaxBid(item.id, 'user_alice', 300)).success).toBe(true);
+
+        const result = await setMaxBid(item.id, 'user_bob', 200);
+
+        expect(amounts(result.bids)).toEqual([['user_bob', 200, true], ['user_alice', 210, true]]);
+        expect(result.item.currentBid).toBe(210);
+    });
+
+    test('caps the winner at their own maximum', async () => {
+        const { item } = await createTestItem();
+        expect((await setMaxBid(item.id, 'user_alice', 300)).success).toBe(true);
+
+        const result = await setMaxBid(item.id, 'user_bob', 305);
+
+        expect(result.item.highestBidderId).toBe('user_bob');
+        expect(result.item.currentBid).toBe(305);
+        expect(result.outbidUserIds).toEqual(['user_alice']);
+    });
+
+    test('bids straight up to the reserve when the maximum covers it', async () => {
+        const { item } = await createTestItem({ reservePrice: 250 });
+
+        const result = await setMaxBid(item.id, 'user_alice', 300);
+
+        expect(result.item.currentBid).toBe(250);
+    });
+
+    test('a bid over the maximum takes the lead outright', async () => {
+        const { item } = await createTestItem();
+        expect((await setMaxBid(item.id, 'user_alice', 150)).success).toBe(true);
+
+        const result = await placeBid(item.id, 'user_bob', 200);
+
+        expect(amounts(result.bids)).toEqual([['user_bob', 200, false]]);
+        expect(result.item.highestBidderId).toBe('user_bob');
+    });
+});
+
+describe('placeBid from the current leader', () => {
+    test('is rejected instead of raising their own price', async () => {
+        const { item } = await createTestItem();
+        expect((await placeBid(item.id, 'user_alice', 110)).success).toBe(true);
+
+        const result = await placeBid(item.id, 'user_alice', 150);
+
+        expect(result.error).toBe('ALREADY_HIGHEST_BIDDER');
+        expect((await getItemById(item.id)).currentBid).toBe(110);
+    });
+
+    test("can't push their own proxy up against the runner-up", async () => {
+        const { item } = await createTestItem();
+        expect((await setMaxBid(item.id, 'user_alice', 300)).success).toBe(true);
+        expect((await setMaxBid(item.id, 'user_bob', 200)).success).toBe(true);
+
+        const result = await placeBid(item.id, 'user_alice', 250);
+
+        expect(result.error).toBe('ALREADY_HIGHEST_BIDDER');
+        expect((await getItemById(item.id)).currentBid).toBe(210);
+    });
+});
+
+describe('proxy bids with equal maximums', () => {
+    test.each([
+        ['user_xena', 'user_zack'],
+        ['user_zack', 'user_xena']
+    ])('%s set it first and keeps the lead over %s', async (first, second) => {
+        const { item } = await createTestItem();
+        expect((await placeBid(item.id, 'user_yuri', 110)).success).toBe(true);
+
+        expect((await setMaxBid(item.id, first, 300)).success).toBe(true);
+        const result = await setMaxBid(item.id, second, 300);
+
+        expect(result.success).toBe(true);
+        expect(result.item.highestBidderId).toBe(first);
+        expect(result.item.currentBid).toBe(300);
+    });
+
+    test('raising to a tied maximum counts from the raise', async () => {
+        const { item } = await createTestItem();
+        expect((await placeBid(item.id, 'user_yuri', 110)).success).toBe(true);
+
+        expect((await setMaxBid(item.id, 'user_xena', 200)).success).toBe(true);
+        expect((await setMaxBid(item.id, 'user_zack', 300)).success).toBe(true);
+        const result = await setMaxBid(item.id, 'user_xena', 300);
+
+        expect(result.success).toBe(true);
+        expect(result.item.highestBidderId).toBe('user_zack');
+        expect(result.item.currentBid).toBe(300);
+    });
+});
+
+describe('removeItem', () => {
+    test('lets the seller cancel before the first bid', async () => {
+        const { item } = await createTestItem();
+
+        const result = await removeItem(item.id, 'user_seller');
+
+        expect(result.success).toBe(true);
+        expect(await getItemById(item.id)).toBeUndefined();
+    });
+
+    test('refuses the seller once bidding has started', async () => {
+        const { item } = await createTestItem();
+        expect((await placeBid(item.id, 'user_alice', 110)).success).toBe(true);
+
+        const result = await removeItem(item.id, 'user_seller');
+
+        expect(result.error).toBe('ITEM_HAS_BIDS');
+        expect(await getItemById(item.id)).toBeDefined();
+    });
+
+    test('refuses the seller once the auction has closed', async () => {
+        const { item } = await createTestItem();
+        expect((await closeAuction(item.id, { force: true })).success).toBe(true);
+
+        const result = await removeItem(item.id, 'user_seller');
+
+        expect(result.error).toBe('AUCTION_CLOSED');
+    });
+
+    test('still lets an admin cancel an auction with bids', async () => {
+        const { item } = await createTestItem();
+        expect((await placeBid(item.id, 'user_alice', 110)).success).toBe(true);
+
+        const result = await removeItem(item.id, 'user_admin', { asAdmin: true });
+
+        expect(result.success).toBe(true);
+    });
+});
+
+describe('placeBid with a requestId', () => {
+    test('answers a repeat with the first result instead of bidding again', async () => {
+        const { item } = await createTestItem();
+
+        const first = await placeBid(item.id, 'user_alice', 110, 'req-1');
+        const repeat = await placeBid(item.id, 'user_alice', 110, 'req-1');
+
+        expect(first.success).toBe(true);
+        expect(repeat.success).toBe(true);
+        expect(repeat.duplicate).toBe(true);
+        expect(repeat.bids).toEqual([]);
+        expect(toAdminItem(await getItemById(item.id)).bidCount).toBe(1);
+    });
+
+    test('rejects the same requestId for a different amount', async () => {
+        const { item } = await createTestItem();
+        expect((await placeBid(item.id, 'user_alice', 110, 'req-1')).success).toBe(true);
+
+        const result = await placeBid(item.id, 'user_alice', 150, 'req-1');
+
+        expect(result.error).toBe('REQUEST_ID_CONFLICT');
+    });
+
+    test('keeps request ids apart per bidder', async () => {
+        const { item } = await createTestItem();
+        expect((await placeBid(item.id, 'user_alice', 110, 'req-1')).success).toBe(true);
+
+        const result = await placeBid(item.id, 'user_bob', 120, 'req-1');
+
+        expect(result.success).toBe(true);
+        expect(result.duplicate).toBeUndefined();
+    });
+
+    test("doesn't remember a rejected bid, so a retry is checked again", async () => {
+        const { item } = await createTestItem({ auctionStartTime: Date.now() + 50 });
+
+        const early = await placeBid(item.id, 'user_alice', 110, 'req-1');
+        expect(early.error).toBe('AUCTION_NOT_STARTED');
+        expect((await getItemById(item.id)).recentRequests?.['user_alice:req-1']).toBeUndefined();
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect((await startAuction(item.id)).success).toBe(true);
+        const retry = await placeBid(item.id, 'user_alice', 110, 'req-1');
+
+        expect(retry.success).toBe(true);
+        expect(retry.duplicate).toBeUndefined();
+    });
+});
+
+describe('resetItems', () => {
+    test('hands back the seller-created items it dropped', async () => {
+        const { item } = await createTestItem();
+
+        const result = await resetItems();
+
+        expect(result.success).toBe(true);
+        expect(result.removedItems.map(removed => removed.id)).toEqual([item.id]);
+        expect(await getItemById(item.id)).toBeUndefined();
+        expect((await getAllItems()).length).toBeGreaterThan(0);
+    });
+
+    test('removes nothing when only the sample items are there', async () => {
+        await resetItems();
+
+        expect((await resetItems()).removedItems).toEqual([]);
+    });
+});
+
+describe('claimEndingAlert', () => {
+    const WINDOW_MS = 60 * 1000;
+
+    test('claims the alert once inside the window', async () => {
+        const { item } = await createTestItem({ auctionEndTime: Date.now() + WINDOW_MS / 2 });
+        expect((await placeBid(item.id, 'user_alice', 110)).success).toBe(true);
+
+        const first = await claimEndingAlert(item.id, WINDOW_MS);
+        const second = await claimEndingAlert(item.id, WINDOW_MS);
+
+        expect(first.success).toBe(true);
+        expect(first.bidderIds).toEqual(['user_alice']);
+        expect(second.error).toBe('ALREADY_SENT');
+    });
+
+    test('waits while the end is still outside the window', async () => {
+        const { item } = await createTestItem();
+
+        expect((await claimEndingAlert(item.id, WINDOW_MS)).error).toBe('NOT_DUE');
+    });
+
+    test("doesn't alert once the end time has passed", async () => {
+        const { item } = await createTestItem({ auctionEndTime: Date.now() + 20 });
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        expect((await claimEndingAlert(item.id, WINDOW_MS)).error).toBe('ENDED');
+    });
+});
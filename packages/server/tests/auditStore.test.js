@@ -0,0 +1,155 @@
+/*
+ * Audit log paging and export against both sinks
+ *
+ * Caps are passed to the sinks directly rather than through the env
+ */
+
+import { mkdtemp, readdir, rm, stat } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import RedisMock from 'ioredis-mock';
+
+const MAX_BYTES = 200 * 1024;
+
+const { appendAuditEntry, queryAuditLog, exportAuditLog, setAuditSink } = await import('../src/store/auditStore.js');
+const { createFileAuditSink, createRedisAuditSink } = await import('../src/store/auditSinks.js');
+const { parseAuditQuery } = await import('../src/utils/auditQuery.js');
+
+// enough per entry that a few hundred cross the file sink's read chunks
+const PADDING = 'x'.repeat(300);
+
+async function appendEntries(count, fields = {}) {
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        entries.push(await appendAuditEntry({
+            action: 'BID_PLACED',
+            outcome: 'accepted',
+            itemId: i % 2 === 0 ? 'item-even' : 'item-odd',
+            amount: i,
+            details: { padding: PADDING },
+            ...fields
+        }));
+    }
+    return entries;
+}
+
+async function readAllPages(raw = {}) {
+    const ids = [];
+    let before;
+    do {
+        const { query } = parseAuditQuery({ ...raw, before });
+        const page = await queryAuditLog(query);
+        ids.push(...page.entries.map(entry => entry.id));
+        before = page.nextBefore;
+    } while (before);
+    return ids;
+}
+
+async function exportIds(raw = {}) {
+    const ids = [];
+    for await (const entry of exportAuditLog(parseAuditQuery(raw).query)) {
+        ids.push(entry.id);
+    }
+    return ids;
+}
+
+describe('file sink', () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'audit-'));
+        file = path.join(dir, 'audit.ndjson');
+        setAuditSink(createFileAuditSink(file, { maxBytes: MAX_BYTES }));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('pages newest first and exports oldest first', async () => {
+        const written = (await appendEntries(300)).map(entry => entry.id);
+
+        expect(await readAllPages({ limit: '70' })).toEqual([...written].reverse());
+        expect(await exportIds()).toEqual(written);
+    });
+
+    test('filters before paging', async () => {
+        const written = await appendEntries(20);
+        const even = written.filter(entry => entry.itemId === 'item-even').map(entry => entry.id);
+
+        const { query } = parseAuditQuery({ itemId: 'item-even', limit: '3' });
+        const page = await queryAuditLog(query);
+
+        expect(page.entries.map(entry => entry.id)).toEqual(even.slice(-3).reverse());
+        expect(page.nextBefore).toBe(even[even.length - 3]);
+        expect(await exportIds({ itemId: 'item-even' })).toEqual(even);
+    });
+
+    test('archives past the size cap without losing anything', async () => {
+        const written = (await appendEntries(1200)).map(entry => entry.id);
+
+        expect(await exportIds()).toEqual(written);
+        expect(await readAllPages({ limit: '1000' })).toEqual([...written].reverse());
+
+        const archives = (await readdir(dir)).filter(name => name !== 'audit.ndjson');
+        expect(archives.length).toBeGreaterThan(1);
+        expect(archives.sort()).toEqual(archives.map((name, i) => `audit.ndjson.${i + 1}`));
+        for (const name of ['audit.ndjson', ...archives]) {
+            expect((await stat(path.join(dir, name))).size).toBeLessThanOrEqual(MAX_BYTES);
+        }
+    });
+
+    test('numbers archives on from the ones already there', async () => {
+        const first = (await appendEntries(700)).map(entry => entry.id);
+        // a restart - the new sink has to find <file>.1 and not overwrite it
+        setAuditSink(createFileAuditSink(file, { maxBytes: MAX_BYTES }));
+        const second = (await appendEntries(700)).map(entry => entry.id);
+
+        expect(await exportIds()).toEqual([...first, ...second]);
+        expect(await readdir(dir)).toEqual(expect.arrayContaining(['audit.ndjson.1', 'audit.ndjson.2']));
+    });
+
+    test('drops the oldest archives only when AUDIT_LOG_MAX_ARCHIVES is set', async () => {
+        setAuditSink(createFileAuditSink(file, { maxBytes: MAX_BYTES, maxArchives: 1 }));
+        const written = (await appendEntries(1200)).map(entry => entry.id);
+
+        const kept = await exportIds();
+        expect(kept.length).toBeLessThan(written.length);
+        expect(kept).toEqual(written.slice(-kept.length));
+        const archives = (await readdir(dir)).filter(name => name !== 'audit.ndjson');
+        expect(archives).toHaveLength(1);
+        expect(Number(archives[0].split('.').pop())).toBeGreaterThan(1);
+    });
+
+    test('an empty log is just empty', async () => {
+        expect(await readAllPages()).toEqual([]);
+        expect(await exportIds()).toEqual([]);
+    });
+});
+
+describe('redis sink', () => {
+    let redis;
+
+    beforeEach(async () => {
+        redis = new RedisMock();
+        await redis.flushall();
+        setAuditSink(createRedisAuditSink(redis, 'test:audit'));
+    });
+
+    test('keeps every entry, in order both ways', async () => {
+        const written = (await appendEntries(80)).map(entry => entry.id);
+
+        expect(await readAllPages({ limit: '7' })).toEqual([...written].reverse());
+        expect(await exportIds()).toEqual(written);
+    });
+
+    test('keeps the newest AUDIT_LOG_MAX_ENTRIES when that is set', async () => {
+        setAuditSink(createRedisAuditSink(redis, 'test:audit', { maxEntries: 50 }));
+        const written = (await appendEntries(80)).map(entry => entry.id);
+        const kept = written.slice(-50);
+
+        expect(await readAllPages({ limit: '7' })).toEqual([...kept].reverse());
+        expect(await exportIds()).toEqual(kept);
+    });
+});
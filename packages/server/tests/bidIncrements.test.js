@@ -0,0 +1,61 @@
+/*
+ * Increment tables - band lookup, validation and the minimum next bid
+ */
+
+const { DEFAULT_INCREMENT_TABLE, getIncrement, getMinimumNextBid, validateIncrementTable } = await import('../src/utils/bidIncrements.js');
+
+const TABLE = [
+    { upTo: 50, increment: 2 },
+    { upTo: 500, increment: 25 },
+    { upTo: null, increment: 100 }
+];
+
+describe('getIncrement', () => {
+    test.each([
+        [0, 2],
+        [49.99, 2],
+        // a band's upTo belongs to the next band up
+        [50, 25],
+        [499, 25],
+        [500, 100],
+        [1e9, 100]
+    ])('%d steps by %d', (price, increment) => {
+        expect(getIncrement(price, TABLE)).toBe(increment);
+    });
+
+    test('falls back to the built-in table', () => {
+        expect(getIncrement(99)).toBe(1);
+        expect(getIncrement(100)).toBe(10);
+        expect(getIncrement(1000)).toBe(50);
+        expect(DEFAULT_INCREMENT_TABLE[DEFAULT_INCREMENT_TABLE.length - 1].upTo).toBeNull();
+    });
+});
+
+describe('getMinimumNextBid', () => {
+    test('adds the increment for the current price', () => {
+        expect(getMinimumNextBid({ currentBid: 100 })).toBe(110);
+        expect(getMinimumNextBid({ currentBid: 995 })).toBe(1005);
+    });
+
+    test("uses the item's own table when it has one", () => {
+        expect(getMinimumNextBid({ currentBid: 100, incrementTable: TABLE })).toBe(125);
+        expect(getMinimumNextBid({ currentBid: 10, incrementTable: TABLE })).toBe(12);
+    });
+});
+
+describe('validateIncrementTable', () => {
+    test('accepts a well-formed table', () => {
+        expect(validateIncrementTable(TABLE)).toBeNull();
+    });
+
+    test.each([
+        ['not an array', { upTo: null, increment: 1 }],
+        ['empty', []],
+        ['a zero increment', [{ upTo: null, increment: 0 }]],
+        ['no open-ended last band', [{ upTo: 100, increment: 1 }]],
+        ['an open band before the last', [{ upTo: null, increment: 1 }, { upTo: null, increment: 5 }]],
+        ['bands out of order', [{ upTo: 100, increment: 1 }, { upTo: 50, increment: 5 }, { upTo: null, increment: 10 }]]
+    ])('rejects a table that is %s', (name, table) => {
+        expect(validateIncrementTable(table)).toEqual(expect.any(String));
+    });
+});
@@ -0,0 +1,126 @@
+/*
+ * Dutch auctions - the price schedule, and taking the price with ACCEPT_PRICE
+ */
+
+import { jest } from '@jest/globals';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { getDutchPrice, getNextPriceDropAt } = await import('../src/utils/dutchPricing.js');
+const { initStorage } = await import('../src/store/storage.js');
+const { createMemoryAdapter } = await import('../src/store/adapters/memoryAdapter.js');
+const { acceptPrice, createItem, getItemById, placeBid } = await import('../src/store/auctionStore.js');
+
+const START = 1_000_000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// 100 dropping by 5 every 10s to 80, so the floor is reached 40s in
+const SCHEDULE = {
+    startingPrice: 100,
+    floorPrice: 80,
+    priceDropAmount: 5,
+    priceDropIntervalSec: 10,
+    auctionStartTime: START,
+    auctionEndTime: START + HOUR_MS
+};
+
+describe('getDutchPrice', () => {
+    test.each([
+        [-5000, 100],
+        [0, 100],
+        [9999, 100],
+        [10000, 95],
+        [25000, 90],
+        [40000, 80],
+        [HOUR_MS, 80]
+    ])('%dms in costs %d', (offset, price) => {
+        expect(getDutchPrice(SCHEDULE, START + offset)).toBe(price);
+    });
+
+    test("doesn't drift on fractional drops", () => {
+        const item = { ...SCHEDULE, startingPrice: 1, floorPrice: 0, priceDropAmount: 0.1, priceDropIntervalSec: 1 };
+
+        expect(getDutchPrice(item, START + 3000)).toBe(0.7);
+        expect(getDutchPrice(item, START + 7000)).toBe(0.3);
+    });
+});
+
+describe('getNextPriceDropAt', () => {
+    test('is the next interval boundary', () => {
+        expect(getNextPriceDropAt(SCHEDULE, START)).toBe(START + 10000);
+        expect(getNextPriceDropAt(SCHEDULE, START + 25000)).toBe(START + 30000);
+    });
+
+    test('is null at the floor, or when the auction ends first', () => {
+        expect(getNextPriceDropAt(SCHEDULE, START + 40000)).toBeNull();
+        expect(getNextPriceDropAt({ ...SCHEDULE, auctionEndTime: START + 15000 }, START + 12000)).toBeNull();
+    });
+});
+
+describe('acceptPrice', () => {
+    beforeEach(async () => {
+        await initStorage(createMemoryAdapter());
+    });
+
+    // started 25s ago, so the schedule is at 90 whatever the stored price says
+    async function createDutchItem() {
+        const now = Date.now();
+        const { item } = await createItem({
+            ...SCHEDULE,
+            title: 'Test clock',
+            format: 'dutch',
+            auctionStartTime: now - 25000,
+            auctionEndTime: now + HOUR_MS
+        }, 'user_seller');
+        return item;
+    }
+
+    test('sells at the scheduled price and closes the auction', async () => {
+        const item = await createDutchItem();
+
+        const result = await acceptPrice(item.id, 'user_alice');
+
+        expect(result.success).toBe(true);
+        expect(result.closedItem.finalPrice).toBe(90);
+        expect(result.closedItem.winnerId).toBe('user_alice');
+        expect(result.bids).toEqual([expect.objectContaining({ bidderId: 'user_alice', amount: 90, accepted: true })]);
+
+        const stored = await getItemById(item.id);
+        expect(stored.status).toBe('closed');
+        expect(stored.outcome).toBe('sold');
+    });
+
+    test('only the first accept wins', async () => {
+        const item = await createDutchItem();
+        expect((await acceptPrice(item.id, 'user_alice')).success).toBe(true);
+
+        const result = await acceptPrice(item.id, 'user_bob');
+
+        expect(result.error).toBe('AUCTION_ENDED');
+        expect((await getItemById(item.id)).winnerId).toBe('user_alice');
+    });
+
+    test('is refused before the auction starts', async () => {
+        const { item } = await createItem({
+            ...SCHEDULE,
+            title: 'Test clock',
+            format: 'dutch',
+            auctionStartTime: Date.now() + HOUR_MS,
+            auctionEndTime: Date.now() + 2 * HOUR_MS
+        }, 'user_seller');
+
+        expect((await acceptPrice(item.id, 'user_alice')).error).toBe('AUCTION_NOT_STARTED');
+    });
+
+    test('only applies to Dutch auctions, which take no bids', async () => {
+        const dutch = await createDutchItem();
+        const { item: english } = await createItem({
+            title: 'Test lamp',
+            startingPrice: 100,
+            auctionEndTime: Date.now() + HOUR_MS
+        }, 'user_seller');
+
+        expect((await acceptPrice(english.id, 'user_alice')).error).toBe('WRONG_FORMAT');
+        expect((await placeBid(dutch.id, 'user_alice', 120)).error).toBe('WRONG_FORMAT');
+    });
+});
@@ -0,0 +1,179 @@
+/*
+ * Catching up after a reconnect - the replay buffer on its own, then
+ * RESYNC over a real socket.io connection
+ *
+ * The buffer size is read when replayBuffer.js loads, so it's set before the import
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, rm } from 'fs/promises';
+import { createServer } from 'http';
+import os from 'os';
+import path from 'path';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+
+process.env.REPLAY_BUFFER_SIZE = '4';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { recordEvent, eventsSince, forgetItem } = await import('../src/socket/replayBuffer.js');
+const { initStorage } = await import('../src/store/storage.js');
+const { createMemoryAdapter } = await import('../src/store/adapters/memoryAdapter.js');
+const { createItem, getItemById } = await import('../src/store/auctionStore.js');
+const { setAuditSink } = await import('../src/store/auditStore.js');
+const { createFileAuditSink } = await import('../src/store/auditSinks.js');
+const { setupBidHandlers } = await import('../src/socket/bidHandler.js');
+const { attachIo } = await import('../src/socket/broadcaster.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('eventsSince', () => {
+    afterEach(() => forgetItem('item-a'));
+
+    const record = (...seqs) => seqs.forEach(seq => recordEvent('item-a', seq, 'UPDATE_BID', { seq }));
+    const seqsOf = events => events.map(entry => entry.payload.seq);
+
+    test('returns everything after the given seq, up to the current one', () => {
+        record(1, 2, 3);
+
+        expect(seqsOf(eventsSince('item-a', 1, 3))).toEqual([2, 3]);
+        expect(seqsOf(eventsSince('item-a', 1, 2))).toEqual([2]);
+        expect(eventsSince('item-a', 3, 3)).toEqual([]);
+    });
+
+    test('keeps every event of one revision', () => {
+        recordEvent('item-a', 1, 'UPDATE_BID', { seq: 1 });
+        recordEvent('item-a', 1, 'NEW_BID', { seq: 1 });
+
+        expect(eventsSince('item-a', 0, 1).map(entry => entry.event)).toEqual(['UPDATE_BID', 'NEW_BID']);
+    });
+
+    test('gives up once the revisions asked for have been trimmed', () => {
+        record(1, 2, 3, 4, 5, 6);
+
+        expect(eventsSince('item-a', 1, 6)).toBeNull();
+        expect(seqsOf(eventsSince('item-a', 2, 6))).toEqual([3, 4, 5, 6]);
+    });
+
+    test('gives up on a gap - another instance sent that revision', () => {
+        record(1, 2, 4);
+
+        expect(eventsSince('item-a', 1, 4)).toBeNull();
+        expect(seqsOf(eventsSince('item-a', 3, 4))).toEqual([4]);
+    });
+
+    test('knows nothing about an item it never saw or has forgotten', () => {
+        record(1);
+        forgetItem('item-a');
+
+        expect(eventsSince('item-a', 0, 1)).toBeNull();
+        expect(eventsSince('item-b', 0, 1)).toBeNull();
+    });
+});
+
+describe('RESYNC', () => {
+    let httpServer;
+    let io;
+    let client;
+    let dir;
+
+    // the bidder is whoever the handshake says - auth itself isn't under test here
+    const connect = (userId) => new Promise((resolve, reject) => {
+        const socket = connectClient(`http://localhost:${httpServer.address().port}`, {
+            auth: { userId },
+            transports: ['websocket'],
+            reconnection: false
+        });
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+
+    const resync = (data) => client.emitWithAck('RESYNC', data);
+
+    beforeAll(async () => {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'resync-'));
+        setAuditSink(createFileAuditSink(path.join(dir, 'audit.ndjson')));
+
+        httpServer = createServer();
+        io = new Server(httpServer);
+        io.use((socket, next) => {
+            socket.data.user = { id: socket.handshake.auth.userId };
+            next();
+        });
+        attachIo(io);
+        setupBidHandlers(io);
+        await new Promise(resolve => httpServer.listen(0, resolve));
+
+        client = await connect('user_alice');
+    });
+
+    afterAll(async () => {
+        client.disconnect();
+        await new Promise(resolve => io.close(resolve));
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        await initStorage(createMemoryAdapter());
+    });
+
+    async function createTestItem() {
+        const { item } = await createItem({
+            title: 'Test lamp',
+            startingPrice: 100,
+            auctionEndTime: Date.now() + HOUR_MS
+        }, 'user_seller');
+        return item;
+    }
+
+    test('sends back the events missed since the last seq seen', async () => {
+        const item = await createTestItem();
+        const bid = await client.emitWithAck('BID_PLACED', { itemId: item.id, bidAmount: 110 });
+        expect(bid.success).toBe(true);
+
+        const result = await resync({ since: { [item.id]: item.seq } });
+
+        expect(result.success).toBe(true);
+        expect(result.updates).toHaveLength(1);
+        expect(result.updates[0].events.map(entry => entry.event)).toEqual(['UPDATE_BID', 'NEW_BID']);
+        expect(result.updates[0].events[0].payload.currentBid).toBe(110);
+    });
+
+    test('leaves out items the client is already up to date on', async () => {
+        const item = await createTestItem();
+
+        const result = await resync({ since: { [item.id]: item.seq } });
+
+        expect(result.updates).toEqual([]);
+        expect(result.added).toEqual([]);
+    });
+
+    test('falls back to a snapshot once the buffer can no longer cover the gap', async () => {
+        const item = await createTestItem();
+        expect((await client.emitWithAck('BID_PLACED', { itemId: item.id, bidAmount: 110 })).success).toBe(true);
+        forgetItem(item.id);
+
+        const result = await resync({ since: { [item.id]: item.seq } });
+
+        expect(result.updates[0].events).toBeUndefined();
+        expect(result.updates[0].snapshot.currentBid).toBe(110);
+        expect(result.updates[0].snapshot.seq).toBe((await getItemById(item.id)).seq);
+    });
+
+    test('reports items that are new to the client, and ones that are gone', async () => {
+        const item = await createTestItem();
+
+        const result = await resync({ since: { 'item-gone': 3 } });
+
+        expect(result.added.map(added => added.id)).toEqual([item.id]);
+        expect(result.removed).toEqual(['item-gone']);
+    });
+
+    test('rejects a query it cannot parse', async () => {
+        const result = await resync({ since: {}, query: { sort: 'sideways' } });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('INVALID_QUERY');
+    });
+});
@@ -0,0 +1,114 @@
+/*
+ * Sealed bids - ranking and settling, then a full close through the store
+ */
+
+import { jest } from '@jest/globals';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { rankSealedBids, settleSealedBids } = await import('../src/utils/sealedBids.js');
+const { initStorage } = await import('../src/store/storage.js');
+const { createMemoryAdapter } = await import('../src/store/adapters/memoryAdapter.js');
+const { closeAuction, createItem, getItemById, placeBid } = await import('../src/store/auctionStore.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function sealedItem(bids, fields = {}) {
+    const sealedBids = {};
+    Object.entries(bids).forEach(([bidderId, [amount, updatedAt]], i) => {
+        sealedBids[bidderId] = { id: `bid-${i}`, amount, placedAt: updatedAt, updatedAt };
+    });
+    return { format: 'sealed', sealedPricing: 'first-price', startingPrice: 100, reservePrice: null, sealedBids, ...fields };
+}
+
+describe('rankSealedBids', () => {
+    test('puts the highest first, and the earlier of a tie ahead', () => {
+        const item = sealedItem({ user_alice: [150, 3], user_bob: [200, 2], user_cara: [150, 1] });
+
+        expect(rankSealedBids(item).map(bid => bid.bidderId)).toEqual(['user_bob', 'user_cara', 'user_alice']);
+    });
+});
+
+describe('settleSealedBids', () => {
+    test('first-price - the winner pays their own bid', () => {
+        const { winner, price } = settleSealedBids(sealedItem({ user_alice: [150, 1], user_bob: [200, 2] }));
+
+        expect(winner.bidderId).toBe('user_bob');
+        expect(price).toBe(200);
+    });
+
+    test("vickrey - the winner pays the runner-up's bid", () => {
+        const item = sealedItem({ user_alice: [150, 1], user_bob: [200, 2] }, { sealedPricing: 'vickrey' });
+
+        const { winner, price } = settleSealedBids(item);
+
+        expect(winner.bidderId).toBe('user_bob');
+        expect(price).toBe(150);
+    });
+
+    test('vickrey - a tie at the top pays the tied amount', () => {
+        const item = sealedItem({ user_alice: [200, 2], user_bob: [200, 1] }, { sealedPricing: 'vickrey' });
+
+        const { winner, price } = settleSealedBids(item);
+
+        expect(winner.bidderId).toBe('user_bob');
+        expect(price).toBe(200);
+    });
+
+    test('vickrey - a lone bidder pays the starting price', () => {
+        const item = sealedItem({ user_alice: [300, 1] }, { sealedPricing: 'vickrey' });
+
+        expect(settleSealedBids(item).price).toBe(100);
+    });
+
+    test('vickrey - the reserve is the least the winner pays', () => {
+        const item = sealedItem({ user_alice: [150, 1], user_bob: [300, 2] }, { sealedPricing: 'vickrey', reservePrice: 250 });
+
+        const { winner, price } = settleSealedBids(item);
+
+        expect(winner.bidderId).toBe('user_bob');
+        expect(price).toBe(250);
+    });
+
+    test('nobody wins when the top bid misses the reserve', () => {
+        const item = sealedItem({ user_alice: [150, 1], user_bob: [200, 2] }, { reservePrice: 250 });
+
+        const { ranked, winner, price } = settleSealedBids(item);
+
+        expect(winner).toBeNull();
+        expect(price).toBeNull();
+        expect(ranked).toHaveLength(2);
+    });
+
+    test('nobody wins with no bids', () => {
+        expect(settleSealedBids(sealedItem({}))).toEqual({ ranked: [], winner: null, price: null });
+    });
+});
+
+describe('closing a sealed auction', () => {
+    beforeEach(async () => {
+        await initStorage(createMemoryAdapter());
+    });
+
+    test('reveals every bid into the history and charges the vickrey price', async () => {
+        const { item } = await createItem({
+            title: 'Test lamp',
+            format: 'sealed',
+            sealedPricing: 'vickrey',
+            startingPrice: 100,
+            auctionEndTime: Date.now() + HOUR_MS
+        }, 'user_seller');
+
+        expect((await placeBid(item.id, 'user_alice', 150)).success).toBe(true);
+        expect((await placeBid(item.id, 'user_bob', 220)).success).toBe(true);
+        expect((await placeBid(item.id, 'user_cara', 180)).success).toBe(true);
+
+        const result = await closeAuction(item.id, { force: true });
+        expect(result.success).toBe(true);
+
+        const closed = await getItemById(item.id);
+        expect(closed.winnerId).toBe('user_bob');
+        expect(closed.finalPrice).toBe(180);
+        expect(closed.bidHistory.map(bid => bid.amount).sort((a, b) => a - b)).toEqual([150, 180, 220]);
+    });
+});
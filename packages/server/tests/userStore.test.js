@@ -0,0 +1,51 @@
+/*
+ * Registration vs. ADMIN_USERS
+ *
+ * The admin list is read when the module loads, so set it first and
+ * import after
+ */
+
+import { jest } from '@jest/globals';
+
+process.env.ADMIN_USERS = 'user_0123456789ab,boss';
+
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { initStorage } = await import('../src/store/storage.js');
+const { createMemoryAdapter } = await import('../src/store/adapters/memoryAdapter.js');
+const { createUser } = await import('../src/store/userStore.js');
+const { isAdmin } = await import('../src/middleware/auth.js');
+
+beforeEach(async () => {
+    await initStorage(createMemoryAdapter());
+});
+
+describe('createUser', () => {
+    test('rejects a name listed in ADMIN_USERS, whatever the case', async () => {
+        const result = await createUser('BOSS', 'password123');
+
+        expect(result).toMatchObject({ success: false, error: 'USERNAME_RESERVED' });
+    });
+
+    test('rejects an admin id used as a username', async () => {
+        const result = await createUser('user_0123456789ab', 'password123');
+
+        expect(result).toMatchObject({ success: false, error: 'USERNAME_RESERVED' });
+    });
+
+    test('registers anyone else, without admin rights', async () => {
+        const result = await createUser('alice', 'password123');
+
+        expect(result.success).toBe(true);
+        expect(isAdmin(result.user)).toBe(false);
+    });
+});
+
+describe('isAdmin', () => {
+    test('goes by id, not by username', () => {
+        expect(isAdmin({ id: 'user_0123456789ab', username: 'whoever' })).toBe(true);
+        expect(isAdmin({ id: 'user_ffffffffffff', username: 'boss' })).toBe(false);
+        expect(isAdmin(null)).toBe(false);
+    });
+});
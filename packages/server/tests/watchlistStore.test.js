@@ -0,0 +1,44 @@
+/*
+ * Watchlist limit under concurrent adds
+ */
+
+process.env.MAX_WATCHED_ITEMS = '3';
+
+const { initStorage } = await import('../src/store/storage.js');
+const { createMemoryAdapter } = await import('../src/store/adapters/memoryAdapter.js');
+const { watchItem, unwatchItem, getWatchedItemIds } = await import('../src/store/watchlistStore.js');
+
+beforeEach(async () => {
+    await initStorage(createMemoryAdapter());
+});
+
+describe('watchItem', () => {
+    test('never goes past the limit, however many adds race', async () => {
+        const itemIds = Array.from({ length: 10 }, (_, i) => `item-${i}`);
+
+        const results = await Promise.all(itemIds.map(itemId => watchItem('user_alice', itemId)));
+
+        expect(results.filter(result => result.success)).toHaveLength(3);
+        expect(results.filter(result => result.error === 'WATCHLIST_FULL')).toHaveLength(7);
+        expect(await getWatchedItemIds('user_alice')).toHaveLength(3);
+    });
+
+    test('frees a slot on unwatch, and re-watching is not a new slot', async () => {
+        await watchItem('user_alice', 'item-1');
+        await watchItem('user_alice', 'item-2');
+        await watchItem('user_alice', 'item-3');
+
+        expect((await watchItem('user_alice', 'item-3')).success).toBe(true);
+        expect((await watchItem('user_alice', 'item-4')).error).toBe('WATCHLIST_FULL');
+
+        await unwatchItem('user_alice', 'item-1');
+
+        expect((await watchItem('user_alice', 'item-4')).success).toBe(true);
+    });
+
+    test('counts each bidder separately', async () => {
+        await Promise.all(['item-1', 'item-2', 'item-3'].map(itemId => watchItem('user_alice', itemId)));
+
+        expect((await watchItem('user_bob', 'item-1')).success).toBe(true);
+    });
+});
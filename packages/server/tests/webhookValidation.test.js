@@ -0,0 +1,54 @@
+/*
+ * Webhook targets - URLs that point back inside the network are refused
+ *
+ * Only IP literals and localhost, so nothing here needs real DNS
+ */
+
+const { checkWebhookTarget, validateWebhookInput } = await import('../src/utils/webhookValidation.js');
+
+describe('checkWebhookTarget', () => {
+    test.each([
+        'http://127.0.0.1:4000/hook',
+        'http://localhost/hook',
+        'http://0.0.0.0/',
+        'http://10.1.2.3/',
+        'http://172.20.0.5/',
+        'http://192.168.1.10/',
+        'http://100.64.0.1/',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://[::1]/',
+        'http://[fe80::1]/',
+        'http://[fd00:ec2::254]/',
+        'http://[::ffff:127.0.0.1]/'
+    ])('refuses %s', async (url) => {
+        expect(await checkWebhookTarget(url, { allowPrivate: false })).toMatch(/public address/);
+    });
+
+    test.each([
+        'https://93.184.216.34/hook',
+        'http://172.32.0.1/',
+        'http://[2606:4700::1111]/'
+    ])('accepts %s', async (url) => {
+        expect(await checkWebhookTarget(url, { allowPrivate: false })).toBeNull();
+    });
+
+    test('lets anything through with WEBHOOK_ALLOW_PRIVATE', async () => {
+        expect(await checkWebhookTarget('http://127.0.0.1:4000/hook', { allowPrivate: true })).toBeNull();
+    });
+});
+
+describe('validateWebhookInput', () => {
+    test('needs an http(s) URL and known events', () => {
+        const { errors } = validateWebhookInput({ url: 'ftp://example.com', events: ['bid.placed', 'bid.eaten'] });
+
+        expect(errors.url).toBeDefined();
+        expect(errors.events).toMatch(/bid\.eaten/);
+    });
+
+    test('only checks the fields sent on a partial update', () => {
+        const { values, errors } = validateWebhookInput({ active: false }, { partial: true });
+
+        expect(errors).toEqual({});
+        expect(values).toEqual({ active: false });
+    });
+});
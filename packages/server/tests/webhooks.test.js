@@ -0,0 +1,155 @@
+/*
+ * Webhook delivery - signing, retries with backoff, and the dead-letter list,
+ * against a local receiver
+ *
+ * Retry timings and caps are read when the modules load, so they're set before the import
+ */
+
+import { jest } from '@jest/globals';
+import { createHmac } from 'crypto';
+import { createServer } from 'http';
+
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_RETRY_MAX_MS = '40';
+process.env.WEBHOOK_DEAD_LETTER_LIMIT = '2';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const { signPayload, backoffDelay, emitWebhookEvent, stopWebhooks } = await import('../src/webhooks/dispatcher.js');
+const { createWebhook, getDeliveries, getDeadLetters } = await import('../src/store/webhookStore.js');
+const { initStorage } = await import('../src/store/storage.js');
+const { createMemoryAdapter } = await import('../src/store/adapters/memoryAdapter.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// poll until check() is truthy - deliveries run in the background
+async function waitFor(check, timeoutMs = 2000) {
+    const giveUpAt = Date.now() + timeoutMs;
+    while (Date.now() < giveUpAt) {
+        const value = await check();
+        if (value) return value;
+        await sleep(10);
+    }
+    throw new Error('Timed out waiting for webhook deliveries');
+}
+
+describe('signPayload', () => {
+    test('is an HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret', () => {
+        const body = '{"type":"bid.placed"}';
+        const expected = createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+        expect(signPayload('whsec_test', 1700000000, body)).toBe(expected);
+    });
+
+    test('changes with the timestamp, the body and the secret', () => {
+        const signature = signPayload('whsec_test', 1, 'body');
+
+        expect(signPayload('whsec_test', 2, 'body')).not.toBe(signature);
+        expect(signPayload('whsec_test', 1, 'body ')).not.toBe(signature);
+        expect(signPayload('whsec_other', 1, 'body')).not.toBe(signature);
+    });
+});
+
+describe('backoffDelay', () => {
+    test.each([
+        [1, 10],
+        [2, 20],
+        [3, 40],
+        // capped at WEBHOOK_RETRY_MAX_MS
+        [8, 40]
+    ])('attempt %d waits about %dms, give or take 20%', (attempt, delay) => {
+        for (let i = 0; i < 50; i++) {
+            const wait = backoffDelay(attempt);
+            expect(wait).toBeGreaterThanOrEqual(Math.floor(delay * 0.8));
+            expect(wait).toBeLessThanOrEqual(Math.ceil(delay * 1.2));
+        }
+    });
+});
+
+describe('delivery', () => {
+    let server;
+    let url;
+    // requests the receiver has seen, and how many to fail before answering 200
+    let received;
+    let failFirst;
+
+    beforeAll(async () => {
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = received.length <= failFirst ? 500 : 200;
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        await initStorage(createMemoryAdapter());
+        received = [];
+        failFirst = 0;
+    });
+
+    afterEach(() => stopWebhooks());
+
+    test('signs each request so the receiver can check it', async () => {
+        const webhook = await createWebhook({ url, events: ['bid.placed'] });
+
+        emitWebhookEvent('bid.placed', { itemId: 'item-1', amount: 110 });
+        await waitFor(() => received.length === 1);
+
+        const { headers, body } = received[0];
+        const [, timestamp, signature] = headers['x-livebid-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+        expect(signature).toBe(signPayload(webhook.secret, timestamp, body));
+        expect(headers['x-livebid-event']).toBe('bid.placed');
+        expect(JSON.parse(body).data).toEqual({ itemId: 'item-1', amount: 110 });
+    });
+
+    test('retries a failure under the same delivery ID until it gets through', async () => {
+        const webhook = await createWebhook({ url, events: ['*'] });
+        failFirst = 2;
+
+        emitWebhookEvent('item.created', { itemId: 'item-1' });
+        const deliveries = await waitFor(async () => {
+            const log = await getDeliveries(webhook.id);
+            return log[0]?.status === 'delivered' && log;
+        });
+
+        expect(deliveries.map(entry => [entry.attempt, entry.status])).toEqual([
+            [3, 'delivered'],
+            [2, 'retrying'],
+            [1, 'retrying']
+        ]);
+        expect(new Set(received.map(request => request.headers['x-livebid-delivery'])).size).toBe(1);
+        expect(await getDeadLetters()).toEqual([]);
+    });
+
+    test('dead-letters a delivery that runs out of attempts, keeping only the newest', async () => {
+        await createWebhook({ url, events: ['*'] });
+        failFirst = Infinity;
+
+        for (let i = 1; i <= 3; i++) {
+            emitWebhookEvent('item.created', { itemId: `item-${i}` });
+            // each one has to finish failing before the next, so failedAt orders them
+            await waitFor(() => received.length === 3 * i);
+            await sleep(20);
+        }
+
+        const letters = await waitFor(async () => {
+            const list = await getDeadLetters();
+            return list.length === 2 && list;
+        });
+        expect(letters.map(letter => letter.event.data.itemId)).toEqual(['item-3', 'item-2']);
+        expect(letters[0].attempts).toBe(3);
+        expect(letters[0].lastStatus).toBe(500);
+    });
+});